@@ -1,143 +1,303 @@
 import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { 
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, 
-  ScatterChart, Scatter, ZAxis, BarChart, Bar, Cell 
+  ScatterChart, Scatter, ZAxis, BarChart, Bar, Cell, ComposedChart, Area 
 } from 'recharts';
 import { 
   Upload, TrendingUp, Shield, Activity, Settings, 
-  Download, RefreshCw, AlertCircle, FileText, ChevronRight, Search, Globe 
+  Download, RefreshCw, AlertCircle, FileText, ChevronRight, Search, Globe, Crosshair, Scale, Save, Share2, FolderOpen, Shuffle 
 } from 'lucide-react';
+import {
+  DEFAULT_CONSTRAINTS, COVARIANCE_ESTIMATORS, RETURN_MODELS, DEFAULT_RETURN_MODEL, CVAR_CONFIDENCE_LEVELS,
+  RETURN_TYPES, SAMPLING_FREQUENCIES, ALIGNMENT_POLICIES, DEFAULT_RETURN_OPTIONS,
+  getTickerBounds, generateMockHistory, solveTargetPortfolio, riskContributions, downsideMetrics, portfolioCVaR,
+  namedPortfolios, formatEstimator, formatReturnSettings, formatBenchmark, applyBenchmarkMetrics, readPrice, randomSeed, parseSeed,
+  generateSyntheticMarket, DEFAULT_SYNTHETIC_SETTINGS, BACKTEST_STRATEGIES, DEFAULT_BACKTEST_OPTIONS, PROJECTION_METHODS, DEFAULT_PROJECTION_SETTINGS
+} from './mptlab.js';
+import { assessDataQuality } from './dataQuality.js';
+import { DEFAULT_TRADE_SETTINGS, latestPrices, parseHoldingsCsv, buildTradeList } from './rebalance.js';
+import { assetStatistics, correlationMatrix, normalizedPrices, rollingCorrelation } from './assetAnalytics.js';
+import {
+  downloadFile, exportFileName, portfoliosToCsv, resultsToJson, tradeListToCsv, chartSvg, svgToPng, buildReportHtml, openReport
+} from './exportResults.js';
+import {
+  listWorkspaces, saveWorkspace, loadWorkspace, deleteWorkspace, buildShareUrl, readSharedScenario
+} from './workspaces.js';
+import {
+  BASE_CURRENCIES, DEFAULT_CURRENCY_SETTINGS, resolveCurrency, guessCurrency, fxSymbol, fxFromTable, fxFromSeries,
+  requiredFxPairs, convertToBase
+} from './fx.js';
+import {
+  DELIMITERS, DECIMAL_SEPARATORS, DATE_FORMATS, IMPORT_LAYOUTS,
+  parseDelimited, detectDelimiter, decodeText, readXlsx, detectImportSettings, buildPriceTable
+} from './priceImport.js';
+import {
+  DATA_PROVIDERS, API_RANGES, API_INTERVALS, PRICE_BASES, loadProviderSettings, saveProviderSettings,
+  loadPriceLibrary, saveToPriceLibrary, removeFromPriceLibrary, fetchPrices, mergeSeries, addSeriesColumn, formatPriceBasis
+} from './dataProviders.js';
+
+// Each run gets a fresh worker; cancelling simply terminates it
+const createOptimizerWorker = () => (
+  new Worker(new URL('./optimizer.worker.js', import.meta.url), { type: 'module' })
+);
+
+// Color Scale for Charts
+const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
+
+// Backtest equity curves use the same colors as the chart markers
+const STRATEGY_COLORS = { maxSharpe: '#fbbf24', minVol: '#f87171', equalWeight: '#94a3b8' };
+
+const CARD_THEMES = {
+  yellow: { icon: 'text-yellow-500', badge: 'bg-yellow-500/10 text-yellow-500 border-yellow-500/20' },
+  red: { icon: 'text-red-500', badge: 'bg-red-500/10 text-red-500 border-red-500/20' },
+  green: { icon: 'text-emerald-500', badge: 'bg-emerald-500/10 text-emerald-500 border-emerald-500/20' },
+  purple: { icon: 'text-violet-500', badge: 'bg-violet-500/10 text-violet-500 border-violet-500/20' },
+  orange: { icon: 'text-orange-500', badge: 'bg-orange-500/10 text-orange-500 border-orange-500/20' },
+  teal: { icon: 'text-teal-500', badge: 'bg-teal-500/10 text-teal-500 border-teal-500/20' },
+  pink: { icon: 'text-fuchsia-500', badge: 'bg-fuchsia-500/10 text-fuchsia-500 border-fuchsia-500/20' },
+};
 
-/**
- * --- MPT MATH HELPER FUNCTIONS ---
- */
-
-// Calculate simple daily returns: (Price_t - Price_t-1) / Price_t-1
-const calculateReturns = (data, tickers) => {
-  const returns = [];
-  for (let i = 1; i < data.length; i++) {
-    const row = {};
-    let validRow = true;
-    tickers.forEach(ticker => {
-      const prev = parseFloat(data[i - 1][ticker]);
-      const curr = parseFloat(data[i][ticker]);
-      if (isNaN(prev) || isNaN(curr) || prev === 0) {
-        validRow = false;
-      } else {
-        row[ticker] = (curr - prev) / prev;
-      }
-    });
-    if (validRow) returns.push(row);
-  }
-  return returns;
+// e.g. "USD base (EUR, GBP converted)", "EUR, GBP hedged to USD" or "USD"
+const formatCurrencyBasis = (currencies, tickers, { base, hedged }) => {
+  const foreign = [...new Set(tickers.map(t => resolveCurrency(currencies[t]).currency).filter(c => c !== base))];
+  if (foreign.length === 0) return base;
+  return hedged ? `${foreign.join(', ')} hedged to ${base}` : `${base} base (${foreign.join(', ')} converted)`;
 };
 
-// Calculate Mean Returns and Covariance Matrix
-const calculateStats = (returns, tickers) => {
-  const n = returns.length;
-  if (n === 0) return { means: {}, covMatrix: [] };
+// One line per suspicious jump or stale run in a data quality report
+const describeQualityIssues = (report) => report.tickers.flatMap(q => [
+  ...q.jumps.map(j => `${q.ticker} ${j.date}: ${j.change > 0 ? '+' : ''}${(j.change * 100).toFixed(1)}% move${j.note ? ` (${j.note})` : ''}`),
+  ...q.staleRuns.map(s => `${q.ticker} ${s.from} → ${s.to}: price unchanged for ${s.length} rows`),
+]);
+
+// Annualization choices offered next to "Auto"
+const PERIODS_PER_YEAR_CHOICES = [252, 365, 52, 12, 4];
+
+// 1234567 -> "1.23M", 45600 -> "45.6K"
+const formatAmount = (value) => {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+  return value.toFixed(0);
+};
 
-  // 1. Mean Returns (Annualized assuming 252 trading days)
-  const means = {};
-  tickers.forEach(t => {
-    const sum = returns.reduce((acc, r) => acc + r[t], 0);
-    means[t] = (sum / n) * 252;
-  });
+// Portfolios compared side by side in the wealth projection
+const PROJECTED_PORTFOLIOS = [
+  { id: 'maxSharpe', label: 'Max Sharpe', color: STRATEGY_COLORS.maxSharpe },
+  { id: 'minVol', label: 'Min Variance', color: STRATEGY_COLORS.minVol },
+];
+
+// Benchmark of the run ('' = none, else a universe ticker or the loaded outside series) and the tracking-error
+// budget of the active frontier (annual fraction, null = none)
+const DEFAULT_BENCHMARK_SETTINGS = { ticker: '', trackingErrorBudget: null };
+
+// e.g. 0.975 -> "97.5%"
+const formatConfidence = (confidence) => `${+(confidence * 100).toFixed(1)}%`;
+
+// e.g. "Net of 25 bps costs vs current weights, turnover ≤ 20%", or null without current weights
+const formatTurnoverSettings = ({ currentWeights, costBps, maxTurnover } = {}) => {
+  if (!currentWeights) return null;
+  const parts = [costBps > 0 ? `Net of ${+costBps} bps costs vs current weights` : 'Vs current weights'];
+  if (maxTurnover != null) parts.push(`turnover ≤ ${+(maxTurnover * 100).toFixed(1)}%`);
+  return parts.join(', ');
+};
 
-  // 2. Covariance Matrix (Annualized)
-  const covMatrix = Array(tickers.length).fill(0).map(() => Array(tickers.length).fill(0));
-  
-  for (let i = 0; i < tickers.length; i++) {
-    for (let j = 0; j < tickers.length; j++) {
-      let sumProduct = 0;
-      const t1 = tickers[i];
-      const t2 = tickers[j];
-      const mean1 = means[t1] / 252; // Daily mean for cov calculation
-      const mean2 = means[t2] / 252;
-
-      for (let k = 0; k < n; k++) {
-        sumProduct += (returns[k][t1] - mean1) * (returns[k][t2] - mean2);
-      }
-      covMatrix[i][j] = (sumProduct / (n - 1)) * 252;
+// "SVG · PNG" download links for the chart inside `targetRef`
+const ChartExportButtons = ({ targetRef, name }) => {
+  const [failure, setFailure] = useState(null);
+  const exportAs = async (format) => {
+    try {
+      const markup = chartSvg(targetRef.current);
+      if (format === 'svg') downloadFile(markup, `${exportFileName(name)}.svg`, 'image/svg+xml');
+      else downloadFile(await svgToPng(markup), `${exportFileName(name)}.png`);
+      setFailure(null);
+    } catch (err) {
+      setFailure(err.message);
     }
-  }
+  };
+  return (
+    <span className="flex items-center gap-1 text-[10px] font-normal normal-case tracking-normal text-slate-500">
+      <Download className="w-3 h-3" />
+      <button onClick={() => exportAs('svg')} className="hover:text-slate-200">SVG</button>
+      ·
+      <button onClick={() => exportAs('png')} className="hover:text-slate-200">PNG</button>
+      {failure && <span className="text-red-400" title={failure}>failed</span>}
+    </span>
+  );
+};
 
-  return { means, covMatrix };
+// Horizontal per-asset bar chart of fractions (weights or risk shares); `exportName` adds SVG/PNG downloads
+const WeightBarChart = ({ title, values, tickers, exportName }) => {
+  const chartRef = useRef(null);
+  return (
+    <div>
+      <h4 className="text-xs font-semibold text-slate-300 mb-2 uppercase tracking-wide flex justify-between items-center gap-2">
+        {title}
+        {exportName && <ChartExportButtons targetRef={chartRef} name={exportName} />}
+      </h4>
+      <div className="h-40" ref={chartRef}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={tickers.map((t, i) => ({ name: t, value: values[i] }))} layout="vertical" margin={{left: 0, right: 10}}>
+            <XAxis type="number" hide domain={[dataMin => Math.min(0, dataMin), dataMax => Math.max(1, dataMax)]} />
+            <YAxis type="category" dataKey="name" width={40} tick={{fill: '#94a3b8', fontSize: 10}} />
+            <Tooltip 
+              cursor={{fill: 'transparent'}}
+              content={({ active, payload }) => {
+                if (active && payload && payload.length) {
+                  return (
+                    <div className="bg-slate-900 text-xs px-2 py-1 rounded border border-slate-700">
+                      {(payload[0].value * 100).toFixed(1)}%
+                    </div>
+                  );
+                }
+                return null;
+              }}
+            />
+            <Bar dataKey="value" radius={[0, 4, 4, 0]}>
+              {tickers.map((entry, index) => (
+                <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
 };
 
-// Simulation Engine: Monte Carlo
-const runSimulation = (stats, tickers, riskFreeRate, iterations = 2000) => {
-  const results = [];
-  const { means, covMatrix } = stats;
-
-  for (let i = 0; i < iterations; i++) {
-    // 1. Generate Random Weights
-    let weights = tickers.map(() => Math.random());
-    const sumWeights = weights.reduce((a, b) => a + b, 0);
-    weights = weights.map(w => w / sumWeights); // Normalize to sum to 1
-
-    // 2. Portfolio Return
-    let portReturn = 0;
-    weights.forEach((w, idx) => {
-      portReturn += w * means[tickers[idx]];
-    });
+// Correlation matrix as a colored grid: red for positive, blue for negative, stronger color for larger |ρ|
+const CorrelationHeatmap = ({ tickers, matrix }) => (
+  <div className="overflow-x-auto">
+    <table className="text-[11px] font-mono border-separate" style={{ borderSpacing: 2 }}>
+      <thead>
+        <tr>
+          <th></th>
+          {tickers.map(t => <th key={t} className="px-1 pb-1 text-slate-400 font-medium">{t}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {matrix.map((row, i) => (
+          <tr key={tickers[i]}>
+            <th className="pr-2 text-right text-slate-400 font-medium">{tickers[i]}</th>
+            {row.map((value, j) => (
+              <td 
+                key={tickers[j]} 
+                title={`${tickers[i]} / ${tickers[j]}: ${value.toFixed(3)}`}
+                className="w-12 h-8 text-center rounded text-white"
+                style={{ backgroundColor: value >= 0 ? `rgba(239, 68, 68, ${value.toFixed(2)})` : `rgba(59, 130, 246, ${(-value).toFixed(2)})` }}
+              >
+                {value.toFixed(2)}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Stats tiles, allocation and risk contribution charts for one portfolio. `children` render under the header (e.g. controls).
+// `risk` holds what the downside metrics need: { covMatrix, returnRows, riskFreeRate, confidence, periodsPerYear }.
+const PortfolioCard = ({ title, subtitle, badge, icon: Icon, theme, portfolio, tickers, risk, children }) => {
+  const downside = downsideMetrics(portfolio.weights, risk.returnRows, risk.riskFreeRate, risk.confidence, risk.periodsPerYear);
+  const confidenceLabel = formatConfidence(risk.confidence);
+  const downsideTiles = [
+    { label: `VaR ${confidenceLabel}`, value: `${(downside.var * 100).toFixed(2)}%`, title: 'Historical one-period value at risk' },
+    { label: `CVaR ${confidenceLabel}`, value: `${(downside.cvar * 100).toFixed(2)}%`, title: 'Average one-period loss beyond the VaR' },
+    { label: 'Sortino', value: downside.sortino != null ? downside.sortino.toFixed(2) : '–', title: 'Excess return over downside deviation' },
+    { label: 'Max DD', value: `${(downside.maxDrawdown * 100).toFixed(1)}%`, title: 'Largest peak-to-trough loss' },
+    { label: 'Calmar', value: downside.calmar != null ? downside.calmar.toFixed(2) : '–', title: 'CAGR over max drawdown' },
+  ];
+
+  // Set when the run measured trades against current weights (applyTradingCosts)
+  const tradeTiles = portfolio.turnover != null ? [
+    { label: 'Gross Return', value: `${(portfolio.grossReturn * 100).toFixed(2)}%`, title: 'Expected return before trading costs' },
+    { label: 'Turnover', value: `${(portfolio.turnover * 100).toFixed(1)}%`, title: 'One-way turnover from the current weights' },
+    { label: 'Cost', value: `${(portfolio.cost * 100).toFixed(2)}%`, title: 'Trading cost of moving from the current weights' },
+  ] : [];
+
+  // Set when the run had a benchmark (applyBenchmarkMetrics)
+  const benchmarkTiles = portfolio.trackingError != null ? [
+    { label: 'Beta', value: portfolio.beta.toFixed(2), title: 'Sensitivity to the benchmark return' },
+    { label: 'Alpha', value: `${(portfolio.alpha * 100).toFixed(2)}%`, title: "Jensen's alpha: excess return beyond beta times the benchmark's" },
+    { label: 'Active', value: `${(portfolio.activeReturn * 100).toFixed(2)}%`, title: 'Expected return minus the benchmark return' },
+    { label: 'Track. Err', value: `${(portfolio.trackingError * 100).toFixed(2)}%`, title: 'Volatility of the return difference to the benchmark' },
+    { label: 'Info Ratio', value: portfolio.informationRatio != null ? portfolio.informationRatio.toFixed(2) : '–', title: 'Active return per unit of tracking error' },
+  ] : [];
 
-    // 3. Portfolio Volatility (Std Dev)
-    // Variance = w_transpose * CovMatrix * w
-    let portVar = 0;
-    for (let r = 0; r < tickers.length; r++) {
-      for (let c = 0; c < tickers.length; c++) {
-        portVar += weights[r] * weights[c] * covMatrix[r][c];
-      }
-    }
-    const portVol = Math.sqrt(portVar);
+  return (
+    <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 shadow-lg relative overflow-hidden group">
+      <div className="absolute top-0 right-0 p-3 opacity-10 group-hover:opacity-20 transition-opacity">
+        <Icon className={`w-24 h-24 ${theme.icon}`} />
+      </div>
+    
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-white">{title}</h3>
+          <p className="text-xs text-slate-400">{subtitle}</p>
+        </div>
+        <div className={`px-3 py-1 rounded-full text-xs font-bold border ${theme.badge}`}>
+          {badge}
+        </div>
+      </div>
 
-    // 4. Sharpe Ratio
-    const sharpe = (portReturn - riskFreeRate) / portVol;
+      {children && <div className="mb-4 relative">{children}</div>}
 
-    results.push({
-      id: i,
-      return: portReturn,
-      volatility: portVol,
-      sharpe: sharpe,
-      weights: weights // Array matching tickers order
-    });
-  }
+      <div className="grid grid-cols-3 gap-2 mb-2 text-center">
+        <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
+          <p className="text-[10px] text-slate-400 uppercase">{tradeTiles.length > 0 ? 'Net Return' : 'Return'}</p>
+          <p className="text-lg font-mono font-bold text-green-400">{(portfolio.return * 100).toFixed(2)}%</p>
+        </div>
+        <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
+          <p className="text-[10px] text-slate-400 uppercase">Risk (Vol)</p>
+          <p className="text-lg font-mono font-bold text-red-400">{(portfolio.volatility * 100).toFixed(2)}%</p>
+        </div>
+        <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
+          <p className="text-[10px] text-slate-400 uppercase">Sharpe</p>
+          <p className="text-lg font-mono font-bold text-blue-400">{portfolio.sharpe.toFixed(2)}</p>
+        </div>
+      </div>
 
-  return results;
-};
+      <div className={`grid grid-cols-5 gap-2 ${tradeTiles.length > 0 || benchmarkTiles.length > 0 ? 'mb-2' : 'mb-6'} text-center`}>
+        {downsideTiles.map(({ label, value, title: hint }) => (
+          <div key={label} title={hint} className="bg-slate-900/50 p-1.5 rounded border border-slate-700">
+            <p className="text-[9px] text-slate-400 uppercase">{label}</p>
+            <p className="text-sm font-mono font-bold text-orange-300">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      {benchmarkTiles.length > 0 && (
+        <div className={`grid grid-cols-5 gap-2 ${tradeTiles.length > 0 ? 'mb-2' : 'mb-6'} text-center`}>
+          {benchmarkTiles.map(({ label, value, title: hint }) => (
+            <div key={label} title={hint} className="bg-slate-900/50 p-1.5 rounded border border-slate-700">
+              <p className="text-[9px] text-slate-400 uppercase">{label}</p>
+              <p className="text-sm font-mono font-bold text-teal-300">{value}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {tradeTiles.length > 0 && (
+        <div className="grid grid-cols-3 gap-2 mb-6 text-center">
+          {tradeTiles.map(({ label, value, title: hint }) => (
+            <div key={label} title={hint} className="bg-slate-900/50 p-1.5 rounded border border-slate-700">
+              <p className="text-[9px] text-slate-400 uppercase">{label}</p>
+              <p className="text-sm font-mono font-bold text-slate-200">{value}</p>
+            </div>
+          ))}
+        </div>
+      )}
 
-// --- MOCK GENERATOR FOR FALLBACK ---
-// Used when the PHP API is not available
-const generateMockHistory = (tickers) => {
-  const n = 252; // 1 year
-  const data = [];
-  const now = new Date();
-  
-  // Initialize random start prices
-  const prices = {};
-  tickers.forEach(t => prices[t] = 100 + Math.random() * 400); 
-
-  for (let i = 0; i < n; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - (n - i));
-    const dateStr = date.toISOString().split('T')[0];
-    
-    const row = { Date: dateStr };
-    tickers.forEach(t => {
-      // Geometric Brownian Motion-ish
-      const volatility = 0.02; 
-      const drift = 0.0005;
-      const change = drift + (Math.random() - 0.5) * 2 * volatility;
-      prices[t] = prices[t] * (1 + change);
-      row[t] = prices[t];
-    });
-    data.push(row);
-  }
-  return data;
+      <div className="grid grid-cols-2 gap-3">
+        <WeightBarChart title="Allocation" values={portfolio.weights} tickers={tickers} exportName={`${title} allocation`} />
+        <WeightBarChart title="Risk Contribution" values={riskContributions(portfolio.weights, risk.covMatrix)} tickers={tickers} exportName={`${title} risk contribution`} />
+      </div>
+    </div>
+  );
 };
 
-
 /**
  * --- MAIN COMPONENT ---
  */
@@ -148,93 +308,288 @@ const PortfolioOptimizer = () => {
   const [tickers, setTickers] = useState([]);
   const [riskFreeRate, setRiskFreeRate] = useState(0.02);
   const [iterations, setIterations] = useState(2500);
+  const [seed, setSeed] = useState(randomSeed); // Random portfolio and projection seed; null = a fresh one per run
   const [simResults, setSimResults] = useState([]);
+  const [frontier, setFrontier] = useState(null); // { points, maxSharpe, minVol, riskParity, minCVaR, constraints, ... }
+  const [frontierPoints, setFrontierPoints] = useState(50);
+  const [showRandomPortfolios, setShowRandomPortfolios] = useState(true);
+  const [covEstimator, setCovEstimator] = useState('sample');
+  const [ewmaHalfLife, setEwmaHalfLife] = useState(60);
+  const [returnOptions, setReturnOptions] = useState(DEFAULT_RETURN_OPTIONS); // Return type, resampling, annualization, alignment
+  const [cvarConfidence, setCvarConfidence] = useState(0.95);
+  const [riskAxis, setRiskAxis] = useState('volatility'); // Frontier chart x-axis: 'volatility' | 'cvar'
+  const [frontierView, setFrontierView] = useState('absolute'); // 'absolute' | 'active' (active return vs tracking error)
+  const [benchmarkSettings, setBenchmarkSettings] = useState(DEFAULT_BENCHMARK_SETTINGS);
+  const [benchmarkSeries, setBenchmarkSeries] = useState(null); // { ticker, points: [{ date, price }], source } outside the universe
+  const [benchmarkSymbol, setBenchmarkSymbol] = useState(''); // Outside benchmark to fetch
+  const [returnModel, setReturnModel] = useState(DEFAULT_RETURN_MODEL); // CAPM / Black-Litterman settings
+  const [constraints, setConstraints] = useState(DEFAULT_CONSTRAINTS);
+  const [showConstraintEditor, setShowConstraintEditor] = useState(false);
   const [isSimulating, setIsSimulating] = useState(false);
+  const [progress, setProgress] = useState(null); // { fraction, stage } while the worker runs
+  const [stats, setStats] = useState(null); // { means, historicalMeans, covMatrix, ... } behind the current frontier
+  const [targetMode, setTargetMode] = useState('return'); // 'return' | 'volatility'
+  const [targetValue, setTargetValue] = useState(null); // null = middle of the frontier
+  const [pinnedPortfolio, setPinnedPortfolio] = useState(null); // Portfolio clicked on the chart
+  const [backtestOptions, setBacktestOptions] = useState(DEFAULT_BACKTEST_OPTIONS);
+  const [backtest, setBacktest] = useState(null); // { equity, summary, rebalances, options }
+  const [backtestProgress, setBacktestProgress] = useState(null); // { fraction, stage } while backtesting
   const [isFetching, setIsFetching] = useState(false);
+  const [importDraft, setImportDraft] = useState(null); // Uploaded file awaiting column mapping: { fileName, rows, mapping, ... }
+  const [saveUploadsToLibrary, setSaveUploadsToLibrary] = useState(true);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings); // Fetch tab provider and its options
+  const [priceLibrary, setPriceLibrary] = useState(loadPriceLibrary); // { TICKER: { source, savedAt, series } }
+  const [fetchOutcome, setFetchOutcome] = useState(null); // fetchPrices result plus { tickers } while some tickers failed
+  const [simulatedTickers, setSimulatedTickers] = useState([]); // Tickers filled with generateMockHistory
+  const [priceBases, setPriceBases] = useState({}); // { TICKER: PRICE_BASES id } of the loaded prices
+  const [tickerCurrencies, setTickerCurrencies] = useState({}); // { TICKER: code } reported or set by hand; else guessed
+  const [currencySettings, setCurrencySettings] = useState(DEFAULT_CURRENCY_SETTINGS); // Base currency, hedging
+  const [fxRates, setFxRates] = useState({}); // { EURUSD: [{ date, rate }] } fetched or uploaded
+  const [showCurrencyEditor, setShowCurrencyEditor] = useState(false);
+  const [runCurrency, setRunCurrency] = useState(null); // Currency basis of the current frontier, for its label
+  const [workspaceNames, setWorkspaceNames] = useState([]); // Saved workspaces in this browser
+  const [workspaceName, setWorkspaceName] = useState('');
+  const [shareLink, setShareLink] = useState(null);
+  const [pendingShare, setPendingShare] = useState(false); // A share link was opened; fetch its universe next
+  const [autoRun, setAutoRun] = useState(false); // false | true | 'fx': run once prices (and FX rates) are loaded
+  const [projectionSettings, setProjectionSettings] = useState(DEFAULT_PROJECTION_SETTINGS); // Wealth projection inputs
+  const [projection, setProjection] = useState(null); // { results: { maxSharpe, minVol }, settings } of the current frontier
+  const [projectionProgress, setProjectionProgress] = useState(null); // { fraction, stage } while projecting
+  const [holdings, setHoldings] = useState({ shares: {}, cash: 0, lotSizes: {} }); // Current position for the trade list
+  const [tradeSettings, setTradeSettings] = useState(DEFAULT_TRADE_SETTINGS); // Minimum trade size and cost model
+  const [rebalanceTarget, setRebalanceTarget] = useState('Max Sharpe'); // Name of the portfolio to trade into
+  const [holdingsNote, setHoldingsNote] = useState(null); // Import remarks (tickers outside the universe, skipped lines)
+  const [syntheticSettings, setSyntheticSettings] = useState(() => ({ ...DEFAULT_SYNTHETIC_SETTINGS, seed: randomSeed() }));
+  const [syntheticMarket, setSyntheticMarket] = useState(null); // { tickers, truth, crisisPeriods, settings } of the generated market
+  const [correlationPair, setCorrelationPair] = useState({ first: null, second: null, window: null }); // Rolling correlation chart; null = default window
   const [error, setError] = useState(null);
   
   // Ticker Input State
   const [tickerInput, setTickerInput] = useState("AAPL, MSFT, GOOG, TSLA");
-  const [dataSourceMode, setDataSourceMode] = useState('sample'); // 'sample', 'upload', 'fetch'
+  const [dataSourceMode, setDataSourceMode] = useState('sample'); // 'sample', 'synthetic', 'upload', 'fetch'
 
   // Ref for file input
   const fileInputRef = useRef(null);
+  // Ref for the frontier chart (image export and report)
+  const frontierChartRef = useRef(null);
+  const priceChartRef = useRef(null);
+  const correlationChartRef = useRef(null);
+  // Ref for the running optimization worker
+  const workerRef = useRef(null);
+  const backtestWorkerRef = useRef(null);
+  const projectionWorkerRef = useRef(null);
+
+  useEffect(() => saveProviderSettings(providerSettings), [providerSettings]);
+
+  // Stop any running worker when the component unmounts
+  useEffect(() => () => {
+    if (workerRef.current) workerRef.current.terminate();
+    if (backtestWorkerRef.current) backtestWorkerRef.current.terminate();
+    if (projectionWorkerRef.current) projectionWorkerRef.current.terminate();
+  }, []);
 
   // Sample Data Loader
   const loadSampleData = () => {
-    // Mock historical prices for 4 assets over ~20 days to demo
+    // Mock historical prices for 4 assets over 20 trading days (weekdays, so they annualize with 252 periods)
     const mockData = [
-      { Date: '2023-01-01', SPY: 380, TLT: 100, GLD: 170, BTC: 16500 },
-      { Date: '2023-01-02', SPY: 382, TLT: 101, GLD: 171, BTC: 16600 },
-      { Date: '2023-01-03', SPY: 381, TLT: 102, GLD: 172, BTC: 16700 },
-      { Date: '2023-01-04', SPY: 385, TLT: 103, GLD: 171, BTC: 16800 },
-      { Date: '2023-01-05', SPY: 383, TLT: 102, GLD: 170, BTC: 16900 },
-      { Date: '2023-01-06', SPY: 389, TLT: 104, GLD: 173, BTC: 17000 },
-      { Date: '2023-01-07', SPY: 390, TLT: 105, GLD: 174, BTC: 17200 },
-      { Date: '2023-01-08', SPY: 392, TLT: 104, GLD: 175, BTC: 17400 },
-      { Date: '2023-01-09', SPY: 395, TLT: 103, GLD: 176, BTC: 18000 },
-      { Date: '2023-01-10', SPY: 396, TLT: 102, GLD: 177, BTC: 19000 },
-      { Date: '2023-01-11', SPY: 398, TLT: 101, GLD: 178, BTC: 20000 },
-      { Date: '2023-01-12', SPY: 399, TLT: 100, GLD: 179, BTC: 21000 },
-      { Date: '2023-01-13', SPY: 400, TLT: 102, GLD: 180, BTC: 20500 },
-      { Date: '2023-01-14', SPY: 395, TLT: 103, GLD: 181, BTC: 20800 },
-      { Date: '2023-01-15', SPY: 398, TLT: 104, GLD: 182, BTC: 21200 },
-      { Date: '2023-01-16', SPY: 405, TLT: 106, GLD: 180, BTC: 22000 },
-      { Date: '2023-01-17', SPY: 410, TLT: 108, GLD: 179, BTC: 23000 },
-      { Date: '2023-01-18', SPY: 408, TLT: 107, GLD: 178, BTC: 22500 },
-      { Date: '2023-01-19', SPY: 406, TLT: 105, GLD: 180, BTC: 22800 },
-      { Date: '2023-01-20', SPY: 412, TLT: 104, GLD: 182, BTC: 23500 },
+      { Date: '2023-01-02', SPY: 380, TLT: 100, GLD: 170, BTC: 16500 },
+      { Date: '2023-01-03', SPY: 382, TLT: 101, GLD: 171, BTC: 16600 },
+      { Date: '2023-01-04', SPY: 381, TLT: 102, GLD: 172, BTC: 16700 },
+      { Date: '2023-01-05', SPY: 385, TLT: 103, GLD: 171, BTC: 16800 },
+      { Date: '2023-01-06', SPY: 383, TLT: 102, GLD: 170, BTC: 16900 },
+      { Date: '2023-01-09', SPY: 389, TLT: 104, GLD: 173, BTC: 17000 },
+      { Date: '2023-01-10', SPY: 390, TLT: 105, GLD: 174, BTC: 17200 },
+      { Date: '2023-01-11', SPY: 392, TLT: 104, GLD: 175, BTC: 17400 },
+      { Date: '2023-01-12', SPY: 395, TLT: 103, GLD: 176, BTC: 18000 },
+      { Date: '2023-01-13', SPY: 396, TLT: 102, GLD: 177, BTC: 19000 },
+      { Date: '2023-01-16', SPY: 398, TLT: 101, GLD: 178, BTC: 20000 },
+      { Date: '2023-01-17', SPY: 399, TLT: 100, GLD: 179, BTC: 21000 },
+      { Date: '2023-01-18', SPY: 400, TLT: 102, GLD: 180, BTC: 20500 },
+      { Date: '2023-01-19', SPY: 395, TLT: 103, GLD: 181, BTC: 20800 },
+      { Date: '2023-01-20', SPY: 398, TLT: 104, GLD: 182, BTC: 21200 },
+      { Date: '2023-01-23', SPY: 405, TLT: 106, GLD: 180, BTC: 22000 },
+      { Date: '2023-01-24', SPY: 410, TLT: 108, GLD: 179, BTC: 23000 },
+      { Date: '2023-01-25', SPY: 408, TLT: 107, GLD: 178, BTC: 22500 },
+      { Date: '2023-01-26', SPY: 406, TLT: 105, GLD: 180, BTC: 22800 },
+      { Date: '2023-01-27', SPY: 412, TLT: 104, GLD: 182, BTC: 23500 },
     ];
     setCsvData(mockData);
     setTickers(['SPY', 'TLT', 'GLD', 'BTC']);
+    setSimulatedTickers([]);
+    setSyntheticMarket(null);
+    setPriceBases({});
+    setTickerCurrencies({});
     setSimResults([]);
+    setFrontier(null);
+    setBacktest(null);
+    setPinnedPortfolio(null);
     setError(null);
   };
 
-  // CSV Parser
+  // Synthetic market editor (drift and volatility inputs are in %, correlations are plain numbers)
+  const updateSyntheticAsset = (index, key, value) => {
+    setSyntheticSettings(prev => ({
+      ...prev,
+      assets: prev.assets.map((a, i) => (i !== index ? a : {
+        ...a, [key]: key === 'ticker' ? value.trim().toUpperCase() : parsePercentInput(value),
+      })),
+    }));
+  };
+
+  const addSyntheticAsset = () => {
+    setSyntheticSettings(prev => ({
+      ...prev,
+      assets: [...prev.assets, { ticker: `ASSET${prev.assets.length + 1}`, drift: 0.05, volatility: 0.2 }],
+      correlation: [...prev.correlation.map(row => [...row, 0]), [...prev.correlation.map(() => 0), 1]],
+    }));
+  };
+
+  const removeSyntheticAsset = (index) => {
+    setSyntheticSettings(prev => ({
+      ...prev,
+      assets: prev.assets.filter((_, i) => i !== index),
+      correlation: prev.correlation.filter((_, i) => i !== index).map(row => row.filter((_, j) => j !== index)),
+    }));
+  };
+
+  // Correlations stay symmetric: editing (i, j) also sets (j, i)
+  const updateSyntheticCorrelation = (i, j, value) => {
+    const parsed = value === '' ? null : parseFloat(value);
+    setSyntheticSettings(prev => ({
+      ...prev,
+      correlation: prev.correlation.map((row, r) => row.map((c, k) => ((r === i && k === j) || (r === j && k === i) ? parsed : c))),
+    }));
+  };
+
+  const updateSyntheticSetting = (group, key, value) => {
+    setSyntheticSettings(prev => (group ? { ...prev, [group]: { ...prev[group], [key]: value } } : { ...prev, [key]: value }));
+  };
+
+  // Generate the synthetic market and load it as the current universe
+  const loadSyntheticMarket = (settings = syntheticSettings) => {
+    try {
+      const market = generateSyntheticMarket(settings);
+      setCsvData(market.data);
+      setTickers(market.tickers);
+      setSimulatedTickers(market.tickers);
+      setSyntheticMarket({
+        tickers: market.tickers, truth: market.truth, crisisPeriods: market.crisisPeriods, settings: { ...settings, seed: market.seed },
+      });
+      setPriceBases({});
+      setTickerCurrencies({});
+      setSimResults([]);
+      setFrontier(null);
+      setBacktest(null);
+      setPinnedPortfolio(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Read an uploaded CSV/TSV/.xlsx file and open the column-mapping preview
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = (event) => {
+    reader.onload = async (event) => {
       try {
-        const text = event.target.result;
-        const lines = text.split('\n').map(l => l.trim()).filter(l => l);
-        const headers = lines[0].split(',').map(h => h.trim());
-        
-        // Assume format: Date, Asset1, Asset2...
-        const assetTickers = headers.slice(1); 
-        
-        const parsedData = [];
-        for (let i = 1; i < lines.length; i++) {
-          const values = lines[i].split(',');
-          if (values.length === headers.length) {
-            const row = { Date: values[0] };
-            assetTickers.forEach((t, idx) => {
-              row[t] = parseFloat(values[idx + 1]);
-            });
-            parsedData.push(row);
-          }
-        }
-        
-        setTickers(assetTickers);
-        setCsvData(parsedData);
-        setSimResults([]);
+        const isXlsx = /\.xlsx$/i.test(file.name);
+        const text = isXlsx ? null : decodeText(event.target.result);
+        const delimiter = isXlsx ? null : detectDelimiter(text);
+        const rows = isXlsx ? await readXlsx(event.target.result) : parseDelimited(text, delimiter);
+        setImportDraft({ fileName: file.name, text, delimiter, rows, ...detectImportSettings(rows, delimiter) });
         setError(null);
       } catch (err) {
-        setError("Failed to parse CSV. Ensure format: Date, Ticker1, Ticker2...");
+        setImportDraft(null);
+        setError(`Could not read ${file.name}: ${err.message}`);
       }
     };
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
+  };
+
+  // Re-split the text with another delimiter; the column guesses start over
+  const changeImportDelimiter = (delimiter) => {
+    setImportDraft(prev => {
+      const rows = parseDelimited(prev.text, delimiter);
+      try {
+        return { ...prev, delimiter, rows, ...detectImportSettings(rows, delimiter) };
+      } catch (err) {
+        return { ...prev, delimiter, rows };
+      }
+    });
+  };
+
+  const updateImportMapping = (key, value) => {
+    setImportDraft(prev => ({ ...prev, mapping: { ...prev.mapping, [key]: value } }));
+  };
+
+  const toggleImportColumn = (index) => {
+    setImportDraft(prev => {
+      const columns = prev.mapping.valueColumns;
+      const valueColumns = columns.includes(index) ? columns.filter(i => i !== index) : [...columns, index].sort((a, b) => a - b);
+      return { ...prev, mapping: { ...prev.mapping, valueColumns } };
+    });
+  };
+
+  const confirmImport = () => {
+    if (!importPreview || !importPreview.data) return;
+    setCsvData(importPreview.data);
+    setTickers(importPreview.tickers);
+    setSimulatedTickers([]);
+    setSyntheticMarket(null);
+    setPriceBases(Object.fromEntries(importPreview.tickers.map(t => [t, importDraft.priceBasis])));
+    setTickerCurrencies({});
+    setSimResults([]);
+    setFrontier(null);
+    setBacktest(null);
+    setPinnedPortfolio(null);
+    setError(null);
+    setImportDraft(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+    if (saveUploadsToLibrary) {
+      try {
+        setPriceLibrary(saveToPriceLibrary(importPreview.data, importPreview.tickers, importDraft.fileName, importDraft.priceBasis));
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+  };
+
+  const cancelImport = () => {
+    setImportDraft(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
   };
 
-  // Handler for Fetching Data (Real via PHP + Mock Fallback)
+  // Load a fetchPrices result (and simulated prices for `simulate`, on the fetched dates) as the current universe
+  const loadFetchedPrices = (list, { series, bases, currencies }, simulate = []) => {
+    const fetched = list.filter(t => !simulate.includes(t));
+    let rows = mergeSeries(series, fetched);
+    if (simulate.length > 0) {
+      const mock = generateMockHistory(simulate, rows.length > 0 ? rows.map(r => r.Date) : null, { seed });
+      rows = mock.map((mockRow, i) => ({ ...(rows[i] || {}), ...mockRow }));
+    }
+    setCsvData(rows);
+    setTickers(list);
+    setSimulatedTickers(simulate);
+    setSyntheticMarket(null);
+    setPriceBases(Object.fromEntries(fetched.map(t => [t, bases[t]])));
+    setTickerCurrencies(Object.fromEntries(fetched.filter(t => currencies[t]).map(t => [t, currencies[t]])));
+    setSimResults([]);
+    setFrontier(null);
+    setBacktest(null);
+    setPinnedPortfolio(null);
+    setFetchOutcome(null);
+    setError(null);
+  };
+
+  // Handler for Fetching Data with the selected provider; partial failures wait for a decision in the Fetch tab
   const handleFetchTickers = async () => {
-    const rawTickers = tickerInput
+    const rawTickers = [...new Set(tickerInput
       .split(',')
       .map(t => t.trim().toUpperCase())
-      .filter(t => t.length > 0);
+      .filter(t => t.length > 0))];
 
     if (rawTickers.length < 2) {
       setError("Please enter at least 2 tickers to optimize a portfolio.");
@@ -243,120 +598,836 @@ const PortfolioOptimizer = () => {
 
     setIsFetching(true);
     setError(null);
+    setFetchOutcome(null);
+    const result = await fetchPrices(rawTickers, providerSettings);
+    setIsFetching(false);
 
-    try {
-      const fetchedDataByTicker = {};
-      const allDates = new Set();
-
-      // Fetch each ticker from your PHP proxy
-      for (const t of rawTickers) {
-        const url = `https://www.aliazary.com/apps/mptlab/api.php?mode=json_data&symbol=${encodeURIComponent(t)}&range=1y`;
-        const response = await fetch(url);
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status} while fetching ${t}`);
-        }
-
-        const json = await response.json();
-
-        // Expecting Yahoo-style chart JSON
-        const chart = json.chart;
-        if (!chart || chart.error || !chart.result || !chart.result[0]) {
-          throw new Error(`Unexpected data format for ${t}`);
-        }
-
-        const result = chart.result[0];
-        const timestamps = result.timestamp || [];
-        const quotes =
-          result.indicators &&
-          result.indicators.quote &&
-          result.indicators.quote[0] &&
-          result.indicators.quote[0].close
-            ? result.indicators.quote[0].close
-            : [];
-
-        fetchedDataByTicker[t] = {};
-
-        timestamps.forEach((ts, i) => {
-          const price = quotes[i];
-          if (price != null && !Number.isNaN(price)) {
-            const dateStr = new Date(ts * 1000).toISOString().split("T")[0];
-            fetchedDataByTicker[t][dateStr] = price;
-            allDates.add(dateStr);
-          }
-        });
-      }
+    if (Object.keys(result.errors).length === 0) loadFetchedPrices(rawTickers, result);
+    else setFetchOutcome({ tickers: rawTickers, ...result });
+  };
 
-      // Merge into array of rows: { Date, Ticker1, Ticker2, ... }
-      const mergedRows = Array.from(allDates)
-        .sort()
-        .map(date => {
-          const row = { Date: date };
-          rawTickers.forEach(t => {
-            const value = fetchedDataByTicker[t][date];
-            row[t] = typeof value === "number" ? value : null;
-          });
-          return row;
-        });
-
-      if (mergedRows.length === 0) {
-        throw new Error("No price data returned from API.");
-      }
+  // Next step after a partial failure: 'retry' | 'drop' | 'simulateMissing' | 'simulateAll' | 'cancel'
+  const resolveFetchOutcome = async (action) => {
+    const { tickers: list, errors } = fetchOutcome;
+    const failed = list.filter(t => errors[t]);
+    const loaded = list.filter(t => !errors[t]);
+    if (action === 'retry') {
+      setIsFetching(true);
+      const retry = await fetchPrices(failed, providerSettings);
+      setIsFetching(false);
+      const merged = {
+        tickers: list,
+        series: { ...fetchOutcome.series, ...retry.series },
+        bases: { ...fetchOutcome.bases, ...retry.bases },
+        currencies: { ...fetchOutcome.currencies, ...retry.currencies },
+        errors: retry.errors,
+      };
+      if (Object.keys(retry.errors).length === 0) loadFetchedPrices(list, merged);
+      else setFetchOutcome(merged);
+    } else if (action === 'drop') {
+      loadFetchedPrices(loaded, fetchOutcome);
+    } else if (action === 'simulateMissing') {
+      loadFetchedPrices(list, fetchOutcome, failed);
+    } else if (action === 'simulateAll') {
+      loadFetchedPrices(list, { series: {}, bases: {}, currencies: {} }, list);
+    } else {
+      setFetchOutcome(null);
+    }
+  };
 
-      setCsvData(mergedRows);
-      setTickers(rawTickers);
-      setSimResults([]);
+  const removeLibraryTicker = (ticker) => {
+    try {
+      setPriceLibrary(removeFromPriceLibrary(ticker));
     } catch (err) {
-      console.error(err);
-      setError("Error fetching real data. Falling back to simulated data.");
+      setError(err.message);
+    }
+  };
 
-      // Fallback: use mock generator so the app still works
-      const mockHistory = generateMockHistory(rawTickers);
-      setCsvData(mockHistory);
-      setTickers(rawTickers);
-      setSimResults([]);
-    } finally {
-      setIsFetching(false);
+  const fetchFailed = fetchOutcome ? fetchOutcome.tickers.filter(t => fetchOutcome.errors[t]) : [];
+
+  // FX rates for the listing currencies that differ from the base, with the selected provider
+  const handleFetchFx = async () => {
+    if (fxPairs.length === 0) return;
+    setIsFetching(true);
+    setError(null);
+    const result = await fetchPrices(fxPairs.map(fxSymbol), { ...providerSettings, priceBasis: 'close' });
+    setIsFetching(false);
+    setFxRates(prev => ({ ...prev, ...fxFromSeries(result.series) }));
+    const failed = Object.keys(result.errors);
+    if (failed.length > 0) setError(`Could not load FX rates for ${failed.join(', ')}: ${result.errors[failed[0]]}`);
+  };
+
+  // FX rates from a CSV/.xlsx price table whose columns are pairs such as EURUSD or EURUSD=X
+  const handleFxUpload = (e) => {
+    const input = e.target;
+    const file = input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      try {
+        const isXlsx = /\.xlsx$/i.test(file.name);
+        const text = isXlsx ? null : decodeText(event.target.result);
+        const delimiter = isXlsx ? null : detectDelimiter(text);
+        const rows = isXlsx ? await readXlsx(event.target.result) : parseDelimited(text, delimiter);
+        const settings = detectImportSettings(rows, delimiter);
+        const { data, tickers: columns } = buildPriceTable(rows, settings.mapping, settings);
+        const rates = fxFromTable(data, columns);
+        if (Object.keys(rates).length === 0) throw new Error('no FX pair columns (e.g. EURUSD) found');
+        setFxRates(prev => ({ ...prev, ...rates }));
+        setError(null);
+      } catch (err) {
+        setError(`Could not read ${file.name}: ${err.message}`);
+      }
+      input.value = '';
+    };
+    reader.readAsArrayBuffer(file);
+  };
+
+  // Benchmark outside the universe, with the Fetch tab provider and price basis
+  const handleFetchBenchmark = async (symbol) => {
+    const ticker = symbol.trim().toUpperCase();
+    if (!ticker) return;
+    setIsFetching(true);
+    setError(null);
+    const result = await fetchPrices([ticker], providerSettings);
+    setIsFetching(false);
+    if (!result.series[ticker]) {
+      setError(`Could not load the benchmark ${ticker}: ${result.errors[ticker] || 'no prices returned'}`);
+      return;
     }
+    setBenchmarkSeries({ ticker, points: result.series[ticker], source: 'fetched' });
+    setBenchmarkSettings(prev => ({ ...prev, ticker }));
+  };
+
+  // Benchmark from a CSV/.xlsx price table: its first price column
+  const handleBenchmarkUpload = (e) => {
+    const input = e.target;
+    const file = input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      try {
+        const isXlsx = /\.xlsx$/i.test(file.name);
+        const text = isXlsx ? null : decodeText(event.target.result);
+        const delimiter = isXlsx ? null : detectDelimiter(text);
+        const rows = isXlsx ? await readXlsx(event.target.result) : parseDelimited(text, delimiter);
+        const settings = detectImportSettings(rows, delimiter);
+        const { data, tickers: columns } = buildPriceTable(rows, settings.mapping, settings);
+        if (columns.length === 0) throw new Error('no price column found');
+        const [ticker] = columns;
+        const points = data.filter(row => readPrice(row, ticker) != null).map(row => ({ date: row.Date, price: readPrice(row, ticker) }));
+        setBenchmarkSeries({ ticker, points, source: file.name });
+        setBenchmarkSettings(prev => ({ ...prev, ticker }));
+        setError(null);
+      } catch (err) {
+        setError(`Could not read ${file.name}: ${err.message}`);
+      }
+      input.value = '';
+    };
+    reader.readAsArrayBuffer(file);
+  };
+
+  const updateProviderSettings = (section, key, value) => {
+    setProviderSettings(prev => ({ ...prev, [section]: { ...prev[section], [key]: value } }));
   };
 
   // Run Optimization
+  const stopWorker = () => {
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
+    setIsSimulating(false);
+    setProgress(null);
+  };
+
+  // Run Optimization (in a Web Worker; partial results stream in as they are computed)
   const handleOptimize = () => {
+    if (baseConversion.missingPairs.length > 0) {
+      setError(`Missing FX rates for ${baseConversion.missingPairs.join(', ')}: fetch or upload them under Currencies.`);
+      return;
+    }
+    if (workerRef.current) workerRef.current.terminate();
+    const worker = createOptimizerWorker();
+    workerRef.current = worker;
+
     setIsSimulating(true);
-    // Timeout to allow UI to render the loading state
-    setTimeout(() => {
+    setProgress({ fraction: 0, stage: 'Starting' });
+    setError(null);
+    setFrontier(null);
+    setSimResults([]);
+    setStats(null);
+    setTargetValue(null);
+    setPinnedPortfolio(null);
+    setRunCurrency(currencyLabel);
+
+    worker.onmessage = ({ data: msg }) => {
+      if (workerRef.current !== worker) return; // Stale message from a cancelled run
+      switch (msg.type) {
+        case 'progress':
+          setProgress({ fraction: msg.fraction, stage: msg.stage });
+          break;
+        case 'frontierPoints':
+          setFrontier({ points: msg.points, constraints });
+          break;
+        case 'frontier':
+          setFrontier(msg.frontier);
+          setStats(msg.stats);
+          break;
+        case 'simulation':
+          setSimResults(prev => [...prev, ...msg.results]);
+          break;
+        case 'error':
+          setError(msg.message);
+          stopWorker();
+          break;
+        case 'done':
+          stopWorker();
+          break;
+        default:
+          break;
+      }
+    };
+    worker.onerror = (e) => {
+      setError(e.message || "Optimization worker failed.");
+      stopWorker();
+    };
+
+    worker.postMessage({
+      type: 'run',
+      payload: {
+        csvData: benchmarkOutside ? addSeriesColumn(priceData, benchmarkChoice, benchmarkSeries.points) : priceData,
+        tickers, riskFreeRate, iterations, frontierPoints, constraints, showRandomPortfolios,
+        covarianceOptions: { estimator: covEstimator, halfLife: ewmaHalfLife },
+        returnOptions,
+        returnModel: { ...returnModel, benchmark: benchmarkTicker },
+        cvarConfidence,
+        seed,
+        benchmark: benchmarkChoice ? { ticker: benchmarkChoice, trackingErrorBudget: benchmarkSettings.trackingErrorBudget } : null,
+      },
+    });
+  };
+
+  // Walk-forward Backtest (separate worker, so it can run next to an optimization)
+  const stopBacktest = () => {
+    if (backtestWorkerRef.current) backtestWorkerRef.current.terminate();
+    backtestWorkerRef.current = null;
+    setBacktestProgress(null);
+  };
+
+  const handleBacktest = () => {
+    if (baseConversion.missingPairs.length > 0) {
+      setError(`Missing FX rates for ${baseConversion.missingPairs.join(', ')}: fetch or upload them under Currencies.`);
+      return;
+    }
+    if (backtestWorkerRef.current) backtestWorkerRef.current.terminate();
+    const worker = createOptimizerWorker();
+    backtestWorkerRef.current = worker;
+
+    setBacktestProgress({ fraction: 0, stage: 'Starting' });
+    setBacktest(null);
+    setError(null);
+
+    worker.onmessage = ({ data: msg }) => {
+      if (backtestWorkerRef.current !== worker) return;
+      switch (msg.type) {
+        case 'progress':
+          setBacktestProgress({ fraction: msg.fraction, stage: msg.stage });
+          break;
+        case 'backtest':
+          setBacktest({ ...msg.result, currency: currencyLabel });
+          break;
+        case 'error':
+          setError(msg.message);
+          stopBacktest();
+          break;
+        case 'done':
+          stopBacktest();
+          break;
+        default:
+          break;
+      }
+    };
+    worker.onerror = (e) => {
+      setError(e.message || "Backtest worker failed.");
+      stopBacktest();
+    };
+
+    worker.postMessage({
+      type: 'backtest',
+      payload: {
+        csvData: priceData, tickers, riskFreeRate,
+        settings: {
+          constraints,
+          covarianceOptions: { estimator: covEstimator, halfLife: ewmaHalfLife },
+          returnOptions,
+          returnModel: { ...returnModel, benchmark: benchmarkTicker },
+        },
+        options: backtestOptions,
+      },
+    });
+  };
+
+  const stopProjection = () => {
+    if (projectionWorkerRef.current) projectionWorkerRef.current.terminate();
+    projectionWorkerRef.current = null;
+    setProjectionProgress(null);
+  };
+
+  // A projection belongs to the frontier it was run on
+  useEffect(() => {
+    stopProjection();
+    setProjection(null);
+  }, [frontier]);
+
+  // Project Max Sharpe and Min Variance with the statistics of the last run
+  const handleProjection = () => {
+    if (!optimalPortfolios || !stats) return;
+    if (projectionWorkerRef.current) projectionWorkerRef.current.terminate();
+    const worker = createOptimizerWorker();
+    projectionWorkerRef.current = worker;
+    // The run's seed, so a projection of the same frontier draws the same paths
+    const settings = { ...projectionSettings, seed: frontier.seed ?? null };
+
+    setProjectionProgress({ fraction: 0, stage: 'Starting' });
+    setProjection(null);
+    setError(null);
+
+    worker.onmessage = ({ data: msg }) => {
+      if (projectionWorkerRef.current !== worker) return;
+      switch (msg.type) {
+        case 'progress':
+          setProjectionProgress({ fraction: msg.fraction, stage: msg.stage });
+          break;
+        case 'projection':
+          setProjection({ results: msg.results, settings });
+          break;
+        case 'error':
+          setError(msg.message);
+          stopProjection();
+          break;
+        case 'done':
+          stopProjection();
+          break;
+        default:
+          break;
+      }
+    };
+    worker.onerror = (e) => {
+      setError(e.message || "Projection worker failed.");
+      stopProjection();
+    };
+
+    const { means, covMatrix, returnRows, periodsPerYear, returnSettings } = stats;
+    worker.postMessage({
+      type: 'projection',
+      payload: {
+        stats: { means, covMatrix, returnRows, periodsPerYear, returnSettings },
+        tickers,
+        portfolios: PROJECTED_PORTFOLIOS.map(({ id }) => ({ id, weights: optimalPortfolios[id].weights })),
+        settings,
+      },
+    });
+  };
+
+  // Constraint Editor Helpers (inputs are in %, state holds weight fractions)
+  const parsePercentInput = (value) => {
+    const parsed = parseFloat(value);
+    return value === '' || Number.isNaN(parsed) ? undefined : parsed / 100;
+  };
+  const formatPercentInput = (value) => (value != null ? +(value * 100).toFixed(4) : '');
+
+  const updateBound = (ticker, key, value) => {
+    setConstraints(prev => ({
+      ...prev,
+      bounds: { ...prev.bounds, [ticker]: { ...prev.bounds[ticker], [key]: parsePercentInput(value) } },
+    }));
+  };
+
+  const updateGroupOf = (ticker, group) => {
+    setConstraints(prev => ({ ...prev, groupOf: { ...prev.groupOf, [ticker]: group.trim() } }));
+  };
+
+  const updateGroupLimit = (group, key, value) => {
+    setConstraints(prev => ({
+      ...prev,
+      groupLimits: { ...prev.groupLimits, [group]: { ...prev.groupLimits[group], [key]: parsePercentInput(value) } },
+    }));
+  };
+
+  // Turnover Helpers (current weights are fractions keyed by ticker, edited in %)
+  const updateTurnover = (changes) => {
+    setConstraints(prev => ({ ...prev, turnover: { ...DEFAULT_CONSTRAINTS.turnover, ...prev.turnover, ...changes } }));
+  };
+
+  const updateCurrentWeight = (ticker, value) => {
+    const weights = { ...(constraints.turnover && constraints.turnover.currentWeights), [ticker]: parsePercentInput(value) };
+    updateTurnover({ currentWeights: Object.values(weights).some(w => w != null) ? weights : null });
+  };
+
+  // Current weights from the Rebalance holdings at the latest prices (cash takes the remainder)
+  const useHoldingsAsCurrent = () => {
+    const values = tickers.map(t => (holdings.shares[t] || 0) * (lastPrices[t] ? lastPrices[t].price : 0));
+    const total = values.reduce((acc, v) => acc + v, 0) + (holdings.cash || 0);
+    if (!(total > 0)) {
+      setError('Enter holdings in the Rebalance panel first.');
+      return;
+    }
+    updateTurnover({ currentWeights: Object.fromEntries(tickers.map((t, i) => [t, values[i] / total])) });
+  };
+
+  // Return Model Helpers (view values and confidences are fractions, edited in %)
+  const benchmarkTicker = tickers.includes(returnModel.benchmark) ? returnModel.benchmark : (tickers[0] || '');
+
+  const updateReturnModel = (key, value) => setReturnModel(prev => ({ ...prev, [key]: value }));
+
+  // Benchmark of the next run: a universe ticker, else the loaded outside series (added to the prices as a column)
+  const benchmarkOutside = Boolean(benchmarkSeries) && benchmarkSettings.ticker === benchmarkSeries.ticker
+    && !tickers.includes(benchmarkSeries.ticker);
+  const benchmarkChoice = tickers.includes(benchmarkSettings.ticker) || benchmarkOutside ? benchmarkSettings.ticker : '';
+
+  const addView = () => {
+    setReturnModel(prev => ({
+      ...prev,
+      views: [...prev.views, { type: 'absolute', asset: tickers[0] || '', versus: tickers[1] || '', value: 0.05, confidence: 0.5 }],
+    }));
+  };
+
+  const updateView = (index, key, value) => {
+    setReturnModel(prev => ({
+      ...prev,
+      views: prev.views.map((v, i) => (i === index ? { ...v, [key]: value } : v)),
+    }));
+  };
+
+  const removeView = (index) => {
+    setReturnModel(prev => ({ ...prev, views: prev.views.filter((_, i) => i !== index) }));
+  };
+
+  // Price table the uploaded file would produce with the current mapping, with per-row problems
+  const importPreview = useMemo(() => {
+    if (!importDraft || !importDraft.mapping) return null;
+    try {
+      return buildPriceTable(importDraft.rows, importDraft.mapping, importDraft);
+    } catch (err) {
+      return { data: null, tickers: [], errors: [], message: err.message };
+    }
+  }, [importDraft]);
+
+  // Prices in the base currency; everything downstream (quality report, optimizer, backtest) uses these
+  const currencies = useMemo(() => (
+    Object.fromEntries(tickers.map(t => [t, tickerCurrencies[t] || guessCurrency(t)]))
+  ), [tickers, tickerCurrencies]);
+  const baseConversion = useMemo(() => (
+    convertToBase(csvData, tickers, currencies, currencySettings, fxRates)
+  ), [csvData, tickers, currencies, currencySettings, fxRates]);
+  const priceData = baseConversion.data;
+  const currencyLabel = formatCurrencyBasis(currencies, tickers, currencySettings);
+  const fxPairs = currencySettings.hedged ? [] : requiredFxPairs(currencies, tickers, currencySettings.base);
+
+  // Coverage, gaps, jumps and stale prices of the loaded data under the chosen alignment policy
+  const dataQuality = useMemo(() => (
+    priceData.length > 0 && tickers.length > 0 ? assessDataQuality(priceData, tickers, returnOptions) : null
+  ), [priceData, tickers, returnOptions]);
+  const qualityIssues = dataQuality ? describeQualityIssues(dataQuality) : [];
+  const pairwiseEstimatorClash = returnOptions.alignment === 'pairwise' && covEstimator !== 'sample';
+  const priceBasisLabel = formatPriceBasis(priceBases, tickers);
+  const rawCloseTickers = tickers.filter(t => priceBases[t] === 'close');
+
+  const groupNames = useMemo(() => (
+    [...new Set(tickers.map(t => constraints.groupOf[t]).filter(Boolean))]
+  ), [tickers, constraints.groupOf]);
+
+  const turnoverSettings = { ...DEFAULT_CONSTRAINTS.turnover, ...constraints.turnover };
+  const currentWeights = turnoverSettings.currentWeights;
+
+  // Derived Optimal Portfolios (exact solutions from the QP frontier, once it is complete)
+  const optimalPortfolios = useMemo(() => {
+    if (!frontier || !frontier.maxSharpe) return null;
+    const { maxSharpe, minVol, riskParity, minCVaR, active = null } = frontier;
+    return { maxSharpe, minVol, riskParity, minCVaR, active };
+  }, [frontier]);
+
+  // Inputs of the per-card risk contribution and downside metrics, fixed at the last run
+  const riskContext = useMemo(() => {
+    if (!frontier || !frontier.maxSharpe || !stats) return null;
+    return {
+      covMatrix: stats.covMatrix,
+      returnRows: stats.returnRows,
+      riskFreeRate: frontier.riskFreeRate,
+      confidence: frontier.cvarConfidence,
+      periodsPerYear: stats.periodsPerYear,
+    };
+  }, [frontier, stats]);
+
+  // Slider range for the target picker, taken from the traced frontier
+  const targetRange = useMemo(() => {
+    if (!optimalPortfolios) return null;
+    const key = targetMode === 'return' ? 'return' : 'volatility';
+    const values = frontier.points.map(p => p[key]);
+    return { min: Math.min(...values), max: Math.max(...values) };
+  }, [optimalPortfolios, frontier, targetMode]);
+
+  // Third card: the pinned chart point, or the efficient portfolio matching the target
+  const targetPortfolio = useMemo(() => {
+    if (pinnedPortfolio) return pinnedPortfolio;
+    if (!stats || !targetRange) return null;
+    const value = targetValue != null ? targetValue : (targetRange.min + targetRange.max) / 2;
+    try {
+      const portfolio = solveTargetPortfolio(stats, tickers, frontier.riskFreeRate, frontier.constraints, { mode: targetMode, value });
+      const withCVaR = { ...portfolio, cvar: portfolioCVaR(portfolio.weights, stats.returnRows, frontier.cvarConfidence) };
+      return frontier.benchmark ? applyBenchmarkMetrics(withCVaR, frontier.benchmark, frontier.riskFreeRate) : withCVaR;
+    } catch (err) {
+      return null;
+    }
+  }, [pinnedPortfolio, stats, targetRange, targetValue, targetMode, tickers, frontier]);
+
+  /** --- ASSET ANALYTICS --- */
+
+  const normalizedHistory = useMemo(() => (
+    priceData.length > 0 && tickers.length > 0 ? normalizedPrices(priceData, tickers) : []
+  ), [priceData, tickers]);
+
+  // Per-asset table and correlation matrix, fixed at the last run like the risk context
+  const assetAnalytics = useMemo(() => {
+    if (!riskContext) return null;
+    return {
+      rows: assetStatistics(stats, tickers, riskContext.riskFreeRate),
+      correlations: correlationMatrix(stats.covMatrix),
+    };
+  }, [riskContext, stats, tickers]);
+
+  // Chosen pair (defaulting to the first two tickers) and its rolling correlation over the run's return periods
+  const rollingPair = useMemo(() => {
+    if (!riskContext || !stats.returnDates || tickers.length < 2) return null;
+    const first = tickers.includes(correlationPair.first) ? correlationPair.first : tickers[0];
+    const second = tickers.includes(correlationPair.second) && correlationPair.second !== first
+      ? correlationPair.second
+      : tickers.find(t => t !== first);
+    // Default: 60 periods, or a third of a short history so the chart still has a line
+    const periods = stats.returnRows.length;
+    const window = Math.min(correlationPair.window || Math.min(60, Math.max(10, Math.floor(periods / 3))), periods);
+    const points = rollingCorrelation(stats.returnRows, stats.returnDates, tickers.indexOf(first), tickers.indexOf(second), window);
+    return { first, second, window, points };
+  }, [riskContext, stats, tickers, correlationPair]);
+
+  // True parameters of a generated market next to the estimates of the last run on it (historical means, so a
+  // CAPM or Black-Litterman run still compares like with like)
+  const syntheticComparison = useMemo(() => {
+    if (!syntheticMarket || !stats || !stats.covMatrix || tickers.join() !== syntheticMarket.tickers.join()) return null;
+    const estimated = stats.historicalMeans || stats.means;
+    const { truth } = syntheticMarket;
+    return tickers.map((ticker, i) => ({
+      ticker,
+      trueReturn: truth.means[ticker],
+      estimatedReturn: estimated[ticker],
+      trueVolatility: truth.volatilities[ticker],
+      estimatedVolatility: Math.sqrt(stats.covMatrix[i][i]),
+    }));
+  }, [syntheticMarket, stats, tickers]);
+
+  /** --- WORKSPACES AND SHARE LINKS --- */
+
+  // Parameters that define a run; saved with workspaces and carried by share links
+  const scenarioParams = () => ({
+    riskFreeRate, iterations, seed, frontierPoints, showRandomPortfolios, covEstimator, ewmaHalfLife, returnOptions,
+    cvarConfidence, returnModel, constraints, currencySettings, tickerCurrencies, backtestOptions, syntheticSettings,
+    benchmarkSettings,
+  });
+
+  // Missing fields (older workspaces, hand-edited links) keep the defaults
+  const applyScenarioParams = (params) => {
+    if (params.riskFreeRate != null) setRiskFreeRate(params.riskFreeRate);
+    if (params.iterations != null) setIterations(params.iterations);
+    if (params.seed !== undefined) setSeed(parseSeed(params.seed));
+    if (params.frontierPoints != null) setFrontierPoints(params.frontierPoints);
+    if (params.showRandomPortfolios != null) setShowRandomPortfolios(params.showRandomPortfolios);
+    if (params.covEstimator) setCovEstimator(params.covEstimator);
+    if (params.ewmaHalfLife != null) setEwmaHalfLife(params.ewmaHalfLife);
+    if (params.cvarConfidence != null) setCvarConfidence(params.cvarConfidence);
+    setReturnOptions({ ...DEFAULT_RETURN_OPTIONS, ...params.returnOptions });
+    setReturnModel({ ...DEFAULT_RETURN_MODEL, ...params.returnModel });
+    setConstraints({ ...DEFAULT_CONSTRAINTS, ...params.constraints });
+    setCurrencySettings({ ...DEFAULT_CURRENCY_SETTINGS, ...params.currencySettings });
+    setTickerCurrencies(params.tickerCurrencies || {});
+    setBacktestOptions({ ...DEFAULT_BACKTEST_OPTIONS, ...params.backtestOptions });
+    if (params.syntheticSettings) setSyntheticSettings({ ...DEFAULT_SYNTHETIC_SETTINGS, ...params.syntheticSettings });
+    setBenchmarkSettings({ ...DEFAULT_BENCHMARK_SETTINGS, ...params.benchmarkSettings });
+  };
+
+  const handleSaveWorkspace = async () => {
+    const name = workspaceName.trim();
+    if (!name) {
+      setError('Enter a workspace name first.');
+      return;
+    }
+    try {
+      await saveWorkspace(name, {
+        ...scenarioParams(),
+        tickers, csvData, tickerInput, dataSourceMode, priceBases, simulatedTickers, syntheticMarket, fxRates, holdings,
+        tradeSettings, benchmarkSeries,
+        results: { frontier, stats, simResults, backtest, runCurrency, pinnedPortfolio, targetMode, targetValue },
+      });
+      setWorkspaceNames(await listWorkspaces());
+      setError(null);
+    } catch (err) {
+      setError(`Could not save the workspace: ${err.message}`);
+    }
+  };
+
+  const handleOpenWorkspace = async (name) => {
+    try {
+      const { state } = await loadWorkspace(name);
+      stopWorker();
+      stopBacktest();
+      applyScenarioParams(state);
+      setCsvData(state.csvData || []);
+      setTickers(state.tickers || []);
+      if (state.tickerInput != null) setTickerInput(state.tickerInput);
+      setDataSourceMode(state.dataSourceMode || 'sample');
+      setPriceBases(state.priceBases || {});
+      setSimulatedTickers(state.simulatedTickers || []);
+      setSyntheticMarket(state.syntheticMarket || null);
+      setFxRates(state.fxRates || {});
+      setBenchmarkSeries(state.benchmarkSeries || null);
+      setHoldings(state.holdings || { shares: {}, cash: 0, lotSizes: {} });
+      setTradeSettings({ ...DEFAULT_TRADE_SETTINGS, ...state.tradeSettings });
+      const results = state.results || {};
+      setFrontier(results.frontier || null);
+      setStats(results.stats || null);
+      setSimResults(results.simResults || []);
+      setBacktest(results.backtest || null);
+      setRunCurrency(results.runCurrency || null);
+      setPinnedPortfolio(results.pinnedPortfolio || null);
+      setTargetMode(results.targetMode || 'return');
+      setTargetValue(results.targetValue ?? null);
+      setImportDraft(null);
+      setFetchOutcome(null);
+      setWorkspaceName(name);
+      setError(null);
+    } catch (err) {
+      setError(`Could not open the workspace: ${err.message}`);
+    }
+  };
+
+  const handleDeleteWorkspace = async (name) => {
+    try {
+      await deleteWorkspace(name);
+      setWorkspaceNames(await listWorkspaces());
+    } catch (err) {
+      setError(`Could not delete the workspace: ${err.message}`);
+    }
+  };
+
+  // Link with the universe, provider settings (range, interval, price basis) and parameters; no prices.
+  // A synthetic market travels as its settings and seed, which regenerate the same prices.
+  const handleShare = () => {
+    if (tickers.length < 2) {
+      setError('Load a universe of at least 2 tickers to share it.');
+      return;
+    }
+    const link = buildShareUrl({
+      tickers, providerSettings, ...scenarioParams(), synthetic: syntheticMarket ? syntheticMarket.settings : null,
+    });
+    setShareLink(link);
+    if (navigator.clipboard) navigator.clipboard.writeText(link).catch(() => {});
+  };
+
+  // Saved workspace names; and, when the page was opened from a share link, apply it and fetch (or regenerate)
+  // its universe
+  useEffect(() => {
+    listWorkspaces().then(setWorkspaceNames).catch(() => setWorkspaceNames([]));
+    const scenario = readSharedScenario();
+    if (!scenario) return;
+    applyScenarioParams(scenario);
+    if (scenario.synthetic) {
+      setSyntheticSettings(scenario.synthetic);
+      setDataSourceMode('synthetic');
+      loadSyntheticMarket(scenario.synthetic);
+      setAutoRun(true);
+      return;
+    }
+    if (scenario.providerSettings) setProviderSettings(prev => ({ ...prev, ...scenario.providerSettings }));
+    setTickerInput(scenario.tickers.join(', '));
+    setDataSourceMode('fetch');
+    setPendingShare(true);
+  }, []);
+
+  // Runs after the render that applied the shared settings, so the fetch sees them
+  useEffect(() => {
+    if (!pendingShare) return;
+    setPendingShare(false);
+    setAutoRun(true);
+    handleFetchTickers();
+  }, [pendingShare]);
+
+  // Reproduce the shared run once its prices are in, fetching missing FX rates and a benchmark from outside the
+  // universe first
+  useEffect(() => {
+    if (!autoRun || isFetching || csvData.length === 0) return;
+    if (baseConversion.missingPairs.length > 0 && autoRun === true) {
+      setAutoRun('fx');
+      handleFetchFx();
+      return;
+    }
+    if (benchmarkSettings.ticker && !benchmarkChoice && autoRun !== 'benchmark') {
+      setAutoRun('benchmark');
+      handleFetchBenchmark(benchmarkSettings.ticker);
+      return;
+    }
+    setAutoRun(false);
+    handleOptimize();
+  }, [autoRun, isFetching, csvData, baseConversion]);
+
+  /** --- EXPORT --- */
+
+  // Named portfolios in the order of the allocation table
+  const exportPortfolios = useMemo(() => (optimalPortfolios ? [
+    ...namedPortfolios(optimalPortfolios),
+    ...(targetPortfolio ? [{ name: pinnedPortfolio ? 'Pinned' : 'Target', ...targetPortfolio }] : []),
+  ] : []), [optimalPortfolios, targetPortfolio, pinnedPortfolio]);
+
+  // Label/value pairs describing the run behind the current results
+  const exportInputs = () => {
+    const settings = stats.returnSettings;
+    return [
+      ['Universe', tickers.join(', ')],
+      ['Date range', settings.firstDate ? `${settings.firstDate} to ${settings.lastDate}` : 'n/a'],
+      ['Risk-free rate', `${(frontier.riskFreeRate * 100).toFixed(2)}%`],
+      ['Covariance', stats.estimator ? formatEstimator(stats.estimator) : 'Sample'],
+      ['Expected returns', stats.returnModel ? stats.returnModel.label : 'Historical mean'],
+      ['Returns', formatReturnSettings(settings)],
+      ['Constraints', frontier.constraints.allowShort
+        ? `Long/short, gross leverage <= ${(frontier.constraints.grossLeverage * 100).toFixed(0)}%`
+        : 'Long-only'],
+      ...(formatTurnoverSettings(frontier.constraints.turnover) ? [['Turnover', formatTurnoverSettings(frontier.constraints.turnover)]] : []),
+      ['Prices', priceBasisLabel],
+      ['Currency', runCurrency || currencyLabel],
+      ...(frontier.seed != null ? [['Random seed', String(frontier.seed)]] : []),
+      ...(syntheticMarket ? [['Synthetic market seed', String(syntheticMarket.settings.seed)]] : []),
+      ...(frontier.benchmark ? [['Benchmark', formatBenchmark(frontier.benchmark, frontier.active)]] : []),
+    ];
+  };
+
+  const exportResults = (format) => {
+    if (format === 'csv') {
+      const random = simResults.map(p => ({ ...p, name: `Random ${p.id + 1}` }));
+      downloadFile(portfoliosToCsv([...exportPortfolios, ...random], tickers), `${exportFileName('portfolios')}.csv`, 'text/csv');
+    } else if (format === 'json') {
+      const json = resultsToJson({ inputs: exportInputs(), portfolios: exportPortfolios, simResults, tickers });
+      downloadFile(json, `${exportFileName('results')}.json`, 'application/json');
+    } else {
       try {
-        const returns = calculateReturns(csvData, tickers);
-        if (returns.length < 2) throw new Error("Not enough data points to calculate returns.");
-        
-        const stats = calculateStats(returns, tickers);
-        const results = runSimulation(stats, tickers, riskFreeRate, iterations);
-        setSimResults(results);
-        setIsSimulating(false);
+        openReport(buildReportHtml({
+          title: 'Portfolio Optimization Report',
+          inputs: exportInputs(),
+          frontierSvg: chartSvg(frontierChartRef.current),
+          portfolios: exportPortfolios,
+          tickers,
+        }));
       } catch (err) {
         setError(err.message);
-        setIsSimulating(false);
       }
-    }, 100);
+    }
   };
 
-  // Derived Optimal Portfolios
-  const optimalPortfolios = useMemo(() => {
-    if (simResults.length === 0) return null;
-    
-    const maxSharpe = simResults.reduce((prev, current) => 
-      (prev.sharpe > current.sharpe) ? prev : current
-    );
-    
-    const minVol = simResults.reduce((prev, current) => 
-      (prev.volatility < current.volatility) ? prev : current
-    );
+  /** --- REBALANCING --- */
 
-    return { maxSharpe, minVol };
-  }, [simResults]);
+  const lastPrices = useMemo(() => latestPrices(priceData, tickers), [priceData, tickers]);
 
-  // Color Scale for Charts
-  const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
+  // Trades from the entered holdings into the chosen named portfolio at the latest prices
+  const tradeList = useMemo(() => {
+    const target = exportPortfolios.find(p => p.name === rebalanceTarget) || exportPortfolios[0];
+    if (!target) return null;
+    try {
+      return {
+        target: target.name,
+        ...buildTradeList({
+          tickers,
+          weights: target.weights,
+          prices: Object.fromEntries(tickers.map(t => [t, lastPrices[t] && lastPrices[t].price])),
+          shares: holdings.shares,
+          cash: holdings.cash,
+          lotSizes: holdings.lotSizes,
+          settings: tradeSettings,
+        }),
+      };
+    } catch (err) {
+      return { target: target.name, error: err.message };
+    }
+  }, [exportPortfolios, rebalanceTarget, tickers, lastPrices, holdings, tradeSettings]);
+
+  const updateHolding = (section, ticker, value) => {
+    const parsed = parseFloat(value);
+    setHoldings(prev => ({ ...prev, [section]: { ...prev[section], [ticker]: Number.isNaN(parsed) ? undefined : parsed } }));
+  };
+
+  // Holdings CSV: tickers outside the universe are left out and reported
+  const handleHoldingsUpload = (e) => {
+    const input = e.target;
+    const file = input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const parsed = parseHoldingsCsv(decodeText(event.target.result));
+        const pick = (map) => Object.fromEntries(Object.entries(map).filter(([t]) => tickers.includes(t)));
+        setHoldings({ shares: pick(parsed.shares), cash: parsed.cash, lotSizes: { ...holdings.lotSizes, ...pick(parsed.lotSizes) } });
+        const outside = Object.keys(parsed.shares).filter(t => !tickers.includes(t));
+        const notes = [
+          outside.length > 0 && `Not in the universe, ignored: ${outside.join(', ')}`,
+          parsed.skipped.length > 0 && `Unreadable line(s) ${parsed.skipped.join(', ')} skipped`,
+        ].filter(Boolean);
+        setHoldingsNote(notes.length > 0 ? `${file.name}: ${notes.join('; ')}.` : null);
+        setError(null);
+      } catch (err) {
+        setError(`Could not read ${file.name}: ${err.message}`);
+      }
+      input.value = '';
+    };
+    reader.readAsArrayBuffer(file);
+  };
+
+  const exportTradeList = () => {
+    downloadFile(tradeListToCsv(tradeList), `${exportFileName(`trades ${tradeList.target}`)}.csv`, 'text/csv');
+  };
+
+  // Capital Market Line from the risk-free rate through the tangency portfolio
+  const capitalMarketLine = useMemo(() => {
+    if (!optimalPortfolios) return null;
+    const { maxSharpe } = optimalPortfolios;
+    const maxVol = simResults.reduce(
+      (acc, p) => Math.max(acc, p.volatility),
+      frontier.points.reduce((acc, p) => Math.max(acc, p.volatility), maxSharpe.volatility)
+    );
+    const rf = frontier.riskFreeRate;
+    return [
+      { volatility: 0, return: rf },
+      { volatility: maxVol, return: rf + maxSharpe.sharpe * maxVol },
+    ];
+  }, [optimalPortfolios, frontier, simResults]);
+
+  // Frontier chart in active mode: active return against tracking error, once the run had a benchmark
+  const showActive = frontierView === 'active' && Boolean(frontier && frontier.active);
+
+  // The benchmark itself as a chart point (at the origin of the active view)
+  const benchmarkPoint = useMemo(() => {
+    if (!frontier || !frontier.benchmark) return null;
+    const { mean, volatility } = frontier.benchmark;
+    return {
+      return: mean,
+      volatility,
+      sharpe: (mean - frontier.riskFreeRate) / volatility,
+      beta: 1,
+      alpha: 0,
+      activeReturn: 0,
+      trackingError: 0,
+      informationRatio: null,
+    };
+  }, [frontier]);
+
+  const pinPortfolio = (point) => {
+    const portfolio = point && (point.payload || point);
+    if (portfolio && portfolio.weights) setPinnedPortfolio(portfolio);
+  };
 
   return (
     <div className="min-h-screen bg-slate-900 text-slate-100 font-sans selection:bg-blue-500 selection:text-white">
@@ -378,6 +1449,64 @@ const PortfolioOptimizer = () => {
         
         {/* LEFT COLUMN: Controls & Input */}
         <div className="lg:col-span-3 space-y-6">
+
+          {/* Workspaces */}
+          <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 shadow-lg">
+            <h2 className="text-sm font-semibold text-slate-400 uppercase tracking-wider mb-4 flex items-center gap-2">
+              <FolderOpen className="w-4 h-4" /> Workspace
+            </h2>
+            <div className="space-y-2 text-xs">
+              <div className="flex gap-2">
+                <input 
+                  type="text" 
+                  value={workspaceName}
+                  onChange={(e) => setWorkspaceName(e.target.value)}
+                  placeholder="Workspace name"
+                  className="flex-1 min-w-0 bg-slate-900 border border-slate-600 rounded px-2 py-1 focus:outline-none focus:border-blue-500 placeholder:text-slate-600"
+                />
+                <button 
+                  onClick={handleSaveWorkspace}
+                  title="Save the universe, prices, parameters and results in this browser"
+                  className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded flex items-center gap-1 transition-colors"
+                >
+                  <Save className="w-3 h-3" /> Save
+                </button>
+              </div>
+              {workspaceNames.length > 0 && (
+                <div className="max-h-32 overflow-y-auto space-y-1">
+                  {workspaceNames.map(name => (
+                    <div key={name} className="flex justify-between items-center gap-2 text-[10px]">
+                      <button onClick={() => handleOpenWorkspace(name)} className={`truncate text-left hover:text-white ${name === workspaceName ? 'text-blue-400' : 'text-slate-300'}`}>
+                        {name}
+                      </button>
+                      <button onClick={() => handleDeleteWorkspace(name)} className="text-red-400 hover:text-red-300">Delete</button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <button 
+                onClick={handleShare}
+                disabled={tickers.length < 2}
+                className="w-full py-1 bg-slate-900 hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed text-slate-300 rounded border border-slate-600 flex items-center justify-center gap-1 transition-colors"
+              >
+                <Share2 className="w-3 h-3" /> Share link
+              </button>
+              {shareLink && (
+                <div className="space-y-1">
+                  <input 
+                    type="text" 
+                    readOnly 
+                    value={shareLink}
+                    onFocus={(e) => e.target.select()}
+                    className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-[10px] text-slate-400 focus:outline-none"
+                  />
+                  <p className="text-[10px] text-slate-500">
+                    The link carries the tickers, data range and parameters, not the prices: opening it re-fetches the universe with the {(DATA_PROVIDERS.find(p => p.id === providerSettings.provider) || DATA_PROVIDERS[0]).label} provider and runs the optimization.
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
           
           {/* Data Source Selector */}
           <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 shadow-lg">
@@ -393,6 +1522,12 @@ const PortfolioOptimizer = () => {
               >
                 Sample
               </button>
+              <button 
+                onClick={() => setDataSourceMode('synthetic')}
+                className={`flex-1 py-1.5 text-xs font-medium rounded-md transition-all ${dataSourceMode === 'synthetic' ? 'bg-slate-700 text-white shadow' : 'text-slate-500 hover:text-slate-300'}`}
+              >
+                Synthetic
+              </button>
               <button 
                 onClick={() => setDataSourceMode('fetch')}
                 className={`flex-1 py-1.5 text-xs font-medium rounded-md transition-all ${dataSourceMode === 'fetch' ? 'bg-slate-700 text-white shadow' : 'text-slate-500 hover:text-slate-300'}`}
@@ -419,21 +1554,591 @@ const PortfolioOptimizer = () => {
                 </button>
               )}
 
+              {dataSourceMode === 'synthetic' && (
+                <div className="space-y-3">
+                  <p className="text-[10px] text-slate-500">
+                    Correlated prices drawn from parameters you choose, so the optimizer's estimates can be checked against the truth
+                  </p>
+                  <table className="w-full text-xs text-slate-400">
+                    <thead>
+                      <tr className="text-[10px] uppercase text-slate-500">
+                        <th className="text-left font-medium pb-1">Asset</th>
+                        <th className="text-left font-medium pb-1">Drift %/yr</th>
+                        <th className="text-left font-medium pb-1">Vol %/yr</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {syntheticSettings.assets.map((a, i) => (
+                        <tr key={i}>
+                          <td className="pr-1 py-0.5">
+                            <input 
+                              type="text" 
+                              value={a.ticker} 
+                              onChange={(e) => updateSyntheticAsset(i, 'ticker', e.target.value)}
+                              className="w-full bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                            />
+                          </td>
+                          <td className="pr-1 py-0.5">
+                            <input 
+                              type="number" 
+                              step="1" 
+                              value={formatPercentInput(a.drift)} 
+                              onChange={(e) => updateSyntheticAsset(i, 'drift', e.target.value)}
+                              className="w-full bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                            />
+                          </td>
+                          <td className="pr-1 py-0.5">
+                            <input 
+                              type="number" 
+                              min="0" 
+                              step="1" 
+                              value={formatPercentInput(a.volatility)} 
+                              onChange={(e) => updateSyntheticAsset(i, 'volatility', e.target.value)}
+                              className="w-full bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                            />
+                          </td>
+                          <td className="py-0.5">
+                            <button onClick={() => removeSyntheticAsset(i)} className="text-slate-500 hover:text-red-400 text-xs px-1">×</button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <button onClick={addSyntheticAsset} className="text-xs text-blue-400 hover:text-blue-300">+ Add asset</button>
+
+                  <div>
+                    <label className="block text-[10px] text-slate-500 mb-1">Correlations (edit below the diagonal)</label>
+                    <div className="overflow-x-auto">
+                      <table className="text-[10px] text-slate-400">
+                        <thead>
+                          <tr>
+                            <th />
+                            {syntheticSettings.assets.map((a, j) => <th key={j} className="px-0.5 font-medium text-slate-500">{a.ticker}</th>)}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {syntheticSettings.assets.map((a, i) => (
+                            <tr key={i}>
+                              <td className="pr-1 text-slate-500 font-medium">{a.ticker}</td>
+                              {syntheticSettings.assets.map((b, j) => (
+                                <td key={j} className="p-0.5">
+                                  {j < i ? (
+                                    <input 
+                                      type="number" 
+                                      min="-1" 
+                                      max="1" 
+                                      step="0.1" 
+                                      value={syntheticSettings.correlation[i][j] ?? ''} 
+                                      onChange={(e) => updateSyntheticCorrelation(i, j, e.target.value)}
+                                      className="w-12 bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                                    />
+                                  ) : (
+                                    <span className="block w-12 text-center text-slate-600">{j === i ? 1 : syntheticSettings.correlation[j][i]}</span>
+                                  )}
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="text-[10px] text-slate-500">
+                      Days
+                      <input 
+                        type="number" 
+                        min="2" 
+                        step="252" 
+                        value={syntheticSettings.days} 
+                        onChange={(e) => updateSyntheticSetting(null, 'days', parseInt(e.target.value))}
+                        className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                      />
+                    </label>
+                    <label className="text-[10px] text-slate-500">
+                      Market Seed
+                      <div className="flex gap-1">
+                        <input 
+                          type="number" 
+                          min="0" 
+                          step="1" 
+                          value={syntheticSettings.seed ?? ''} 
+                          placeholder="Random"
+                          onChange={(e) => updateSyntheticSetting(null, 'seed', parseSeed(e.target.value))}
+                          className="flex-1 min-w-0 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                        />
+                        <button 
+                          onClick={() => updateSyntheticSetting(null, 'seed', randomSeed())}
+                          title="Pick a new seed"
+                          className="px-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded transition-colors"
+                        >
+                          <Shuffle className="w-3 h-3" />
+                        </button>
+                      </div>
+                    </label>
+                  </div>
+
+                  <div>
+                    <label className="block text-[10px] text-slate-500 mb-1">Jumps (per asset)</label>
+                    <div className="grid grid-cols-3 gap-2">
+                      <label className="text-[10px] text-slate-500">
+                        Per year
+                        <input 
+                          type="number" 
+                          min="0" 
+                          step="0.5" 
+                          value={syntheticSettings.jumps.intensity} 
+                          onChange={(e) => updateSyntheticSetting('jumps', 'intensity', parseFloat(e.target.value) || 0)}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                        />
+                      </label>
+                      <label className="text-[10px] text-slate-500">
+                        Mean %
+                        <input 
+                          type="number" 
+                          step="1" 
+                          value={formatPercentInput(syntheticSettings.jumps.mean)} 
+                          onChange={(e) => updateSyntheticSetting('jumps', 'mean', parsePercentInput(e.target.value))}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                        />
+                      </label>
+                      <label className="text-[10px] text-slate-500">
+                        Std dev %
+                        <input 
+                          type="number" 
+                          min="0" 
+                          step="1" 
+                          value={formatPercentInput(syntheticSettings.jumps.volatility)} 
+                          onChange={(e) => updateSyntheticSetting('jumps', 'volatility', parsePercentInput(e.target.value))}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                        />
+                      </label>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-[10px] text-slate-500 mb-1">Crisis regime</label>
+                    <div className="grid grid-cols-3 gap-2">
+                      <label className="text-[10px] text-slate-500">
+                        Chance/day %
+                        <input 
+                          type="number" 
+                          min="0" 
+                          max="100" 
+                          step="0.1" 
+                          value={formatPercentInput(syntheticSettings.regime.probability)} 
+                          onChange={(e) => updateSyntheticSetting('regime', 'probability', parsePercentInput(e.target.value) ?? 0)}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                        />
+                      </label>
+                      <label className="text-[10px] text-slate-500">
+                        Avg days
+                        <input 
+                          type="number" 
+                          min="1" 
+                          step="5" 
+                          value={syntheticSettings.regime.duration} 
+                          onChange={(e) => updateSyntheticSetting('regime', 'duration', parseFloat(e.target.value))}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                        />
+                      </label>
+                      <label className="text-[10px] text-slate-500">
+                        Vol ×
+                        <input 
+                          type="number" 
+                          min="0" 
+                          step="0.5" 
+                          value={syntheticSettings.regime.volScale} 
+                          onChange={(e) => updateSyntheticSetting('regime', 'volScale', parseFloat(e.target.value))}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                        />
+                      </label>
+                      <label className="text-[10px] text-slate-500">
+                        Drift shift %
+                        <input 
+                          type="number" 
+                          step="5" 
+                          value={formatPercentInput(syntheticSettings.regime.driftShift)} 
+                          onChange={(e) => updateSyntheticSetting('regime', 'driftShift', parsePercentInput(e.target.value) ?? 0)}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                        />
+                      </label>
+                      <label className="text-[10px] text-slate-500">
+                        Contagion %
+                        <input 
+                          type="number" 
+                          min="0" 
+                          max="100" 
+                          step="10" 
+                          value={formatPercentInput(syntheticSettings.regime.contagion)} 
+                          onChange={(e) => updateSyntheticSetting('regime', 'contagion', parsePercentInput(e.target.value) ?? 0)}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                        />
+                      </label>
+                    </div>
+                    <p className="text-[10px] text-slate-500 mt-1">In a crisis volatilities scale, drifts shift and correlations move toward 1 by the contagion share</p>
+                  </div>
+
+                  <button 
+                    onClick={() => loadSyntheticMarket()}
+                    className="w-full py-2 px-4 bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm font-medium rounded-lg transition-colors flex items-center justify-center gap-2"
+                  >
+                    <Activity className="w-4 h-4" /> Generate Market
+                  </button>
+
+                  {syntheticMarket && (
+                    <div className="space-y-2">
+                      <p className="text-[10px] text-slate-500">
+                        {csvData.length} days · {syntheticMarket.crisisPeriods} in crisis · Market seed {syntheticMarket.settings.seed}
+                      </p>
+                      {syntheticComparison ? (
+                        <table className="w-full text-[10px] text-slate-400">
+                          <thead>
+                            <tr className="uppercase text-slate-500">
+                              <th className="text-left font-medium pb-1">Asset</th>
+                              <th className="text-right font-medium pb-1">Return true / est.</th>
+                              <th className="text-right font-medium pb-1">Vol true / est.</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {syntheticComparison.map(row => (
+                              <tr key={row.ticker}>
+                                <td className="py-0.5 text-slate-300">{row.ticker}</td>
+                                <td className="py-0.5 text-right">{(row.trueReturn * 100).toFixed(1)}% / {(row.estimatedReturn * 100).toFixed(1)}%</td>
+                                <td className="py-0.5 text-right">{(row.trueVolatility * 100).toFixed(1)}% / {(row.estimatedVolatility * 100).toFixed(1)}%</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      ) : (
+                        <p className="text-[10px] text-slate-500">Run the optimization to compare its estimates with the true parameters.</p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {dataSourceMode === 'upload' && (
-                <div>
-                   <label className="block text-xs text-slate-500 mb-2">Upload CSV (Date, Ticker1, ...)</label>
+                <div className="space-y-3">
+                   <label className="block text-xs text-slate-500 mb-2">Upload prices (.csv, .tsv, .txt or .xlsx)</label>
                    <input 
                     type="file" 
                     ref={fileInputRef}
-                    accept=".csv"
+                    accept=".csv,.tsv,.txt,.xlsx"
                     onChange={handleFileUpload}
                     className="block w-full text-xs text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-xs file:font-semibold file:bg-blue-600 file:text-white hover:file:bg-blue-700 cursor-pointer"
                   />
+                  <label className="flex items-center gap-2 text-[10px] text-slate-400 cursor-pointer">
+                    <input 
+                      type="checkbox" 
+                      checked={saveUploadsToLibrary}
+                      onChange={(e) => setSaveUploadsToLibrary(e.target.checked)}
+                      className="accent-blue-500"
+                    />
+                    Save to price library (reusable from the Fetch tab)
+                  </label>
+
+                  {importDraft && importDraft.mapping && (
+                    <div className="space-y-3 bg-slate-900/50 border border-slate-700 rounded-lg p-3 text-xs">
+                      <div className="flex justify-between items-center gap-2">
+                        <span className="font-semibold text-slate-300 truncate" title={importDraft.fileName}>{importDraft.fileName}</span>
+                        <span className="text-[10px] text-slate-500 whitespace-nowrap">{importDraft.rows.length - 1} data rows</span>
+                      </div>
+
+                      <div>
+                        <label className="block text-[10px] text-slate-500 mb-1">Layout</label>
+                        <select 
+                          value={importDraft.mapping.layout} 
+                          onChange={(e) => updateImportMapping('layout', e.target.value)}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                        >
+                          {IMPORT_LAYOUTS.map(({ id, label }) => (
+                            <option key={id} value={id}>{label}</option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div className="grid grid-cols-2 gap-2">
+                        {importDraft.delimiter != null && (
+                          <div>
+                            <label className="block text-[10px] text-slate-500 mb-1">Delimiter</label>
+                            <select 
+                              value={importDraft.delimiter} 
+                              onChange={(e) => changeImportDelimiter(e.target.value)}
+                              className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                            >
+                              {DELIMITERS.map(({ id, label }) => (
+                                <option key={label} value={id}>{label}</option>
+                              ))}
+                            </select>
+                          </div>
+                        )}
+                        <div>
+                          <label className="block text-[10px] text-slate-500 mb-1">Numbers</label>
+                          <select 
+                            value={importDraft.decimal} 
+                            onChange={(e) => setImportDraft(prev => ({ ...prev, decimal: e.target.value }))}
+                            className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                          >
+                            {DECIMAL_SEPARATORS.map(({ id, label }) => (
+                              <option key={id} value={id}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-[10px] text-slate-500 mb-1">Date column</label>
+                          <select 
+                            value={importDraft.mapping.dateColumn} 
+                            onChange={(e) => updateImportMapping('dateColumn', parseInt(e.target.value))}
+                            className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                          >
+                            {importDraft.rows[0].cells.map((name, i) => (
+                              <option key={i} value={i}>{name || `Column ${i + 1}`}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-[10px] text-slate-500 mb-1">Date format</label>
+                          <select 
+                            value={importDraft.dateFormat} 
+                            onChange={(e) => setImportDraft(prev => ({ ...prev, dateFormat: e.target.value, dateAmbiguous: false }))}
+                            className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                          >
+                            {DATE_FORMATS.map(({ id, label }) => (
+                              <option key={id} value={id}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        {importDraft.mapping.layout === 'long' && ['tickerColumn', 'priceColumn'].map(key => (
+                          <div key={key}>
+                            <label className="block text-[10px] text-slate-500 mb-1">{key === 'tickerColumn' ? 'Ticker column' : 'Price column'}</label>
+                            <select 
+                              value={importDraft.mapping[key] ?? ''} 
+                              onChange={(e) => updateImportMapping(key, parseInt(e.target.value))}
+                              className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                            >
+                              {importDraft.rows[0].cells.map((name, i) => (
+                                <option key={i} value={i}>{name || `Column ${i + 1}`}</option>
+                              ))}
+                            </select>
+                          </div>
+                        ))}
+                        <div>
+                          <label className="block text-[10px] text-slate-500 mb-1">Prices are</label>
+                          <select 
+                            value={importDraft.priceBasis} 
+                            onChange={(e) => setImportDraft(prev => ({ ...prev, priceBasis: e.target.value }))}
+                            className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                          >
+                            {PRICE_BASES.map(({ id, label }) => (
+                              <option key={id} value={id}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+
+                      {importDraft.dateAmbiguous && (
+                        <p className="text-[10px] text-amber-400">Day and month order is ambiguous in this file; check the date format.</p>
+                      )}
+
+                      {importDraft.mapping.layout === 'wide' && (
+                        <div>
+                          <label className="block text-[10px] text-slate-500 mb-1">Price columns</label>
+                          <div className="flex flex-wrap gap-1">
+                            {importDraft.rows[0].cells.map((name, i) => i !== importDraft.mapping.dateColumn && (
+                              <button 
+                                key={i}
+                                onClick={() => toggleImportColumn(i)}
+                                className={`px-2 py-0.5 rounded border text-[10px] ${importDraft.mapping.valueColumns.includes(i) ? 'bg-blue-600/20 border-blue-500 text-blue-300' : 'border-slate-600 text-slate-500'}`}
+                              >
+                                {name || `Column ${i + 1}`}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+
+                      {importPreview && importPreview.message && (
+                        <p className="text-[10px] text-red-400">{importPreview.message}</p>
+                      )}
+
+                      {importPreview && importPreview.data && (
+                        <div className="overflow-x-auto">
+                          <table className="w-full text-[10px] text-slate-400">
+                            <thead>
+                              <tr className="text-slate-300">
+                                <th className="text-left font-medium pr-2 pb-1">Date</th>
+                                {importPreview.tickers.slice(0, 3).map(t => (
+                                  <th key={t} className="text-right font-medium pr-2 pb-1">{t}</th>
+                                ))}
+                                {importPreview.tickers.length > 3 && <th className="text-right font-medium pb-1">+{importPreview.tickers.length - 3}</th>}
+                              </tr>
+                            </thead>
+                            <tbody className="font-mono">
+                              {importPreview.data.slice(0, 5).map(row => (
+                                <tr key={row.Date}>
+                                  <td className="pr-2">{row.Date}</td>
+                                  {importPreview.tickers.slice(0, 3).map(t => (
+                                    <td key={t} className="text-right pr-2">{row[t] != null ? row[t] : '-'}</td>
+                                  ))}
+                                  {importPreview.tickers.length > 3 && <td />}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          <p className="text-[10px] text-slate-500 mt-1">
+                            {importPreview.tickers.length} tickers × {importPreview.data.length} dates
+                            {importPreview.data.length > 0 && ` (${importPreview.data[0].Date} → ${importPreview.data[importPreview.data.length - 1].Date})`}
+                          </p>
+                        </div>
+                      )}
+
+                      {importPreview && importPreview.errors.length > 0 && (
+                        <div className="border-l-2 border-amber-500/50 pl-2 space-y-0.5 text-[10px] text-amber-300">
+                          <p className="font-semibold">{importPreview.errors.length} row issue(s); these values are skipped:</p>
+                          {importPreview.errors.slice(0, 6).map((err, i) => (
+                            <p key={i}>Line {err.line}: {err.message}</p>
+                          ))}
+                          {importPreview.errors.length > 6 && <p className="text-slate-500">…and {importPreview.errors.length - 6} more</p>}
+                        </div>
+                      )}
+
+                      <div className="flex gap-2">
+                        <button 
+                          onClick={confirmImport}
+                          disabled={!importPreview || !importPreview.data || importPreview.tickers.length < 2 || importPreview.data.length < 2}
+                          className="flex-1 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium rounded transition-colors"
+                        >
+                          Import
+                        </button>
+                        <button 
+                          onClick={cancelImport}
+                          className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
                 </div>
               )}
 
               {dataSourceMode === 'fetch' && (
                 <div className="space-y-3">
+                  <div>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">Provider</label>
+                    <select 
+                      value={providerSettings.provider} 
+                      onChange={(e) => setProviderSettings(prev => ({ ...prev, provider: e.target.value }))}
+                      className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                    >
+                      {DATA_PROVIDERS.map(({ id, label }) => (
+                        <option key={id} value={id}>{label}</option>
+                      ))}
+                    </select>
+                    <p className="text-[10px] text-slate-500 mt-1">
+                      {(DATA_PROVIDERS.find(p => p.id === providerSettings.provider) || DATA_PROVIDERS[0]).description}
+                    </p>
+                  </div>
+
+                  {providerSettings.provider === 'api' && (
+                    <div className="space-y-2">
+                      <div>
+                        <label className="block text-[10px] text-slate-500 mb-1">api.php URL</label>
+                        <input 
+                          type="text" 
+                          value={providerSettings.api.baseUrl}
+                          onChange={(e) => updateProviderSettings('api', 'baseUrl', e.target.value.trim())}
+                          placeholder="https://your-domain.com/api.php"
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                        />
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <div>
+                          <label className="block text-[10px] text-slate-500 mb-1">Range</label>
+                          <select 
+                            value={providerSettings.api.range} 
+                            onChange={(e) => updateProviderSettings('api', 'range', e.target.value)}
+                            className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                          >
+                            {API_RANGES.map(r => <option key={r} value={r}>{r}</option>)}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-[10px] text-slate-500 mb-1">Interval</label>
+                          <select 
+                            value={providerSettings.api.interval} 
+                            onChange={(e) => updateProviderSettings('api', 'interval', e.target.value)}
+                            className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                          >
+                            {API_INTERVALS.map(r => <option key={r} value={r}>{r}</option>)}
+                          </select>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
+                  {providerSettings.provider === 'http' && (
+                    <div>
+                      <label className="block text-[10px] text-slate-500 mb-1">Endpoint URL ({'{ticker}'} is replaced per ticker)</label>
+                      <input 
+                        type="text" 
+                        value={providerSettings.http.urlTemplate}
+                        onChange={(e) => updateProviderSettings('http', 'urlTemplate', e.target.value.trim())}
+                        placeholder="https://data.example.com/prices/{ticker}.csv"
+                        className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                      />
+                      <p className="text-[10px] text-slate-500 mt-1">
+                        JSON (<code>[{'{'}date, close{'}'}]</code> or <code>[[date, price]]</code>) or CSV (wide or long) responses.
+                      </p>
+                    </div>
+                  )}
+
+                  {providerSettings.provider !== 'library' && (
+                    <div>
+                      <label className="block text-[10px] text-slate-500 mb-1">Price basis</label>
+                      <select 
+                        value={providerSettings.priceBasis} 
+                        onChange={(e) => setProviderSettings(prev => ({ ...prev, priceBasis: e.target.value }))}
+                        className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                      >
+                        {PRICE_BASES.filter(b => b.id !== 'unknown').map(({ id, label }) => (
+                          <option key={id} value={id}>{label}</option>
+                        ))}
+                      </select>
+                      <p className="text-[10px] text-slate-500 mt-1">
+                        Tickers without adjusted closes (or, for total return, without dividend and split events) fall back to the next basis available.
+                      </p>
+                    </div>
+                  )}
+
+                  {providerSettings.provider === 'library' && (
+                    <div className="bg-slate-900/50 border border-slate-700 rounded-lg p-2 text-[10px] text-slate-400 space-y-1 max-h-40 overflow-y-auto">
+                      {Object.keys(priceLibrary).length === 0 ? (
+                        <p>The library is empty. Upload a file with "Save to price library" checked to add prices here.</p>
+                      ) : (
+                        <>
+                          <button 
+                            onClick={() => setTickerInput(Object.keys(priceLibrary).join(', '))}
+                            className="text-blue-400 hover:text-blue-300 font-medium"
+                          >
+                            Use all {Object.keys(priceLibrary).length} tickers
+                          </button>
+                          {Object.entries(priceLibrary).map(([t, entry]) => (
+                            <div key={t} className="flex justify-between items-center gap-2">
+                              <span className="truncate" title={`From ${entry.source}, saved ${entry.savedAt.slice(0, 10)} · ${formatPriceBasis({ [t]: entry.basis }, [t])}`}>
+                                <span className="text-slate-200 font-medium">{t}</span> {entry.series[0].date} → {entry.series[entry.series.length - 1].date}
+                              </span>
+                              <button onClick={() => removeLibraryTicker(t)} className="text-red-400 hover:text-red-300">Remove</button>
+                            </div>
+                          ))}
+                        </>
+                      )}
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-xs font-medium text-slate-400 mb-1">Tickers (comma separated)</label>
                     <input 
@@ -452,9 +2157,24 @@ const PortfolioOptimizer = () => {
                     {isFetching ? <RefreshCw className="w-3 h-3 animate-spin" /> : <Globe className="w-3 h-3" />}
                     {isFetching ? "Fetching..." : "Fetch Data"}
                   </button>
-                  <p className="text-[10px] text-slate-500 italic border-l-2 border-slate-600 pl-2">
-                    Note: App will try to fetch real prices via <code>api.php</code>. If it fails, it automatically falls back to simulated data.
-                  </p>
+
+                  {fetchOutcome && (
+                    <div className="space-y-2 bg-red-900/20 border border-red-500/50 rounded-lg p-3 text-xs text-red-200">
+                      <p className="font-semibold">Loaded {fetchOutcome.tickers.length - fetchFailed.length} of {fetchOutcome.tickers.length} tickers. Failed:</p>
+                      <ul className="text-[10px] space-y-0.5">
+                        {fetchFailed.map(t => (
+                          <li key={t}><span className="font-medium text-red-100">{t}</span>: {fetchOutcome.errors[t]}</li>
+                        ))}
+                      </ul>
+                      <div className="grid grid-cols-2 gap-1.5 text-[10px]">
+                        <button onClick={() => resolveFetchOutcome('retry')} disabled={isFetching} className="py-1 px-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed text-slate-200 rounded border border-slate-600 transition-colors">Retry failed</button>
+                        <button onClick={() => resolveFetchOutcome('drop')} disabled={fetchOutcome.tickers.length - fetchFailed.length < 2} className="py-1 px-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed text-slate-200 rounded border border-slate-600 transition-colors">Continue without them</button>
+                        <button onClick={() => resolveFetchOutcome('simulateMissing')} disabled={fetchFailed.length === fetchOutcome.tickers.length} className="py-1 px-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed text-slate-200 rounded border border-slate-600 transition-colors">Simulate missing</button>
+                        <button onClick={() => resolveFetchOutcome('simulateAll')} className="py-1 px-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed text-slate-200 rounded border border-slate-600 transition-colors">Simulate all</button>
+                      </div>
+                      <button onClick={() => resolveFetchOutcome('cancel')} className="w-full text-[10px] text-slate-400 hover:text-slate-200">Cancel</button>
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -467,50 +2187,628 @@ const PortfolioOptimizer = () => {
                     {tickers.map(t => (
                       <span key={t} className="text-xs bg-slate-900 border border-slate-600 text-slate-300 px-2 py-1 rounded">
                         {t}
+                        {simulatedTickers.includes(t) && <span className="ml-1 text-[10px] text-amber-400" title="Simulated prices">sim</span>}
                       </span>
                     ))}
                   </div>
+
+                  <button 
+                    onClick={() => setShowConstraintEditor(v => !v)}
+                    className="mt-3 text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1"
+                  >
+                    <ChevronRight className={`w-3 h-3 transition-transform ${showConstraintEditor ? 'rotate-90' : ''}`} />
+                    Weight Constraints
+                  </button>
+
+                  {showConstraintEditor && (
+                    <div className="mt-3 space-y-3">
+                      <label className="flex items-center gap-2 text-xs text-slate-400 cursor-pointer">
+                        <input 
+                          type="checkbox" 
+                          checked={constraints.allowShort} 
+                          onChange={(e) => setConstraints(prev => ({ ...prev, allowShort: e.target.checked }))}
+                          className="accent-blue-500"
+                        />
+                        Allow short selling
+                      </label>
+
+                      {constraints.allowShort && (
+                        <div>
+                          <label className="block text-[10px] text-slate-500 mb-1">Gross Leverage Limit (sum of |w|, %)</label>
+                          <input 
+                            type="number" 
+                            step="10" 
+                            value={formatPercentInput(constraints.grossLeverage)} 
+                            onChange={(e) => setConstraints(prev => ({ ...prev, grossLeverage: parsePercentInput(e.target.value) }))}
+                            className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                          />
+                        </div>
+                      )}
+
+                      <table className="w-full text-xs text-slate-400">
+                        <thead>
+                          <tr className="text-[10px] uppercase text-slate-500">
+                            <th className="text-left font-medium pb-1">Asset</th>
+                            <th className="text-left font-medium pb-1">Group</th>
+                            <th className="text-left font-medium pb-1">Min %</th>
+                            <th className="text-left font-medium pb-1">Max %</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {tickers.map(t => {
+                            const defaults = getTickerBounds(t, { ...constraints, bounds: {} });
+                            const bound = constraints.bounds[t] || {};
+                            return (
+                              <tr key={t}>
+                                <td className="pr-1 py-0.5 text-slate-300">{t}</td>
+                                <td className="pr-1 py-0.5">
+                                  <input 
+                                    type="text" 
+                                    value={constraints.groupOf[t] || ''} 
+                                    onChange={(e) => updateGroupOf(t, e.target.value)}
+                                    placeholder="—"
+                                    className="w-full bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                                  />
+                                </td>
+                                <td className="pr-1 py-0.5">
+                                  <input 
+                                    type="number" 
+                                    value={formatPercentInput(bound.min)} 
+                                    onChange={(e) => updateBound(t, 'min', e.target.value)}
+                                    placeholder={formatPercentInput(defaults.min)}
+                                    className="w-full bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                                  />
+                                </td>
+                                <td className="py-0.5">
+                                  <input 
+                                    type="number" 
+                                    value={formatPercentInput(bound.max)} 
+                                    onChange={(e) => updateBound(t, 'max', e.target.value)}
+                                    placeholder={formatPercentInput(defaults.max)}
+                                    className="w-full bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                                  />
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+
+                      {groupNames.length > 0 && (
+                        <div>
+                          <p className="text-[10px] uppercase text-slate-500 mb-1">Group Limits (%)</p>
+                          {groupNames.map(g => {
+                            const limit = constraints.groupLimits[g] || {};
+                            return (
+                              <div key={g} className="flex items-center gap-1 mb-1 text-xs">
+                                <span className="flex-1 text-slate-300 truncate">{g}</span>
+                                <input 
+                                  type="number" 
+                                  value={formatPercentInput(limit.min)} 
+                                  onChange={(e) => updateGroupLimit(g, 'min', e.target.value)}
+                                  placeholder="min"
+                                  className="w-16 bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                                />
+                                <input 
+                                  type="number" 
+                                  value={formatPercentInput(limit.max)} 
+                                  onChange={(e) => updateGroupLimit(g, 'max', e.target.value)}
+                                  placeholder="max"
+                                  className="w-16 bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                                />
+                              </div>
+                            );
+                          })}
+                        </div>
+                      )}
+
+                      <div>
+                        <div className="flex items-center justify-between mb-1">
+                          <p className="text-[10px] uppercase text-slate-500">Current Portfolio (%)</p>
+                          <div className="flex gap-2">
+                            <button 
+                              onClick={useHoldingsAsCurrent}
+                              className="text-[10px] text-blue-400 hover:text-blue-300"
+                            >
+                              Use holdings
+                            </button>
+                            {currentWeights && (
+                              <button 
+                                onClick={() => updateTurnover({ currentWeights: null })}
+                                className="text-[10px] text-slate-500 hover:text-slate-300"
+                              >
+                                Clear
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                        <div className="grid grid-cols-3 gap-1 mb-2">
+                          {tickers.map(t => (
+                            <label key={t} className="text-[10px] text-slate-400">
+                              {t}
+                              <input 
+                                type="number" 
+                                value={formatPercentInput(currentWeights && currentWeights[t])} 
+                                onChange={(e) => updateCurrentWeight(t, e.target.value)}
+                                placeholder="0"
+                                className="w-full bg-slate-900 border border-slate-600 rounded px-1 py-0.5 text-xs focus:outline-none focus:border-blue-500"
+                              />
+                            </label>
+                          ))}
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                          <label className="text-[10px] text-slate-500">
+                            Trading Cost (bps)
+                            <input 
+                              type="number" 
+                              min="0" 
+                              value={turnoverSettings.costBps} 
+                              onChange={(e) => updateTurnover({ costBps: Math.max(0, parseFloat(e.target.value) || 0) })}
+                              className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                            />
+                          </label>
+                          <label className="text-[10px] text-slate-500">
+                            Max Turnover (%)
+                            <input 
+                              type="number" 
+                              min="0" 
+                              value={formatPercentInput(turnoverSettings.maxTurnover)} 
+                              onChange={(e) => updateTurnover({ maxTurnover: parsePercentInput(e.target.value) ?? null })}
+                              placeholder="none"
+                              className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                            />
+                          </label>
+                        </div>
+                        <p className="text-[10px] text-slate-500 mt-1">
+                          {currentWeights
+                            ? 'Returns are net of the cost of trading from these weights (charged once per year); weights that sum below 100% are topped up from cash.'
+                            : 'Enter current weights to penalize or cap turnover.'}
+                        </p>
+                      </div>
+
+                      <button 
+                        onClick={() => setConstraints(DEFAULT_CONSTRAINTS)}
+                        className="text-[10px] text-slate-500 hover:text-slate-300"
+                      >
+                        Reset to long-only
+                      </button>
+                    </div>
+                  )}
+
+                  <button 
+                    onClick={() => setShowCurrencyEditor(v => !v)}
+                    className="mt-3 text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1"
+                  >
+                    <ChevronRight className={`w-3 h-3 transition-transform ${showCurrencyEditor ? 'rotate-90' : ''}`} />
+                    Currencies ({currencyLabel})
+                  </button>
+
+                  {showCurrencyEditor && (
+                    <div className="mt-3 space-y-3">
+                      <div className="flex items-center justify-between gap-2">
+                        <label className="text-xs text-slate-400">Base currency</label>
+                        <select 
+                          value={currencySettings.base} 
+                          onChange={(e) => setCurrencySettings(prev => ({ ...prev, base: e.target.value }))}
+                          className="bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                        >
+                          {BASE_CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                      </div>
+                      <label className="flex items-center gap-2 text-xs text-slate-400 cursor-pointer">
+                        <input 
+                          type="checkbox" 
+                          checked={currencySettings.hedged} 
+                          onChange={(e) => setCurrencySettings(prev => ({ ...prev, hedged: e.target.checked }))}
+                          className="accent-blue-500"
+                        />
+                        Currency-hedged positions
+                      </label>
+                      <p className="text-[10px] text-slate-500">
+                        {currencySettings.hedged
+                          ? 'Each asset earns its local-currency return; FX moves are hedged away (hedging cost is not modeled).'
+                          : `Prices are converted to ${currencySettings.base} with the FX rate of the same date, so FX moves are part of each return.`}
+                      </p>
+
+                      <div className="space-y-1">
+                        <p className="text-[10px] text-slate-500">Listing currency (reported by the provider, guessed from the ticker suffix, or typed; GBp = pence)</p>
+                        {tickers.map(t => (
+                          <div key={t} className="flex items-center justify-between gap-2 text-[10px]">
+                            <span className="text-slate-300 truncate">{t}</span>
+                            <input 
+                              type="text" 
+                              value={currencies[t]}
+                              onChange={(e) => setTickerCurrencies(prev => ({ ...prev, [t]: e.target.value.trim() }))}
+                              maxLength={3}
+                              className="w-14 bg-slate-900 border border-slate-600 rounded px-1 py-0.5 focus:outline-none focus:border-blue-500"
+                            />
+                          </div>
+                        ))}
+                      </div>
+
+                      {fxPairs.length > 0 && (
+                        <div className="space-y-2">
+                          <div className="text-[10px] space-y-0.5">
+                            {fxPairs.map(pair => (
+                              <p key={pair} className={baseConversion.missingPairs.includes(pair) ? 'text-amber-400' : 'text-slate-400'}>
+                                {pair}: {baseConversion.missingPairs.includes(pair)
+                                  ? 'missing'
+                                  : fxRates[pair] ? `${fxRates[pair].length} rates` : 'derived from other pairs'}
+                              </p>
+                            ))}
+                          </div>
+                          <div className="flex gap-2 text-[10px]">
+                            <button 
+                              onClick={handleFetchFx}
+                              disabled={isFetching}
+                              className="flex-1 py-1 px-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-40 text-slate-200 rounded border border-slate-600 transition-colors"
+                            >
+                              Fetch FX rates
+                            </button>
+                            <label className="flex-1 py-1 px-2 text-center bg-slate-800 hover:bg-slate-700 text-slate-200 rounded border border-slate-600 transition-colors cursor-pointer">
+                              Upload FX file
+                              <input type="file" accept=".csv,.tsv,.txt,.xlsx" onChange={handleFxUpload} className="hidden" />
+                            </label>
+                          </div>
+                          <p className="text-[10px] text-slate-500">
+                            Fetching uses the Fetch tab provider (e.g. EURUSD=X). Uploaded files need a date column and one column per pair, quoted as units of the second currency per unit of the first.
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  )}
                </div>
             )}
           </div>
 
-          {/* Parameters Card */}
-          <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 shadow-lg">
-             <h2 className="text-sm font-semibold text-slate-400 uppercase tracking-wider mb-4 flex items-center gap-2">
-              <Settings className="w-4 h-4" /> Parameters
-            </h2>
+          {/* Parameters Card */}
+          <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 shadow-lg">
+             <h2 className="text-sm font-semibold text-slate-400 uppercase tracking-wider mb-4 flex items-center gap-2">
+              <Settings className="w-4 h-4" /> Parameters
+            </h2>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-xs font-medium text-slate-400 mb-1">Risk-Free Rate (Annual)</label>
+                <div className="flex items-center gap-2">
+                  <input 
+                    type="number" 
+                    step="0.01" 
+                    value={riskFreeRate} 
+                    onChange={(e) => setRiskFreeRate(parseFloat(e.target.value))}
+                    className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                  />
+                  <span className="text-sm text-slate-500">%</span>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-xs font-medium text-slate-400 mb-1">Returns</label>
+                <div className="grid grid-cols-2 gap-2">
+                  <select 
+                    value={returnOptions.returnType} 
+                    onChange={(e) => setReturnOptions(prev => ({ ...prev, returnType: e.target.value }))}
+                    className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                  >
+                    {RETURN_TYPES.map(({ id, label }) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  <select 
+                    value={returnOptions.frequency} 
+                    onChange={(e) => setReturnOptions(prev => ({ ...prev, frequency: e.target.value }))}
+                    className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                  >
+                    {SAMPLING_FREQUENCIES.map(({ id, label }) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="mt-2">
+                  <label className="block text-[10px] text-slate-500 mb-1">Annualization (periods per year)</label>
+                  <select 
+                    value={returnOptions.periodsPerYear || ''} 
+                    onChange={(e) => setReturnOptions(prev => ({ ...prev, periodsPerYear: parseInt(e.target.value) || null }))}
+                    className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                  >
+                    <option value="">Auto (from Date spacing)</option>
+                    {PERIODS_PER_YEAR_CHOICES.map(n => (
+                      <option key={n} value={n}>{n}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-xs font-medium text-slate-400 mb-1">Covariance Estimator</label>
+                <select 
+                  value={covEstimator} 
+                  onChange={(e) => setCovEstimator(e.target.value)}
+                  className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                >
+                  {COVARIANCE_ESTIMATORS.map(({ id, label }) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+                {covEstimator === 'ewma' && (
+                  <div className="mt-2">
+                    <label className="block text-[10px] text-slate-500 mb-1">Half-Life (return periods)</label>
+                    <input 
+                      type="number" 
+                      min="1" 
+                      step="1" 
+                      value={ewmaHalfLife} 
+                      onChange={(e) => setEwmaHalfLife(Math.max(1, parseInt(e.target.value) || 1))}
+                      className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                    />
+                  </div>
+                )}
+                {covEstimator === 'semi' && (
+                  <p className="text-[10px] text-slate-500 mt-1">Only returns below 0% contribute to risk.</p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-xs font-medium text-slate-400 mb-1">VaR / CVaR Confidence</label>
+                <select 
+                  value={cvarConfidence} 
+                  onChange={(e) => setCvarConfidence(parseFloat(e.target.value))}
+                  className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                >
+                  {CVAR_CONFIDENCE_LEVELS.map(level => (
+                    <option key={level} value={level}>{formatConfidence(level)}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-xs font-medium text-slate-400 mb-1">Expected Returns</label>
+                <select 
+                  value={returnModel.model} 
+                  onChange={(e) => updateReturnModel('model', e.target.value)}
+                  className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                >
+                  {RETURN_MODELS.map(({ id, label }) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+                {returnModel.model !== 'historical' && (
+                  <div className="mt-2 space-y-2">
+                    <div className="grid grid-cols-2 gap-2">
+                      <div>
+                        <label className="block text-[10px] text-slate-500 mb-1">Market Proxy</label>
+                        <select 
+                          value={benchmarkTicker} 
+                          onChange={(e) => updateReturnModel('benchmark', e.target.value)}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:border-blue-500"
+                        >
+                          {tickers.map(t => <option key={t} value={t}>{t}</option>)}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-[10px] text-slate-500 mb-1">Market Premium %</label>
+                        <input 
+                          type="number" 
+                          step="0.5" 
+                          placeholder="historical"
+                          value={formatPercentInput(returnModel.marketPremium)} 
+                          onChange={(e) => updateReturnModel('marketPremium', parsePercentInput(e.target.value) ?? null)}
+                          className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:border-blue-500"
+                        />
+                      </div>
+                    </div>
+
+                    {returnModel.model === 'blackLitterman' && (
+                      <>
+                        <div>
+                          <label className="block text-[10px] text-slate-500 mb-1">Tau (prior uncertainty)</label>
+                          <input 
+                            type="number" 
+                            min="0.001" 
+                            step="0.01" 
+                            value={returnModel.tau} 
+                            onChange={(e) => updateReturnModel('tau', Math.max(0.001, parseFloat(e.target.value) || 0.001))}
+                            className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:border-blue-500"
+                          />
+                        </div>
+
+                        <div className="space-y-2">
+                          <div className="flex justify-between items-center">
+                            <span className="text-[10px] text-slate-500 uppercase">Views</span>
+                            <button onClick={addView} disabled={tickers.length === 0} className="text-xs text-blue-400 hover:text-blue-300 font-medium">
+                              + Add view
+                            </button>
+                          </div>
+                          {returnModel.views.length === 0 && (
+                            <p className="text-[10px] text-slate-500">No views: the posterior equals the CAPM prior.</p>
+                          )}
+                          {returnModel.views.map((view, i) => (
+                            <div key={i} className="bg-slate-900/50 border border-slate-700 rounded p-2 space-y-1.5">
+                              <div className="flex items-center gap-1.5">
+                                <select 
+                                  value={view.asset} 
+                                  onChange={(e) => updateView(i, 'asset', e.target.value)}
+                                  className="flex-1 bg-slate-900 border border-slate-600 rounded px-1.5 py-1 text-xs"
+                                >
+                                  {tickers.map(t => <option key={t} value={t}>{t}</option>)}
+                                </select>
+                                <select 
+                                  value={view.type} 
+                                  onChange={(e) => updateView(i, 'type', e.target.value)}
+                                  className="flex-1 bg-slate-900 border border-slate-600 rounded px-1.5 py-1 text-xs"
+                                >
+                                  <option value="absolute">returns</option>
+                                  <option value="relative">beats</option>
+                                </select>
+                                {view.type === 'relative' && (
+                                  <select 
+                                    value={view.versus} 
+                                    onChange={(e) => updateView(i, 'versus', e.target.value)}
+                                    className="flex-1 bg-slate-900 border border-slate-600 rounded px-1.5 py-1 text-xs"
+                                  >
+                                    {tickers.map(t => <option key={t} value={t}>{t}</option>)}
+                                  </select>
+                                )}
+                                <button onClick={() => removeView(i)} className="text-slate-500 hover:text-red-400 text-xs px-1">×</button>
+                              </div>
+                              <div className="grid grid-cols-2 gap-1.5">
+                                <label className="text-[10px] text-slate-500">
+                                  {view.type === 'relative' ? 'By %/yr' : 'Return %/yr'}
+                                  <input 
+                                    type="number" 
+                                    step="0.5" 
+                                    value={formatPercentInput(view.value)} 
+                                    onChange={(e) => updateView(i, 'value', parsePercentInput(e.target.value))}
+                                    className="w-full bg-slate-900 border border-slate-600 rounded px-1.5 py-1 text-xs text-slate-200"
+                                  />
+                                </label>
+                                <label className="text-[10px] text-slate-500">
+                                  Confidence %
+                                  <input 
+                                    type="number" 
+                                    min="1" 
+                                    max="100" 
+                                    step="5" 
+                                    value={formatPercentInput(view.confidence)} 
+                                    onChange={(e) => updateView(i, 'confidence', parsePercentInput(e.target.value))}
+                                    className="w-full bg-slate-900 border border-slate-600 rounded px-1.5 py-1 text-xs text-slate-200"
+                                  />
+                                </label>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
 
-            <div className="space-y-4">
               <div>
-                <label className="block text-xs font-medium text-slate-400 mb-1">Risk-Free Rate (Annual)</label>
-                <div className="flex items-center gap-2">
+                <label className="block text-xs font-medium text-slate-400 mb-1">Benchmark</label>
+                <select 
+                  value={benchmarkChoice} 
+                  onChange={(e) => setBenchmarkSettings(prev => ({ ...prev, ticker: e.target.value }))}
+                  className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                >
+                  <option value="">None</option>
+                  {tickers.map(t => <option key={t} value={t}>{t}</option>)}
+                  {benchmarkSeries && !tickers.includes(benchmarkSeries.ticker) && (
+                    <option value={benchmarkSeries.ticker}>{benchmarkSeries.ticker} (outside the universe)</option>
+                  )}
+                </select>
+                <div className="mt-2 flex gap-1.5">
                   <input 
-                    type="number" 
-                    step="0.01" 
-                    value={riskFreeRate} 
-                    onChange={(e) => setRiskFreeRate(parseFloat(e.target.value))}
-                    className="w-full bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                    type="text" 
+                    placeholder="Outside ticker, e.g. SPY"
+                    value={benchmarkSymbol} 
+                    onChange={(e) => setBenchmarkSymbol(e.target.value)}
+                    className="flex-1 min-w-0 bg-slate-900 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:border-blue-500"
                   />
-                  <span className="text-sm text-slate-500">%</span>
+                  <button 
+                    onClick={() => handleFetchBenchmark(benchmarkSymbol)}
+                    disabled={isFetching || !benchmarkSymbol.trim()}
+                    title="Fetch with the Fetch tab provider"
+                    className="px-2 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 rounded text-xs"
+                  >
+                    Fetch
+                  </button>
+                  <label title="CSV or .xlsx with a date column; the first price column is used" className="px-2 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded text-xs cursor-pointer">
+                    Upload
+                    <input type="file" accept=".csv,.tsv,.txt,.xlsx" onChange={handleBenchmarkUpload} className="hidden" />
+                  </label>
                 </div>
+                {benchmarkSeries && (
+                  <p className="text-[10px] text-slate-500 mt-1">
+                    Loaded {benchmarkSeries.ticker}: {benchmarkSeries.points.length} prices ({benchmarkSeries.source}), used as quoted (no currency conversion).
+                  </p>
+                )}
+                {benchmarkChoice && (
+                  <div className="mt-2">
+                    <label className="block text-[10px] text-slate-500 mb-1">Tracking-Error Budget %</label>
+                    <input 
+                      type="number" 
+                      min="0" 
+                      step="0.5" 
+                      placeholder="none"
+                      value={formatPercentInput(benchmarkSettings.trackingErrorBudget)} 
+                      onChange={(e) => setBenchmarkSettings(prev => ({ ...prev, trackingErrorBudget: parsePercentInput(e.target.value) ?? null }))}
+                      className="w-full bg-slate-900 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:border-blue-500"
+                    />
+                    <p className="text-[10px] text-slate-500 mt-1">Caps the active frontier and its portfolios; the efficient frontier is unaffected.</p>
+                  </div>
+                )}
               </div>
 
               <div>
-                <label className="block text-xs font-medium text-slate-400 mb-1">Simulations</label>
+                <label className="block text-xs font-medium text-slate-400 mb-1">Frontier Points</label>
                 <input 
                   type="range" 
-                  min="500" 
-                  max="5000" 
-                  step="100" 
-                  value={iterations} 
-                  onChange={(e) => setIterations(parseInt(e.target.value))}
+                  min="10" 
+                  max="200" 
+                  step="10" 
+                  value={frontierPoints} 
+                  onChange={(e) => setFrontierPoints(parseInt(e.target.value))}
                   className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer"
                 />
                 <div className="flex justify-between text-xs text-slate-500 mt-1">
-                  <span>500</span>
-                  <span className="text-blue-400">{iterations}</span>
-                  <span>5000</span>
+                  <span>10</span>
+                  <span className="text-blue-400">{frontierPoints}</span>
+                  <span>200</span>
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-xs font-medium text-slate-400 cursor-pointer">
+                <input 
+                  type="checkbox" 
+                  checked={showRandomPortfolios} 
+                  onChange={(e) => setShowRandomPortfolios(e.target.checked)}
+                  className="accent-blue-500"
+                />
+                Overlay random portfolios
+              </label>
+
+              {showRandomPortfolios && (
+                <div>
+                  <label className="block text-xs font-medium text-slate-400 mb-1">Simulations</label>
+                  <input 
+                    type="range" 
+                    min="500" 
+                    max="20000" 
+                    step="500" 
+                    value={iterations} 
+                    onChange={(e) => setIterations(parseInt(e.target.value))}
+                    className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                  <div className="flex justify-between text-xs text-slate-500 mt-1">
+                    <span>500</span>
+                    <span className="text-blue-400">{iterations}</span>
+                    <span>20000</span>
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-xs font-medium text-slate-400 mb-1">Random Seed</label>
+                <div className="flex gap-2">
+                  <input 
+                    type="number" 
+                    min="0" 
+                    step="1" 
+                    value={seed ?? ''} 
+                    placeholder="New each run"
+                    onChange={(e) => setSeed(parseSeed(e.target.value))}
+                    className="flex-1 min-w-0 bg-slate-900 border border-slate-600 rounded px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                  />
+                  <button 
+                    onClick={() => setSeed(randomSeed())}
+                    title="Pick a new seed"
+                    className="px-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded transition-colors"
+                  >
+                    <Shuffle className="w-4 h-4" />
+                  </button>
                 </div>
+                <p className="text-[10px] text-slate-500 mt-1">The same seed draws the same random portfolios and projection paths</p>
               </div>
 
               <button 
@@ -523,8 +2821,25 @@ const PortfolioOptimizer = () => {
                 }`}
               >
                 {isSimulating ? <RefreshCw className="w-4 h-4 animate-spin" /> : <TrendingUp className="w-4 h-4" />}
-                Run Optimization
+                {isSimulating && progress ? `Running... ${Math.round(progress.fraction * 100)}%` : 'Run Optimization'}
               </button>
+
+              {isSimulating && progress && (
+                <div className="space-y-2">
+                  <div className="h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                    <div 
+                      className="h-full bg-blue-500 transition-all" 
+                      style={{ width: `${Math.round(progress.fraction * 100)}%` }}
+                    />
+                  </div>
+                  <div className="flex justify-between items-center text-xs text-slate-500">
+                    <span>{progress.stage}</span>
+                    <button onClick={stopWorker} className="text-red-400 hover:text-red-300 font-medium">
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
           
@@ -539,93 +2854,345 @@ const PortfolioOptimizer = () => {
         {/* CENTER & RIGHT: Visualization */}
         <div className="lg:col-span-9 space-y-6">
           
+          {/* Data Quality (shown as soon as data is loaded, before any run) */}
+          {dataQuality && (
+            <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+               <div className="px-6 py-4 border-b border-slate-700 flex flex-wrap justify-between items-start gap-4">
+                  <div>
+                    <h3 className="font-bold text-white">Data Quality</h3>
+                    <p className="text-xs text-slate-400">
+                      {dataQuality.rows} rows · {dataQuality.alignedRows} kept
+                      {dataQuality.rowsDropped > 0 && ` (${dataQuality.rowsDropped} dropped)`}
+                      {dataQuality.filledValues > 0 && ` · ${dataQuality.filledValues} prices forward-filled`}
+                      {` · ${dataQuality.returnPeriods} return periods`}
+                      {dataQuality.minPairOverlap != null && ` · shortest pair overlap ${dataQuality.minPairOverlap}`}
+                      {` · Prices: ${priceBasisLabel}`}
+                      {` · Currency: ${currencyLabel}`}
+                    </p>
+                  </div>
+                  <div className="flex items-end gap-2 text-xs">
+                    <div>
+                      <label className="block text-[10px] text-slate-500 mb-1">Alignment</label>
+                      <select 
+                        value={returnOptions.alignment} 
+                        onChange={(e) => setReturnOptions(prev => ({ ...prev, alignment: e.target.value }))}
+                        className="bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                      >
+                        {ALIGNMENT_POLICIES.map(({ id, label }) => (
+                          <option key={id} value={id}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {returnOptions.alignment === 'ffill' && (
+                      <div>
+                        <label className="block text-[10px] text-slate-500 mb-1">Max gap (rows)</label>
+                        <input 
+                          type="number" min="1" step="1"
+                          value={returnOptions.maxFillGap}
+                          onChange={(e) => setReturnOptions(prev => ({ ...prev, maxFillGap: Math.max(1, parseInt(e.target.value) || 1) }))}
+                          className="w-20 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:border-blue-500"
+                        />
+                      </div>
+                    )}
+                  </div>
+               </div>
+               <div className="overflow-x-auto">
+                 <table className="w-full text-xs text-left text-slate-400">
+                    <thead className="text-[10px] text-slate-300 uppercase bg-slate-900/50">
+                      <tr>
+                        <th className="px-6 py-2">Asset</th>
+                        <th className="px-6 py-2">Range</th>
+                        <th className="px-6 py-2">Coverage</th>
+                        <th className="px-6 py-2">Gaps (longest)</th>
+                        <th className="px-6 py-2">Jumps</th>
+                        <th className="px-6 py-2">Stale Runs</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {dataQuality.tickers.map((q, i) => (
+                        <tr key={q.ticker} className="border-b border-slate-700">
+                          <td className="px-6 py-2 font-medium text-white flex items-center gap-2">
+                             <span className="w-2 h-2 rounded-full" style={{ backgroundColor: COLORS[i % COLORS.length]}}></span>
+                             {q.ticker}
+                          </td>
+                          <td className="px-6 py-2 font-mono">{q.firstDate ? `${q.firstDate} → ${q.lastDate}` : 'no prices'}</td>
+                          <td className={`px-6 py-2 font-mono ${q.coverage < 0.9 ? 'text-amber-400' : ''}`}>{(q.coverage * 100).toFixed(1)}%</td>
+                          <td className="px-6 py-2 font-mono">{q.gaps.length > 0 ? `${q.gaps.length} (${q.longestGap})` : '-'}</td>
+                          <td className={`px-6 py-2 font-mono ${q.jumps.length > 0 ? 'text-red-400' : ''}`}>{q.jumps.length || '-'}</td>
+                          <td className={`px-6 py-2 font-mono ${q.staleRuns.length > 0 ? 'text-amber-400' : ''}`}>{q.staleRuns.length || '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                 </table>
+               </div>
+               {(qualityIssues.length > 0 || pairwiseEstimatorClash || rawCloseTickers.length > 0 || baseConversion.missingPairs.length > 0) && (
+                 <div className="px-6 py-3 text-[11px] text-slate-400 space-y-1">
+                   {qualityIssues.slice(0, 8).map(issue => (
+                     <p key={issue} className="flex items-start gap-1.5">
+                       <AlertCircle className="w-3 h-3 mt-0.5 text-amber-400 flex-shrink-0" />{issue}
+                     </p>
+                   ))}
+                   {qualityIssues.length > 8 && <p className="text-slate-500">…and {qualityIssues.length - 8} more</p>}
+                   {pairwiseEstimatorClash && (
+                     <p className="text-amber-400">Pairwise-complete alignment only supports the sample covariance estimator.</p>
+                   )}
+                   {baseConversion.missingPairs.length > 0 && (
+                     <p className="text-amber-400">
+                       Missing FX rates for {baseConversion.missingPairs.join(', ')}: prices are shown unconverted until they are fetched or uploaded under Currencies.
+                     </p>
+                   )}
+                   {rawCloseTickers.length > 0 && (
+                     <p className="text-amber-400">
+                       {rawCloseTickers.join(', ')}: raw closes exclude dividends, so returns of income assets are understated.
+                     </p>
+                   )}
+                 </div>
+               )}
+            </div>
+          )}
+
           {/* Efficient Frontier Chart */}
           <div className="bg-slate-800 rounded-xl border border-slate-700 p-1 shadow-lg overflow-hidden relative min-h-[450px]">
             <div className="absolute top-4 left-4 z-10">
                <h2 className="text-lg font-bold text-white flex items-center gap-2">
                  Efficient Frontier 
-                 {simResults.length > 0 && <span className="text-xs font-normal text-slate-400 bg-slate-900 px-2 py-0.5 rounded-full">{simResults.length} Portfolios</span>}
+                 {frontier && <span className="text-xs font-normal text-slate-400 bg-slate-900 px-2 py-0.5 rounded-full">{frontier.points.length} Frontier Points</span>}
+                 {simResults.length > 0 && <span className="text-xs font-normal text-slate-400 bg-slate-900 px-2 py-0.5 rounded-full">{simResults.length} Random</span>}
                </h2>
-               <p className="text-xs text-slate-400">Y-Axis: Expected Return | X-Axis: Volatility (Risk)</p>
+               <p className="text-xs text-slate-400">
+                 {showActive
+                   ? `Y-Axis: Active Return vs ${frontier.benchmark.ticker} | X-Axis: Tracking Error`
+                   : `Y-Axis: Expected Return | X-Axis: ${riskAxis === 'cvar' ? 'One-Period CVaR (Tail Risk)' : 'Volatility (Risk)'}`} | Click a point to pin it
+               </p>
+               {frontier && (
+                 <p className="text-[10px] text-slate-500 mt-0.5">
+                   {frontier.constraints.allowShort
+                     ? `Long/short, gross leverage ≤ ${(frontier.constraints.grossLeverage * 100).toFixed(0)}%`
+                     : 'Long-only'}
+                   {formatTurnoverSettings(frontier.constraints.turnover) && ` · ${formatTurnoverSettings(frontier.constraints.turnover)}`}
+                   {stats && stats.estimator && ` · Covariance: ${formatEstimator(stats.estimator)}`}
+                   {stats && stats.returnModel && ` · Returns: ${stats.returnModel.label}`}
+                   {stats && stats.returnSettings && ` · ${formatReturnSettings(stats.returnSettings)}`}
+                   {` · Prices: ${priceBasisLabel}`}
+                   {runCurrency && ` · Currency: ${runCurrency}`}
+                   {frontier.seed != null && ` · Seed ${frontier.seed}`}
+                   {frontier.benchmark && ` · Benchmark: ${formatBenchmark(frontier.benchmark, frontier.active)}`}
+                 </p>
+               )}
             </div>
+
+            {frontier && (
+              <div className="absolute top-4 right-4 z-10 flex flex-col items-end gap-2">
+                {frontier.active && (
+                  <div className="flex bg-slate-900 rounded-lg border border-slate-700 p-0.5 text-xs">
+                    {[['absolute', 'Absolute'], ['active', `Active vs ${frontier.benchmark.ticker}`]].map(([key, label]) => (
+                      <button 
+                        key={key} 
+                        onClick={() => setFrontierView(key)}
+                        className={`px-2 py-1 rounded-md ${frontierView === key ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {frontier.cvarConfidence && !showActive && (
+                  <div className="flex bg-slate-900 rounded-lg border border-slate-700 p-0.5 text-xs">
+                    {[['volatility', 'Volatility'], ['cvar', `CVaR ${formatConfidence(frontier.cvarConfidence)}`]].map(([key, label]) => (
+                      <button 
+                        key={key} 
+                        onClick={() => setRiskAxis(key)}
+                        className={`px-2 py-1 rounded-md ${riskAxis === key ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <ChartExportButtons targetRef={frontierChartRef} name="efficient frontier" />
+              </div>
+            )}
             
-            {simResults.length > 0 ? (
-              <ResponsiveContainer width="100%" height={450}>
-                <ScatterChart margin={{ top: 60, right: 20, bottom: 20, left: 0 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-                  <XAxis 
-                    type="number" 
-                    dataKey="volatility" 
-                    name="Volatility" 
-                    unit="" 
-                    stroke="#94a3b8" 
-                    fontSize={12}
-                    tickFormatter={(val) => `${(val * 100).toFixed(1)}%`}
-                    domain={['auto', 'auto']}
-                  />
-                  <YAxis 
-                    type="number" 
-                    dataKey="return" 
-                    name="Return" 
-                    unit="" 
-                    stroke="#94a3b8" 
-                    fontSize={12}
-                    tickFormatter={(val) => `${(val * 100).toFixed(1)}%`}
-                    domain={['auto', 'auto']}
-                  />
-                  <Tooltip 
-                    cursor={{ strokeDasharray: '3 3' }}
-                    content={({ active, payload }) => {
-                      if (active && payload && payload.length) {
-                        const data = payload[0].payload;
-                        return (
-                          <div className="bg-slate-900 border border-slate-600 p-3 rounded shadow-xl text-xs">
-                            <p className="font-bold text-white mb-2">Portfolio Stats</p>
-                            <p className="text-slate-300">Return: <span className="text-green-400 font-mono">{(data.return * 100).toFixed(2)}%</span></p>
-                            <p className="text-slate-300">Volatility: <span className="text-red-400 font-mono">{(data.volatility * 100).toFixed(2)}%</span></p>
-                            <p className="text-slate-300">Sharpe: <span className="text-blue-400 font-mono">{data.sharpe.toFixed(2)}</span></p>
-                          </div>
-                        );
-                      }
-                      return null;
-                    }}
-                  />
-                  {/* All Simulations */}
-                  <Scatter 
-                    name="Portfolios" 
-                    data={simResults} 
-                    fill="#3b82f6" 
-                    fillOpacity={0.6}
-                    shape="circle"
-                  >
-                     {simResults.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={entry.sharpe > 1 ? '#60a5fa' : '#1e40af'} />
-                     ))}
-                  </Scatter>
-                  
-                  {/* Highlight Optimal Portfolios */}
-                  {optimalPortfolios && (
-                    <>
+            {frontier ? (
+              <div ref={frontierChartRef}>
+                <ResponsiveContainer width="100%" height={450}>
+                  <ScatterChart margin={{ top: 60, right: 20, bottom: 20, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                    <XAxis 
+                      type="number" 
+                      dataKey={showActive ? 'trackingError' : riskAxis} 
+                      name={showActive ? 'Tracking Error' : (riskAxis === 'cvar' ? 'CVaR' : 'Volatility')} 
+                      unit="" 
+                      stroke="#94a3b8" 
+                      fontSize={12}
+                      tickFormatter={(val) => `${(val * 100).toFixed(1)}%`}
+                      domain={['auto', 'auto']}
+                    />
+                    <YAxis 
+                      type="number" 
+                      dataKey={showActive ? 'activeReturn' : 'return'} 
+                      name={showActive ? 'Active Return' : 'Return'} 
+                      unit="" 
+                      stroke="#94a3b8" 
+                      fontSize={12}
+                      tickFormatter={(val) => `${(val * 100).toFixed(1)}%`}
+                      domain={['auto', 'auto']}
+                    />
+                    <Tooltip 
+                      cursor={{ strokeDasharray: '3 3' }}
+                      content={({ active, payload }) => {
+                        if (active && payload && payload.length) {
+                          const data = payload[0].payload;
+                          return (
+                            <div className="bg-slate-900 border border-slate-600 p-3 rounded shadow-xl text-xs">
+                              <p className="font-bold text-white mb-2">Portfolio Stats</p>
+                              <p className="text-slate-300">Return: <span className="text-green-400 font-mono">{(data.return * 100).toFixed(2)}%</span></p>
+                              <p className="text-slate-300">Volatility: <span className="text-red-400 font-mono">{(data.volatility * 100).toFixed(2)}%</span></p>
+                              <p className="text-slate-300">Sharpe: <span className="text-blue-400 font-mono">{data.sharpe.toFixed(2)}</span></p>
+                              {data.turnover != null && (
+                                <p className="text-slate-300">Turnover: <span className="text-slate-200 font-mono">{(data.turnover * 100).toFixed(1)}%</span></p>
+                              )}
+                              {data.cvar != null && frontier.cvarConfidence && (
+                                <p className="text-slate-300">CVaR {formatConfidence(frontier.cvarConfidence)}: <span className="text-orange-300 font-mono">{(data.cvar * 100).toFixed(2)}%</span></p>
+                              )}
+                              {data.trackingError != null && frontier.benchmark && (
+                                <div className="mt-2 pt-2 border-t border-slate-700">
+                                  <p className="text-slate-400 mb-1">vs {frontier.benchmark.ticker}</p>
+                                  <p className="text-slate-300">Beta: <span className="text-slate-200 font-mono">{data.beta.toFixed(2)}</span></p>
+                                  <p className="text-slate-300">Alpha: <span className="text-slate-200 font-mono">{(data.alpha * 100).toFixed(2)}%</span></p>
+                                  <p className="text-slate-300">Active Return: <span className="text-green-400 font-mono">{(data.activeReturn * 100).toFixed(2)}%</span></p>
+                                  <p className="text-slate-300">Tracking Error: <span className="text-red-400 font-mono">{(data.trackingError * 100).toFixed(2)}%</span></p>
+                                  <p className="text-slate-300">Info Ratio: <span className="text-teal-300 font-mono">{data.informationRatio != null ? data.informationRatio.toFixed(2) : '–'}</span></p>
+                                </div>
+                              )}
+                            </div>
+                          );
+                        }
+                        return null;
+                      }}
+                    />
+                    {/* Random Portfolios (optional overlay) */}
+                    {simResults.length > 0 && (
                       <Scatter 
-                        name="Max Sharpe" 
-                        data={[optimalPortfolios.maxSharpe]} 
-                        fill="#fbbf24" 
-                        shape="star" 
-                        r={10} // Bigger radius
-                        zIndex={20}
-                      />
+                        name="Portfolios" 
+                        data={simResults} 
+                        fill="#3b82f6" 
+                        fillOpacity={0.6}
+                        shape="circle"
+                        onClick={pinPortfolio}
+                        className="cursor-pointer"
+                      >
+                         {simResults.map((entry, index) => (
+                            <Cell key={`cell-${index}`} fill={entry.sharpe > 1 ? '#60a5fa' : '#1e40af'} />
+                         ))}
+                      </Scatter>
+                    )}
+
+                    {/* Exact Efficient Frontier (or the active frontier against the benchmark) */}
+                    <Scatter 
+                      name={showActive ? 'Active Frontier' : 'Efficient Frontier'} 
+                      data={showActive ? frontier.active.points : frontier.points} 
+                      fill="#22d3ee" 
+                      line={{ stroke: '#22d3ee', strokeWidth: 2 }}
+                      shape={({ cx, cy }) => <circle cx={cx} cy={cy} r={2} fill="#22d3ee" />}
+                      legendType="line"
+                      onClick={pinPortfolio}
+                      className="cursor-pointer"
+                    />
+
+                    {/* Capital Market Line */}
+                    {capitalMarketLine && riskAxis === 'volatility' && !showActive && (
                       <Scatter 
-                        name="Min Volatility" 
-                        data={[optimalPortfolios.minVol]} 
-                        fill="#f87171" 
-                        shape="diamond" 
-                        r={10} 
-                        zIndex={20}
+                        name="Capital Market Line" 
+                        data={capitalMarketLine} 
+                        fill="#a3e635" 
+                        line={{ stroke: '#a3e635', strokeWidth: 1.5, strokeDasharray: '6 4' }}
+                        shape={() => null}
+                        legendType="line"
+                        isAnimationActive={false}
                       />
-                    </>
-                  )}
-                </ScatterChart>
-              </ResponsiveContainer>
+                    )}
+                    
+                    {/* Highlight Optimal Portfolios */}
+                    {optimalPortfolios && (
+                      <>
+                        <Scatter 
+                          name="Max Sharpe" 
+                          data={[optimalPortfolios.maxSharpe]} 
+                          fill="#fbbf24" 
+                          shape="star" 
+                          r={10} // Bigger radius
+                          zIndex={20}
+                        />
+                        <Scatter 
+                          name="Min Volatility" 
+                          data={[optimalPortfolios.minVol]} 
+                          fill="#f87171" 
+                          shape="diamond" 
+                          r={10} 
+                          zIndex={20}
+                        />
+                        <Scatter 
+                          name="Risk Parity" 
+                          data={[optimalPortfolios.riskParity]} 
+                          fill="#a78bfa" 
+                          shape="square" 
+                          r={10} 
+                          zIndex={20}
+                        />
+                        <Scatter 
+                          name="Min CVaR" 
+                          data={[optimalPortfolios.minCVaR]} 
+                          fill="#fb923c" 
+                          shape="cross" 
+                          r={10} 
+                          zIndex={20}
+                        />
+                        {optimalPortfolios.active && (
+                          <Scatter 
+                            name="Max Info Ratio" 
+                            data={[optimalPortfolios.active.maxInformationRatio]} 
+                            fill="#2dd4bf" 
+                            shape="wye" 
+                            r={10} 
+                            zIndex={20}
+                          />
+                        )}
+                        {optimalPortfolios.active && optimalPortfolios.active.budgetPortfolio && (
+                          <Scatter 
+                            name="TE Budget" 
+                            data={[optimalPortfolios.active.budgetPortfolio]} 
+                            fill="#e879f9" 
+                            shape="circle" 
+                            r={10} 
+                            zIndex={20}
+                          />
+                        )}
+                        {benchmarkPoint && (showActive || riskAxis === 'volatility') && (
+                          <Scatter 
+                            name={`Benchmark (${frontier.benchmark.ticker})`} 
+                            data={[benchmarkPoint]} 
+                            fill="#e2e8f0" 
+                            shape="square" 
+                            r={8} 
+                            zIndex={20}
+                          />
+                        )}
+                        {targetPortfolio && (
+                          <Scatter 
+                            name={pinnedPortfolio ? 'Pinned' : 'Target'} 
+                            data={[targetPortfolio]} 
+                            fill="#34d399" 
+                            shape="triangle" 
+                            r={10} 
+                            zIndex={20}
+                          />
+                        )}
+                      </>
+                    )}
+                  </ScatterChart>
+                </ResponsiveContainer>
+              </div>
             ) : (
               <div className="h-[450px] flex flex-col items-center justify-center text-slate-500">
                  <TrendingUp className="w-16 h-16 opacity-20 mb-4" />
@@ -635,137 +3202,150 @@ const PortfolioOptimizer = () => {
           </div>
 
           {/* Detailed Stats Grid */}
-          {optimalPortfolios && (
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              
-              {/* Max Sharpe Card */}
-              <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 shadow-lg relative overflow-hidden group">
-                <div className="absolute top-0 right-0 p-3 opacity-10 group-hover:opacity-20 transition-opacity">
-                  <TrendingUp className="w-24 h-24 text-yellow-500" />
-                </div>
-                
-                <div className="flex justify-between items-start mb-4">
-                  <div>
-                    <h3 className="text-lg font-bold text-white">Max Sharpe Ratio</h3>
-                    <p className="text-xs text-slate-400">Best risk-adjusted return</p>
-                  </div>
-                  <div className="bg-yellow-500/10 text-yellow-500 px-3 py-1 rounded-full text-xs font-bold border border-yellow-500/20">
-                    Target
-                  </div>
-                </div>
+          {optimalPortfolios && riskContext && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <PortfolioCard 
+                title="Max Sharpe Ratio" 
+                subtitle="Best risk-adjusted return" 
+                badge="Target" 
+                icon={TrendingUp} 
+                theme={CARD_THEMES.yellow} 
+                portfolio={optimalPortfolios.maxSharpe} 
+                tickers={tickers} 
+                risk={riskContext} 
+              />
+
+              <PortfolioCard 
+                title="Global Min Variance" 
+                subtitle="Lowest possible volatility" 
+                badge="Defensive" 
+                icon={Shield} 
+                theme={CARD_THEMES.red} 
+                portfolio={optimalPortfolios.minVol} 
+                tickers={tickers} 
+                risk={riskContext} 
+              />
+
+              <PortfolioCard 
+                title="Risk Parity" 
+                subtitle="Equal risk contribution (long, within limits)" 
+                badge="Balanced" 
+                icon={Scale} 
+                theme={CARD_THEMES.purple} 
+                portfolio={optimalPortfolios.riskParity} 
+                tickers={tickers} 
+                risk={riskContext} 
+              />
+
+              <PortfolioCard 
+                title="Min CVaR" 
+                subtitle={`Lowest average loss in the worst ${formatConfidence(1 - riskContext.confidence)} of periods`} 
+                badge="Tail Risk" 
+                icon={AlertCircle} 
+                theme={CARD_THEMES.orange} 
+                portfolio={optimalPortfolios.minCVaR} 
+                tickers={tickers} 
+                risk={riskContext} 
+              />
+
+              {optimalPortfolios.active && (
+                <PortfolioCard 
+                  title="Max Information Ratio" 
+                  subtitle={`Best active return per unit of tracking error vs ${frontier.benchmark.ticker}`} 
+                  badge="Active" 
+                  icon={Activity} 
+                  theme={CARD_THEMES.teal} 
+                  portfolio={optimalPortfolios.active.maxInformationRatio} 
+                  tickers={tickers} 
+                  risk={riskContext} 
+                />
+              )}
 
-                <div className="grid grid-cols-3 gap-2 mb-6 text-center">
-                  <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
-                    <p className="text-[10px] text-slate-400 uppercase">Return</p>
-                    <p className="text-lg font-mono font-bold text-green-400">{(optimalPortfolios.maxSharpe.return * 100).toFixed(2)}%</p>
-                  </div>
-                  <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
-                    <p className="text-[10px] text-slate-400 uppercase">Risk (Vol)</p>
-                    <p className="text-lg font-mono font-bold text-red-400">{(optimalPortfolios.maxSharpe.volatility * 100).toFixed(2)}%</p>
-                  </div>
-                  <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
-                    <p className="text-[10px] text-slate-400 uppercase">Sharpe</p>
-                    <p className="text-lg font-mono font-bold text-blue-400">{optimalPortfolios.maxSharpe.sharpe.toFixed(2)}</p>
-                  </div>
-                </div>
+              {optimalPortfolios.active && optimalPortfolios.active.budgetPortfolio && (
+                <PortfolioCard 
+                  title="Tracking-Error Budget" 
+                  subtitle={`Highest active return with tracking error ≤ ${(optimalPortfolios.active.trackingErrorBudget * 100).toFixed(2)}%`} 
+                  badge="Budget" 
+                  icon={Crosshair} 
+                  theme={CARD_THEMES.pink} 
+                  portfolio={optimalPortfolios.active.budgetPortfolio} 
+                  tickers={tickers} 
+                  risk={riskContext} 
+                />
+              )}
 
-                <h4 className="text-xs font-semibold text-slate-300 mb-2 uppercase tracking-wide">Allocation</h4>
-                <div className="h-40">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={tickers.map((t, i) => ({ name: t, value: optimalPortfolios.maxSharpe.weights[i] }))} layout="vertical" margin={{left: 10, right: 30}}>
-                      <XAxis type="number" hide domain={[0, 1]} />
-                      <YAxis type="category" dataKey="name" width={40} tick={{fill: '#94a3b8', fontSize: 10}} />
-                      <Tooltip 
-                        cursor={{fill: 'transparent'}}
-                        content={({ active, payload }) => {
-                          if (active && payload && payload.length) {
-                            return (
-                              <div className="bg-slate-900 text-xs px-2 py-1 rounded border border-slate-700">
-                                {(payload[0].value * 100).toFixed(1)}%
-                              </div>
-                            );
-                          }
-                          return null;
-                        }}
-                      />
-                      <Bar dataKey="value" fill="#fbbf24" radius={[0, 4, 4, 0]}>
-                         {tickers.map((entry, index) => (
-                          <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+              {targetPortfolio && targetRange && (
+                <PortfolioCard 
+                  title={pinnedPortfolio ? 'Pinned Portfolio' : 'Target Portfolio'} 
+                  subtitle={pinnedPortfolio ? 'Selected from the chart' : `Efficient portfolio for a target ${targetMode === 'return' ? 'return' : 'volatility'}`} 
+                  badge={pinnedPortfolio ? 'Pinned' : 'Custom'} 
+                  icon={Crosshair} 
+                  theme={CARD_THEMES.green} 
+                  portfolio={targetPortfolio} 
+                  tickers={tickers}
+                  risk={riskContext}
+                >
+                  {pinnedPortfolio ? (
+                    <button 
+                      onClick={() => setPinnedPortfolio(null)}
+                      className="text-xs text-blue-400 hover:text-blue-300"
+                    >
+                      Unpin and use target picker
+                    </button>
+                  ) : (
+                    <div>
+                      <div className="flex p-1 bg-slate-900 rounded-lg mb-2">
+                        {[['return', 'Target Return'], ['volatility', 'Target Volatility']].map(([mode, label]) => (
+                          <button 
+                            key={mode}
+                            onClick={() => { setTargetMode(mode); setTargetValue(null); }}
+                            className={`flex-1 py-1 text-xs font-medium rounded-md transition-all ${targetMode === mode ? 'bg-slate-700 text-white shadow' : 'text-slate-500 hover:text-slate-300'}`}
+                          >
+                            {label}
+                          </button>
                         ))}
-                      </Bar>
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              </div>
-
-              {/* Min Variance Card */}
-              <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 shadow-lg relative overflow-hidden group">
-                 <div className="absolute top-0 right-0 p-3 opacity-10 group-hover:opacity-20 transition-opacity">
-                  <Shield className="w-24 h-24 text-red-500" />
-                </div>
-
-                <div className="flex justify-between items-start mb-4">
-                  <div>
-                    <h3 className="text-lg font-bold text-white">Global Min Variance</h3>
-                    <p className="text-xs text-slate-400">Lowest possible volatility</p>
-                  </div>
-                  <div className="bg-red-500/10 text-red-500 px-3 py-1 rounded-full text-xs font-bold border border-red-500/20">
-                    Defensive
-                  </div>
-                </div>
-
-                <div className="grid grid-cols-3 gap-2 mb-6 text-center">
-                  <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
-                    <p className="text-[10px] text-slate-400 uppercase">Return</p>
-                    <p className="text-lg font-mono font-bold text-green-400">{(optimalPortfolios.minVol.return * 100).toFixed(2)}%</p>
-                  </div>
-                  <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
-                    <p className="text-[10px] text-slate-400 uppercase">Risk (Vol)</p>
-                    <p className="text-lg font-mono font-bold text-red-400">{(optimalPortfolios.minVol.volatility * 100).toFixed(2)}%</p>
-                  </div>
-                  <div className="bg-slate-900/50 p-2 rounded border border-slate-700">
-                    <p className="text-[10px] text-slate-400 uppercase">Sharpe</p>
-                    <p className="text-lg font-mono font-bold text-blue-400">{optimalPortfolios.minVol.sharpe.toFixed(2)}</p>
-                  </div>
-                </div>
-
-                <h4 className="text-xs font-semibold text-slate-300 mb-2 uppercase tracking-wide">Allocation</h4>
-                <div className="h-40">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={tickers.map((t, i) => ({ name: t, value: optimalPortfolios.minVol.weights[i] }))} layout="vertical" margin={{left: 10, right: 30}}>
-                      <XAxis type="number" hide domain={[0, 1]} />
-                      <YAxis type="category" dataKey="name" width={40} tick={{fill: '#94a3b8', fontSize: 10}} />
-                      <Tooltip 
-                        cursor={{fill: 'transparent'}}
-                        content={({ active, payload }) => {
-                          if (active && payload && payload.length) {
-                            return (
-                              <div className="bg-slate-900 text-xs px-2 py-1 rounded border border-slate-700">
-                                {(payload[0].value * 100).toFixed(1)}%
-                              </div>
-                            );
-                          }
-                          return null;
-                        }}
+                      </div>
+                      <input 
+                        type="range" 
+                        min={targetRange.min} 
+                        max={targetRange.max} 
+                        step={(targetRange.max - targetRange.min) / 200 || 0.001} 
+                        value={targetValue != null ? targetValue : (targetRange.min + targetRange.max) / 2} 
+                        onChange={(e) => setTargetValue(parseFloat(e.target.value))}
+                        className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer"
                       />
-                      <Bar dataKey="value" fill="#f87171" radius={[0, 4, 4, 0]}>
-                        {tickers.map((entry, index) => (
-                          <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                        ))}
-                      </Bar>
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              </div>
-
+                      <div className="flex justify-between text-xs text-slate-500 mt-1">
+                        <span>{(targetRange.min * 100).toFixed(1)}%</span>
+                        <span className="text-green-400">
+                          {((targetValue != null ? targetValue : (targetRange.min + targetRange.max) / 2) * 100).toFixed(2)}%
+                        </span>
+                        <span>{(targetRange.max * 100).toFixed(1)}%</span>
+                      </div>
+                    </div>
+                  )}
+                </PortfolioCard>
+              )}
             </div>
           )}
 
           {/* Allocation Table */}
           {optimalPortfolios && (
             <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
-               <div className="px-6 py-4 border-b border-slate-700">
+               <div className="px-6 py-4 border-b border-slate-700 flex flex-wrap justify-between items-center gap-2">
                   <h3 className="font-bold text-white">Allocation Comparison Table</h3>
+                  <div className="flex items-center gap-2 text-xs">
+                    <Download className="w-4 h-4 text-slate-500" />
+                    {[['csv', 'CSV'], ['json', 'JSON'], ['report', 'Print / Save as PDF']].map(([format, label]) => (
+                      <button 
+                        key={format}
+                        onClick={() => exportResults(format)}
+                        title={format === 'report' ? 'One-page report; use "Save as PDF" in the print dialog' : 'Named portfolios and all random portfolios'}
+                        className="px-2 py-1 bg-slate-900 hover:bg-slate-700 text-slate-300 rounded border border-slate-600 transition-colors"
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
                </div>
                <div className="overflow-x-auto">
                  <table className="w-full text-sm text-left text-slate-400">
@@ -774,12 +3354,23 @@ const PortfolioOptimizer = () => {
                         <th className="px-6 py-3">Asset</th>
                         <th className="px-6 py-3">Max Sharpe Weight</th>
                         <th className="px-6 py-3">Min Vol Weight</th>
+                        <th className="px-6 py-3">Risk Parity Weight</th>
+                        <th className="px-6 py-3">Min CVaR Weight</th>
+                        {optimalPortfolios.active && <th className="px-6 py-3">Max IR Weight</th>}
+                        {optimalPortfolios.active && optimalPortfolios.active.budgetPortfolio && <th className="px-6 py-3">TE Budget Weight</th>}
+                        {targetPortfolio && <th className="px-6 py-3">{pinnedPortfolio ? 'Pinned' : 'Target'} Weight</th>}
                       </tr>
                     </thead>
                     <tbody>
                       {tickers.map((t, i) => {
                         const maxW = optimalPortfolios.maxSharpe.weights[i];
                         const minW = optimalPortfolios.minVol.weights[i];
+                        const rpW = optimalPortfolios.riskParity.weights[i];
+                        const cvarW = optimalPortfolios.minCVaR.weights[i];
+                        const activeWeights = optimalPortfolios.active
+                          ? [optimalPortfolios.active.maxInformationRatio, optimalPortfolios.active.budgetPortfolio].filter(Boolean).map(p => p.weights[i])
+                          : [];
+                        const targetW = targetPortfolio ? targetPortfolio.weights[i] : null;
                         return (
                           <tr key={t} className="border-b border-slate-700 hover:bg-slate-700/50 transition-colors">
                             <td className="px-6 py-4 font-medium text-white flex items-center gap-2">
@@ -788,6 +3379,14 @@ const PortfolioOptimizer = () => {
                             </td>
                             <td className={`px-6 py-4 font-mono ${maxW > 0.2 ? 'text-green-400' : ''}`}>{(maxW * 100).toFixed(2)}%</td>
                             <td className={`px-6 py-4 font-mono ${minW > 0.2 ? 'text-green-400' : ''}`}>{(minW * 100).toFixed(2)}%</td>
+                            <td className={`px-6 py-4 font-mono ${rpW > 0.2 ? 'text-green-400' : ''}`}>{(rpW * 100).toFixed(2)}%</td>
+                            <td className={`px-6 py-4 font-mono ${cvarW > 0.2 ? 'text-green-400' : ''}`}>{(cvarW * 100).toFixed(2)}%</td>
+                            {activeWeights.map((w, k) => (
+                              <td key={k} className={`px-6 py-4 font-mono ${w > 0.2 ? 'text-green-400' : ''}`}>{(w * 100).toFixed(2)}%</td>
+                            ))}
+                            {targetW != null && (
+                              <td className={`px-6 py-4 font-mono ${targetW > 0.2 ? 'text-green-400' : ''}`}>{(targetW * 100).toFixed(2)}%</td>
+                            )}
                           </tr>
                         );
                       })}
@@ -797,6 +3396,635 @@ const PortfolioOptimizer = () => {
             </div>
           )}
 
+          {/* Rebalancing Trade List */}
+          {optimalPortfolios && tradeList && (
+            <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+              <div className="px-6 py-4 border-b border-slate-700 flex flex-wrap items-end justify-between gap-4">
+                <div>
+                  <h3 className="font-bold text-white">Rebalance</h3>
+                  <p className="text-xs text-slate-400">
+                    Trades from your current holdings into the target portfolio at the latest prices
+                    {tickers.some(t => lastPrices[t]) && ` (${tickers.map(t => lastPrices[t] && lastPrices[t].date).filter(Boolean).sort().pop()})`}
+                    {` · Amounts in ${currencyLabel}`}
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-end gap-2 text-xs">
+                  <label className="text-slate-400">
+                    Target
+                    <select 
+                      value={tradeList.target} 
+                      onChange={(e) => setRebalanceTarget(e.target.value)}
+                      className="block bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                    >
+                      {exportPortfolios.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+                    </select>
+                  </label>
+                  <label className="px-3 py-1.5 rounded bg-slate-900 hover:bg-slate-700 text-slate-300 border border-slate-600 cursor-pointer flex items-center gap-1">
+                    <Upload className="w-3 h-3" /> Import holdings
+                    <input type="file" accept=".csv,.txt" onChange={handleHoldingsUpload} className="hidden" />
+                  </label>
+                  <button 
+                    onClick={exportTradeList} 
+                    disabled={!tradeList.rows}
+                    className="px-3 py-1.5 rounded bg-slate-900 hover:bg-slate-700 disabled:opacity-40 text-slate-300 border border-slate-600 flex items-center gap-1"
+                  >
+                    <Download className="w-3 h-3" /> Export CSV
+                  </button>
+                </div>
+              </div>
+
+              <div className="px-6 py-3 border-b border-slate-700 flex flex-wrap items-end gap-2 text-xs">
+                {[
+                  ['minTradeValue', 'Min trade value', 100],
+                  ['commissionPerTrade', 'Commission / trade', 1],
+                  ['commissionBps', 'Commission (bps)', 1],
+                  ['spreadBps', 'Half spread (bps)', 1],
+                ].map(([key, label, step]) => (
+                  <label key={key} className="text-slate-400">
+                    {label}
+                    <input 
+                      type="number" 
+                      min="0" 
+                      step={step} 
+                      value={tradeSettings[key]} 
+                      onChange={(e) => setTradeSettings(prev => ({ ...prev, [key]: Math.max(0, parseFloat(e.target.value) || 0) }))}
+                      className="block w-28 bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                    />
+                  </label>
+                ))}
+                <p className="text-[10px] text-slate-500 ml-auto max-w-xs">
+                  Holdings CSV: Ticker, Shares and an optional Lot column, plus a CASH row for the cash balance
+                </p>
+              </div>
+              {holdingsNote && <p className="px-6 pt-3 text-xs text-yellow-400">{holdingsNote}</p>}
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-slate-400">
+                  <thead className="text-xs text-slate-300 uppercase bg-slate-900/50">
+                    <tr>
+                      <th className="px-4 py-3">Asset</th>
+                      <th className="px-4 py-3">Price</th>
+                      <th className="px-4 py-3">Shares</th>
+                      <th className="px-4 py-3">Lot</th>
+                      <th className="px-4 py-3">Current</th>
+                      <th className="px-4 py-3">Target</th>
+                      <th className="px-4 py-3">Trade</th>
+                      <th className="px-4 py-3">Value</th>
+                      <th className="px-4 py-3">Cost</th>
+                      <th className="px-4 py-3">Final</th>
+                      <th className="px-4 py-3">Drift</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tickers.map((t, i) => {
+                      const row = tradeList.rows && tradeList.rows[i];
+                      return (
+                        <tr key={t} className="border-b border-slate-700 hover:bg-slate-700/50 transition-colors">
+                          <td className="px-4 py-3 font-medium text-white flex items-center gap-2">
+                             <span className="w-3 h-3 rounded-full" style={{ backgroundColor: COLORS[i % COLORS.length]}}></span>
+                             {t}
+                          </td>
+                          <td className="px-4 py-3 font-mono">{lastPrices[t] ? lastPrices[t].price.toFixed(2) : '—'}</td>
+                          <td className="px-4 py-3">
+                            <input 
+                              type="number" 
+                              step="any" 
+                              value={holdings.shares[t] ?? ''} 
+                              onChange={(e) => updateHolding('shares', t, e.target.value)}
+                              placeholder="0"
+                              className="w-24 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-slate-200 font-mono"
+                            />
+                          </td>
+                          <td className="px-4 py-3">
+                            <input 
+                              type="number" 
+                              min="0" 
+                              step="any" 
+                              value={holdings.lotSizes[t] ?? ''} 
+                              onChange={(e) => updateHolding('lotSizes', t, e.target.value)}
+                              placeholder="1"
+                              className="w-16 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-slate-200 font-mono"
+                            />
+                          </td>
+                          {row ? (
+                            <>
+                              <td className="px-4 py-3 font-mono">{(row.currentWeight * 100).toFixed(2)}%</td>
+                              <td className="px-4 py-3 font-mono">{(row.targetWeight * 100).toFixed(2)}%</td>
+                              <td className={`px-4 py-3 font-mono font-semibold ${row.tradeShares > 0 ? 'text-green-400' : row.tradeShares < 0 ? 'text-red-400' : 'text-slate-500'}`}>
+                                {row.tradeShares > 0 ? `Buy ${row.tradeShares}` : row.tradeShares < 0 ? `Sell ${-row.tradeShares}` : 'Hold'}
+                              </td>
+                              <td className="px-4 py-3 font-mono">{formatAmount(row.tradeValue)}</td>
+                              <td className="px-4 py-3 font-mono">{row.cost.toFixed(2)}</td>
+                              <td className="px-4 py-3 font-mono">{(row.finalWeight * 100).toFixed(2)}%</td>
+                              <td className={`px-4 py-3 font-mono ${Math.abs(row.drift) > 0.01 ? 'text-yellow-400' : ''}`}>{(row.drift * 100).toFixed(2)}%</td>
+                            </>
+                          ) : (
+                            <td colSpan={7}></td>
+                          )}
+                        </tr>
+                      );
+                    })}
+                    <tr className="border-b border-slate-700">
+                      <td className="px-4 py-3 font-medium text-white">Cash</td>
+                      <td></td>
+                      <td className="px-4 py-3" colSpan={2}>
+                        <input 
+                          type="number" 
+                          step="any" 
+                          value={holdings.cash} 
+                          onChange={(e) => setHoldings(prev => ({ ...prev, cash: parseFloat(e.target.value) || 0 }))}
+                          className="w-24 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-slate-200 font-mono"
+                        />
+                      </td>
+                      {tradeList.summary ? (
+                        <>
+                          <td className="px-4 py-3 font-mono">{((tradeList.summary.cashBefore / tradeList.summary.totalValue) * 100).toFixed(2)}%</td>
+                          <td className="px-4 py-3 font-mono">0.00%</td>
+                          <td></td>
+                          <td className="px-4 py-3 font-mono">{formatAmount(tradeList.summary.cashAfter - tradeList.summary.cashBefore)}</td>
+                          <td></td>
+                          <td className="px-4 py-3 font-mono">{(tradeList.summary.cashWeight * 100).toFixed(2)}%</td>
+                          <td className="px-4 py-3 font-mono">{(tradeList.summary.cashWeight * 100).toFixed(2)}%</td>
+                        </>
+                      ) : (
+                        <td colSpan={7}></td>
+                      )}
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+              <p className={`px-6 py-3 text-xs ${tradeList.error ? 'text-slate-500' : 'text-slate-400'}`}>
+                {tradeList.error || [
+                  `Portfolio value ${formatAmount(tradeList.summary.totalValue)}`,
+                  `${tradeList.summary.trades} trade(s): buy ${formatAmount(tradeList.summary.bought)}, sell ${formatAmount(tradeList.summary.sold)}`,
+                  `Total cost ${tradeList.summary.totalCost.toFixed(2)}`,
+                  `Cash after ${formatAmount(tradeList.summary.cashAfter)}`,
+                  `Drift from target: max ${(tradeList.summary.maxDrift * 100).toFixed(2)}%, total ${(tradeList.summary.totalDrift * 100).toFixed(2)}%`,
+                ].join(' · ')}
+              </p>
+            </div>
+          )}
+
+          {/* Expected Returns Table (model estimates next to the historical means) */}
+          {optimalPortfolios && stats && stats.returnModel.id !== 'historical' && (
+            <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+               <div className="px-6 py-4 border-b border-slate-700">
+                  <h3 className="font-bold text-white">Expected Returns</h3>
+                  <p className="text-xs text-slate-400">
+                    {stats.returnModel.label} · market proxy {stats.returnModel.benchmark}, premium {(stats.returnModel.premium * 100).toFixed(2)}%
+                    {stats.returnModel.id === 'blackLitterman' && ` · τ ${stats.returnModel.tau}, ${stats.returnModel.viewCount} view(s)`}
+                  </p>
+               </div>
+               <div className="overflow-x-auto">
+                 <table className="w-full text-sm text-left text-slate-400">
+                    <thead className="text-xs text-slate-300 uppercase bg-slate-900/50">
+                      <tr>
+                        <th className="px-6 py-3">Asset</th>
+                        <th className="px-6 py-3">Beta</th>
+                        <th className="px-6 py-3">Historical Mean</th>
+                        {stats.priorMeans && <th className="px-6 py-3">CAPM Prior</th>}
+                        <th className="px-6 py-3">{stats.priorMeans ? 'Posterior' : 'CAPM Implied'}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {tickers.map((t, i) => (
+                        <tr key={t} className="border-b border-slate-700 hover:bg-slate-700/50 transition-colors">
+                          <td className="px-6 py-4 font-medium text-white flex items-center gap-2">
+                             <span className="w-3 h-3 rounded-full" style={{ backgroundColor: COLORS[i % COLORS.length]}}></span>
+                             {t}
+                          </td>
+                          <td className="px-6 py-4 font-mono">{stats.returnModel.betas[i].toFixed(2)}</td>
+                          <td className="px-6 py-4 font-mono">{(stats.historicalMeans[t] * 100).toFixed(2)}%</td>
+                          {stats.priorMeans && <td className="px-6 py-4 font-mono">{(stats.priorMeans[t] * 100).toFixed(2)}%</td>}
+                          <td className="px-6 py-4 font-mono text-green-400">{(stats.means[t] * 100).toFixed(2)}%</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                 </table>
+               </div>
+            </div>
+          )}
+
+          {/* Asset Analytics: per-asset inputs, correlations and price history */}
+          {normalizedHistory.length > 0 && (
+            <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+              <div className="px-6 py-4 border-b border-slate-700">
+                <h3 className="font-bold text-white">Asset Analytics</h3>
+                <p className="text-xs text-slate-400">
+                  {assetAnalytics
+                    ? 'Return, volatility, Sharpe and correlations are the inputs of the last run; skew, excess kurtosis and max drawdown are historical'
+                    : 'Run the optimization to see per-asset statistics and correlations'}
+                </p>
+              </div>
+
+              {assetAnalytics && (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left text-slate-400">
+                    <thead className="text-xs text-slate-300 uppercase bg-slate-900/50">
+                      <tr>
+                        <th className="px-6 py-3">Asset</th>
+                        <th className="px-6 py-3">Return</th>
+                        <th className="px-6 py-3">Volatility</th>
+                        <th className="px-6 py-3">Sharpe</th>
+                        <th className="px-6 py-3">Skew</th>
+                        <th className="px-6 py-3">Excess Kurtosis</th>
+                        <th className="px-6 py-3">Max Drawdown</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {assetAnalytics.rows.map((row, i) => (
+                        <tr key={row.ticker} className="border-b border-slate-700 hover:bg-slate-700/50 transition-colors">
+                          <td className="px-6 py-4 font-medium text-white flex items-center gap-2">
+                             <span className="w-3 h-3 rounded-full" style={{ backgroundColor: COLORS[i % COLORS.length]}}></span>
+                             {row.ticker}
+                          </td>
+                          <td className={`px-6 py-4 font-mono ${row.return >= 0 ? 'text-green-400' : 'text-red-400'}`}>{(row.return * 100).toFixed(2)}%</td>
+                          <td className="px-6 py-4 font-mono">{(row.volatility * 100).toFixed(2)}%</td>
+                          <td className="px-6 py-4 font-mono text-blue-400">{row.sharpe.toFixed(2)}</td>
+                          <td className="px-6 py-4 font-mono">{row.skew.toFixed(2)}</td>
+                          <td className="px-6 py-4 font-mono">{row.kurtosis.toFixed(2)}</td>
+                          <td className="px-6 py-4 font-mono text-red-400">{(row.maxDrawdown * 100).toFixed(2)}%</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div className="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {assetAnalytics && (
+                  <div>
+                    <h4 className="text-xs font-semibold text-slate-300 mb-2 uppercase tracking-wide">Correlation Matrix</h4>
+                    <CorrelationHeatmap tickers={tickers} matrix={assetAnalytics.correlations} />
+                    <p className="text-[10px] text-slate-500 mt-2">From the {stats.estimator ? formatEstimator(stats.estimator) : 'sample'} covariance</p>
+                  </div>
+                )}
+                <div className={assetAnalytics ? '' : 'lg:col-span-2'}>
+                  <h4 className="text-xs font-semibold text-slate-300 mb-2 uppercase tracking-wide flex justify-between items-center gap-2">
+                    Price History (rebased to 100)
+                    <ChartExportButtons targetRef={priceChartRef} name="Normalized prices" />
+                  </h4>
+                  <div className="h-64" ref={priceChartRef}>
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={normalizedHistory} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                        <XAxis dataKey="Date" stroke="#94a3b8" fontSize={11} minTickGap={40} />
+                        <YAxis stroke="#94a3b8" fontSize={11} domain={['auto', 'auto']} tickFormatter={(val) => val.toFixed(0)} />
+                        <Tooltip 
+                          contentStyle={{ backgroundColor: '#0f172a', border: '1px solid #475569', fontSize: 12 }}
+                          formatter={(value) => value.toFixed(1)}
+                        />
+                        <Legend wrapperStyle={{ fontSize: 12 }} />
+                        {tickers.map((t, i) => (
+                          <Line key={t} type="monotone" dataKey={t} stroke={COLORS[i % COLORS.length]} dot={false} strokeWidth={1.5} connectNulls />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <p className="text-[10px] text-slate-500 mt-2">Prices: {priceBasisLabel} · Currency: {currencyLabel}</p>
+                </div>
+              </div>
+
+              {rollingPair && (
+                <div className="px-6 pb-6">
+                  <div className="flex flex-wrap items-end justify-between gap-4 mb-2">
+                    <h4 className="text-xs font-semibold text-slate-300 uppercase tracking-wide flex items-center gap-2">
+                      Rolling Correlation · {rollingPair.first} / {rollingPair.second}
+                      <ChartExportButtons targetRef={correlationChartRef} name={`Rolling correlation ${rollingPair.first} ${rollingPair.second}`} />
+                    </h4>
+                    <div className="flex flex-wrap items-end gap-2 text-xs">
+                      {[['first', 'Asset'], ['second', 'Versus']].map(([key, label]) => (
+                        <label key={key} className="text-slate-400">
+                          {label}
+                          <select 
+                            value={rollingPair[key]} 
+                            onChange={(e) => setCorrelationPair(prev => ({ ...prev, first: rollingPair.first, second: rollingPair.second, [key]: e.target.value }))}
+                            className="block bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                          >
+                            {tickers.filter(t => t !== rollingPair[key === 'first' ? 'second' : 'first']).map(t => <option key={t} value={t}>{t}</option>)}
+                          </select>
+                        </label>
+                      ))}
+                      <label className="text-slate-400">
+                        Window (periods)
+                        <input 
+                          type="number" 
+                          min="10" 
+                          step="10" 
+                          value={rollingPair.window} 
+                          onChange={(e) => setCorrelationPair(prev => ({ ...prev, window: Math.max(10, parseInt(e.target.value) || 10) }))}
+                          className="block w-24 bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                        />
+                      </label>
+                    </div>
+                  </div>
+                  <div className="h-56" ref={correlationChartRef}>
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={rollingPair.points} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                        <XAxis dataKey="Date" stroke="#94a3b8" fontSize={11} minTickGap={40} />
+                        <YAxis stroke="#94a3b8" fontSize={11} domain={[-1, 1]} tickFormatter={(val) => val.toFixed(1)} />
+                        <Tooltip 
+                          contentStyle={{ backgroundColor: '#0f172a', border: '1px solid #475569', fontSize: 12 }}
+                          formatter={(value) => value.toFixed(3)}
+                        />
+                        <Line type="monotone" dataKey="correlation" name="Correlation" stroke="#8b5cf6" dot={false} strokeWidth={2} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <p className="text-[10px] text-slate-500 mt-2">
+                    {rollingPair.window}-period trailing window over the simple returns of the last run · {rollingPair.points.length} points
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Walk-forward Backtest */}
+          {tickers.length > 0 && (
+            <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+              <div className="px-6 py-4 border-b border-slate-700 flex flex-wrap items-end justify-between gap-4">
+                <div>
+                  <h3 className="font-bold text-white">Walk-Forward Backtest</h3>
+                  <p className="text-xs text-slate-400">
+                    Out-of-sample growth of $1, re-optimized on each rebalance date with the current parameters and constraints
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-end gap-2 text-xs">
+                  <label className="text-slate-400">
+                    Window
+                    <select 
+                      value={backtestOptions.window} 
+                      onChange={(e) => setBacktestOptions(prev => ({ ...prev, window: e.target.value }))}
+                      className="block bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                    >
+                      <option value="rolling">Rolling</option>
+                      <option value="expanding">Expanding</option>
+                    </select>
+                  </label>
+                  <label className="text-slate-400">
+                    Lookback (periods)
+                    <input 
+                      type="number" 
+                      min="20" 
+                      step="21" 
+                      value={backtestOptions.lookback} 
+                      onChange={(e) => setBacktestOptions(prev => ({ ...prev, lookback: Math.max(20, parseInt(e.target.value) || 20) }))}
+                      className="block w-24 bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                    />
+                  </label>
+                  <label className="text-slate-400">
+                    Rebalance
+                    <select 
+                      value={backtestOptions.rebalance} 
+                      onChange={(e) => setBacktestOptions(prev => ({ ...prev, rebalance: e.target.value }))}
+                      className="block bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                    >
+                      <option value="monthly">Monthly</option>
+                      <option value="quarterly">Quarterly</option>
+                    </select>
+                  </label>
+                  {backtestProgress ? (
+                    <button onClick={stopBacktest} className="px-3 py-1.5 rounded bg-slate-700 text-red-400 hover:text-red-300 font-medium">
+                      Cancel ({Math.round(backtestProgress.fraction * 100)}%)
+                    </button>
+                  ) : (
+                    <button 
+                      onClick={handleBacktest} 
+                      className="px-3 py-1.5 rounded bg-blue-600 hover:bg-blue-500 text-white font-medium flex items-center gap-1"
+                    >
+                      <RefreshCw className="w-3 h-3" /> Run Backtest
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {backtest ? (
+                <>
+                  <div className="p-4 h-72">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={backtest.equity} margin={{ top: 10, right: 20, bottom: 0, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                        <XAxis dataKey="Date" stroke="#94a3b8" fontSize={11} minTickGap={40} />
+                        <YAxis stroke="#94a3b8" fontSize={11} domain={['auto', 'auto']} tickFormatter={(val) => val.toFixed(2)} />
+                        <Tooltip 
+                          contentStyle={{ backgroundColor: '#0f172a', border: '1px solid #475569', fontSize: 12 }}
+                          formatter={(value) => value.toFixed(3)}
+                        />
+                        <Legend wrapperStyle={{ fontSize: 12 }} />
+                        {BACKTEST_STRATEGIES.map(({ id, label }) => (
+                          <Line key={id} type="monotone" dataKey={id} name={label} stroke={STRATEGY_COLORS[id]} dot={false} strokeWidth={2} />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left text-slate-400">
+                      <thead className="text-xs text-slate-300 uppercase bg-slate-900/50">
+                        <tr>
+                          <th className="px-6 py-3">Strategy</th>
+                          <th className="px-6 py-3">CAGR</th>
+                          <th className="px-6 py-3">Volatility</th>
+                          <th className="px-6 py-3">Sharpe</th>
+                          <th className="px-6 py-3">Max Drawdown</th>
+                          <th className="px-6 py-3">Turnover / yr</th>
+                          {backtest.costBps > 0 && <th className="px-6 py-3">Costs</th>}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {backtest.summary.map(row => (
+                          <tr key={row.id} className="border-b border-slate-700 hover:bg-slate-700/50 transition-colors">
+                            <td className="px-6 py-4 font-medium text-white flex items-center gap-2">
+                              <span className="w-3 h-3 rounded-full" style={{ backgroundColor: STRATEGY_COLORS[row.id] }}></span>
+                              {row.label}
+                            </td>
+                            <td className={`px-6 py-4 font-mono ${row.cagr >= 0 ? 'text-green-400' : 'text-red-400'}`}>{(row.cagr * 100).toFixed(2)}%</td>
+                            <td className="px-6 py-4 font-mono">{(row.volatility * 100).toFixed(2)}%</td>
+                            <td className="px-6 py-4 font-mono text-blue-400">{row.sharpe.toFixed(2)}</td>
+                            <td className="px-6 py-4 font-mono text-red-400">{(row.maxDrawdown * 100).toFixed(2)}%</td>
+                            <td className="px-6 py-4 font-mono">{(row.turnover * 100).toFixed(0)}%</td>
+                            {backtest.costBps > 0 && <td className="px-6 py-4 font-mono">{(row.costs * 100).toFixed(2)}%</td>}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="px-6 py-3 text-[10px] text-slate-500">
+                    {backtest.rebalances} rebalances · {backtest.options.window === 'expanding' ? 'Expanding' : 'Rolling'} window, {backtest.options.lookback} period lookback · {backtest.options.rebalance === 'quarterly' ? 'Quarterly' : 'Monthly'} rebalancing · {formatReturnSettings(backtest.returnSettings)} · Prices: {priceBasisLabel} · Currency: {backtest.currency}
+                    {backtest.costBps > 0 && ` · Net of ${+backtest.costBps} bps trading costs`}
+                  </p>
+                </>
+              ) : (
+                <p className="px-6 py-8 text-center text-sm text-slate-500">
+                  {backtestProgress ? `${backtestProgress.stage}... ${Math.round(backtestProgress.fraction * 100)}%` : 'Run a backtest to see how the optimized weights would have performed out of sample.'}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Wealth Projection */}
+          {optimalPortfolios && stats && (
+            <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+              <div className="px-6 py-4 border-b border-slate-700 flex flex-wrap items-end justify-between gap-4">
+                <div>
+                  <h3 className="font-bold text-white">Wealth Projection</h3>
+                  <p className="text-xs text-slate-400">
+                    Simulated wealth paths of the Max Sharpe and Min Variance portfolios, held at fixed weights
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-end gap-2 text-xs">
+                  {[
+                    ['initial', 'Initial investment', 1000, 0],
+                    ['years', 'Horizon (years)', 1, 1],
+                    ['monthlyContribution', 'Monthly contribution', 100, null],
+                    ['goal', 'Goal', 1000, 0],
+                  ].map(([key, label, step, min]) => (
+                    <label key={key} className="text-slate-400">
+                      {label}
+                      <input 
+                        type="number" 
+                        step={step} 
+                        min={min != null ? min : undefined} 
+                        value={projectionSettings[key]} 
+                        onChange={(e) => {
+                          const value = parseFloat(e.target.value) || 0;
+                          setProjectionSettings(prev => ({ ...prev, [key]: min != null ? Math.max(min, value) : value }));
+                        }}
+                        className="block w-28 bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                      />
+                    </label>
+                  ))}
+                  <label className="text-slate-400">
+                    Method
+                    <select 
+                      value={projectionSettings.method} 
+                      onChange={(e) => setProjectionSettings(prev => ({ ...prev, method: e.target.value }))}
+                      className="block bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                    >
+                      {PROJECTION_METHODS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                    </select>
+                  </label>
+                  <label className="text-slate-400">
+                    Paths
+                    <input 
+                      type="number" 
+                      min="100" 
+                      max="10000" 
+                      step="500" 
+                      value={projectionSettings.paths} 
+                      onChange={(e) => setProjectionSettings(prev => ({ ...prev, paths: Math.min(10000, Math.max(100, parseInt(e.target.value) || 100)) }))}
+                      className="block w-24 bg-slate-900 border border-slate-600 rounded px-2 py-1.5 mt-1 text-slate-200"
+                    />
+                  </label>
+                  {projectionProgress ? (
+                    <button onClick={stopProjection} className="px-3 py-1.5 rounded bg-slate-700 text-red-400 hover:text-red-300 font-medium">
+                      Cancel ({Math.round(projectionProgress.fraction * 100)}%)
+                    </button>
+                  ) : (
+                    <button 
+                      onClick={handleProjection} 
+                      className="px-3 py-1.5 rounded bg-blue-600 hover:bg-blue-500 text-white font-medium flex items-center gap-1"
+                    >
+                      <RefreshCw className="w-3 h-3" /> Run Projection
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {projection ? (
+                <>
+                  <div className="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    {PROJECTED_PORTFOLIOS.map(({ id, label, color }) => {
+                      const result = projection.results[id];
+                      const fan = result.bands.map(b => ({
+                        year: +(b.month / 12).toFixed(2), median: b.p50, outer: [b.p5, b.p95], inner: [b.p25, b.p75],
+                      }));
+                      return (
+                        <div key={id}>
+                          <h4 className="text-sm font-semibold text-white mb-2 flex items-center gap-2">
+                            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: color }}></span>
+                            {label}
+                          </h4>
+                          <div className="grid grid-cols-3 gap-2 mb-3 text-xs">
+                            <div className="bg-slate-900/50 rounded p-2">
+                              <div className="text-slate-400">Median</div>
+                              <div className="font-mono text-white">{formatAmount(result.terminal.p50)}</div>
+                            </div>
+                            <div className="bg-slate-900/50 rounded p-2">
+                              <div className="text-slate-400">5th – 95th pct.</div>
+                              <div className="font-mono text-white">{formatAmount(result.terminal.p5)} – {formatAmount(result.terminal.p95)}</div>
+                            </div>
+                            <div className="bg-slate-900/50 rounded p-2">
+                              <div className="text-slate-400">P(≥ {formatAmount(projection.settings.goal)})</div>
+                              <div className={`font-mono ${result.goalProbability >= 0.5 ? 'text-green-400' : 'text-red-400'}`}>
+                                {(result.goalProbability * 100).toFixed(1)}%
+                              </div>
+                            </div>
+                          </div>
+                          <div className="h-56">
+                            <ResponsiveContainer width="100%" height="100%">
+                              <ComposedChart data={fan} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                                <XAxis dataKey="year" type="number" domain={[0, 'dataMax']} stroke="#94a3b8" fontSize={11} tickFormatter={(val) => `${val}y`} />
+                                <YAxis stroke="#94a3b8" fontSize={11} tickFormatter={formatAmount} width={50} />
+                                <Tooltip 
+                                  contentStyle={{ backgroundColor: '#0f172a', border: '1px solid #475569', fontSize: 12 }}
+                                  labelFormatter={(val) => `Year ${val}`}
+                                  formatter={(value) => (Array.isArray(value) ? value.map(formatAmount).join(' – ') : formatAmount(value))}
+                                />
+                                <Area type="monotone" dataKey="outer" name="5th–95th" stroke="none" fill={color} fillOpacity={0.15} />
+                                <Area type="monotone" dataKey="inner" name="25th–75th" stroke="none" fill={color} fillOpacity={0.3} />
+                                <Line type="monotone" dataKey="median" name="Median" stroke={color} dot={false} strokeWidth={2} />
+                              </ComposedChart>
+                            </ResponsiveContainer>
+                          </div>
+                          <h4 className="text-xs font-semibold text-slate-300 mt-4 mb-2 uppercase tracking-wide">Terminal Wealth</h4>
+                          <div className="h-32">
+                            <ResponsiveContainer width="100%" height="100%">
+                              <BarChart data={result.histogram.map(b => ({ ...b, mid: (b.from + b.to) / 2 }))} margin={{ top: 0, right: 10, bottom: 0, left: 0 }}>
+                                <XAxis dataKey="mid" stroke="#94a3b8" fontSize={10} tickFormatter={formatAmount} minTickGap={20} />
+                                <YAxis hide />
+                                <Tooltip 
+                                  cursor={{ fill: 'transparent' }}
+                                  contentStyle={{ backgroundColor: '#0f172a', border: '1px solid #475569', fontSize: 12 }}
+                                  labelFormatter={(val, payload) => (payload && payload[0] ? `${formatAmount(payload[0].payload.from)} – ${formatAmount(payload[0].payload.to)}` : '')}
+                                  formatter={(value) => [`${value} paths`, 'Count']}
+                                />
+                                <Bar dataKey="count">
+                                  {result.histogram.map((b, i) => (
+                                    <Cell key={`bin-${i}`} fill={b.to > projection.settings.goal ? '#10b981' : '#475569'} />
+                                  ))}
+                                </Bar>
+                              </BarChart>
+                            </ResponsiveContainer>
+                          </div>
+                          {result.depletionProbability > 0 && (
+                            <p className="text-[10px] text-red-400 mt-2">
+                              {(result.depletionProbability * 100).toFixed(1)}% of paths run out of money before the horizon
+                            </p>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <p className="px-6 pb-4 text-[10px] text-slate-500">
+                    {projection.settings.paths} paths · {PROJECTION_METHODS.find(m => m.id === projection.settings.method).label}
+                    {projection.settings.method === 'normal'
+                      ? ` from the run's expected returns (${stats.returnModel.label}) and covariance`
+                      : ` of ${stats.returnRows.length} historical return periods`}
+                    {` · Net contributions ${formatAmount(projection.results.maxSharpe.contributed)}`}
+                    {` · Seed ${projection.results.maxSharpe.seed}`}
+                    {' · Green bars reach the goal · Nominal amounts in '}{runCurrency || currencyLabel}
+                  </p>
+                </>
+              ) : (
+                <p className="px-6 py-8 text-center text-sm text-slate-500">
+                  {projectionProgress ? `${projectionProgress.stage}... ${Math.round(projectionProgress.fraction * 100)}%` : 'Run a projection to see the range of outcomes for an initial investment, contributions and a goal.'}
+                </p>
+              )}
+            </div>
+          )}
+
         </div>
       </main>
     </div>
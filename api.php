@@ -1,43 +1,297 @@
 <?php
-// Simple PHP proxy to Yahoo Finance "chart" endpoint
-// URL example: /api.php?mode=json_data&symbol=AAPL&range=1y
+// PHP proxy to the Yahoo Finance "chart" endpoint. Fetches several symbols in parallel, normalizes each
+// series to [{date, close, adjclose}] plus its currency and dividend and split events, and keeps the results
+// in a file cache.
+//
+// URL examples:
+//   /api.php?mode=json_data&symbols=AAPL,MSFT,GOOG&range=1y
+//   /api.php?mode=json_data&symbols=SPY&period1=2020-01-01&period2=2023-12-31&interval=1wk
+//
+// Parameters:
+//   symbols  Comma-separated tickers (`symbol` is accepted for a single one), at most MAX_SYMBOLS
+//   range    1d, 5d, 1mo, 3mo, 6mo, 1y (default), 2y, 5y, 10y, ytd, max
+//   interval 1d (default), 5d, 1wk, 1mo, 3mo
+//   period1  Start as a Unix timestamp or YYYY-MM-DD (replaces range); period2 defaults to the end of today (UTC)
+//   refresh  1 to skip the cache for this request
+//
+// Environment (optional):
+//   MPTLAB_UPSTREAM   Chart endpoint base URL; point it at upstream_stub.php to work offline
+//   MPTLAB_CACHE_DIR  Cache directory (default: <system temp dir>/mptlab-cache)
+//   MPTLAB_CACHE_TTL  Cache lifetime in seconds (default 3600; 0 disables the cache)
 
 header('Content-Type: application/json');
 header('Access-Control-Allow-Origin: *');
 
-$mode   = isset($_GET['mode'])   ? $_GET['mode']   : '';
-$symbol = isset($_GET['symbol']) ? $_GET['symbol'] : '';
-$range  = isset($_GET['range'])  ? $_GET['range']  : '1y';
+const MAX_SYMBOLS = 50;
+const RANGES = ['1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y', 'ytd', 'max'];
+const INTERVALS = ['1d', '5d', '1wk', '1mo', '3mo'];
 
-if ($mode !== 'json_data' || empty($symbol)) {
-    echo json_encode(['error' => 'Invalid parameters']);
+function fail($status, $message)
+{
+    http_response_code($status);
+    echo json_encode(['error' => $message]);
     exit;
 }
 
-$interval = '1d';
-$baseUrl = 'https://query1.finance.yahoo.com/v8/finance/chart/';
-$url = $baseUrl . urlencode($symbol) .
-       '?range=' . urlencode($range) .
-       '&interval=' . urlencode($interval);
-
-$ch = curl_init();
-curl_setopt($ch, CURLOPT_URL, $url);
-curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
-curl_setopt($ch, CURLOPT_FOLLOWLOCATION, true);
-curl_setopt($ch, CURLOPT_USERAGENT, 'Mozilla/5.0');
-
-$result = curl_exec($ch);
-$httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
-$curlError = curl_error($ch);
-curl_close($ch);
-
-if ($result === false || $httpCode !== 200) {
-    echo json_encode([
-        'error'   => 'Upstream request failed',
-        'code'    => $httpCode,
-        'details' => $curlError
-    ]);
-    exit;
+// Unix timestamp from "1672531200" or "2023-01-01" (UTC midnight)
+function parse_time($value, $name)
+{
+    if (preg_match('/^\d{1,11}$/', $value)) {
+        return (int) $value;
+    }
+    $date = DateTime::createFromFormat('!Y-m-d', $value, new DateTimeZone('UTC'));
+    if ($date === false || $date->format('Y-m-d') !== $value) {
+        fail(400, "Invalid $name: use a Unix timestamp or YYYY-MM-DD");
+    }
+    return $date->getTimestamp();
+}
+
+// Yahoo chart JSON -> [data, error]. data = {series: [{date, close, adjclose}], currency (e.g. "USD", "GBp"),
+// events: {dividends: [{date, amount}], splits: [{date, numerator, denominator}]}}, in the exchange's local date
+function normalize_chart($json)
+{
+    $result = $json['chart']['result'][0] ?? null;
+    if (!$result) {
+        return [null, $json['chart']['error']['description'] ?? 'Unexpected data format'];
+    }
+    $timestamps = $result['timestamp'] ?? [];
+    $closes = $result['indicators']['quote'][0]['close'] ?? [];
+    $adjCloses = $result['indicators']['adjclose'][0]['adjclose'] ?? [];
+    $offset = (int) ($result['meta']['gmtoffset'] ?? 0);
+
+    $series = [];
+    foreach ($timestamps as $i => $ts) {
+        $close = $closes[$i] ?? null;
+        if (!is_numeric($close) || $close <= 0) {
+            continue;
+        }
+        $adjClose = $adjCloses[$i] ?? null;
+        $point = [
+            'date'     => gmdate('Y-m-d', $ts + $offset),
+            'close'    => (float) $close,
+            'adjclose' => is_numeric($adjClose) && $adjClose > 0 ? (float) $adjClose : null,
+        ];
+        // Yahoo can append a live bar dated the same day as the last close; keep the latest
+        $last = count($series) - 1;
+        if ($last >= 0 && $series[$last]['date'] === $point['date']) {
+            $series[$last] = $point;
+        } else {
+            $series[] = $point;
+        }
+    }
+    if (empty($series)) {
+        return [null, 'No price data returned'];
+    }
+
+    $dividends = [];
+    foreach ($result['events']['dividends'] ?? [] as $event) {
+        if (isset($event['date'], $event['amount']) && is_numeric($event['amount'])) {
+            $dividends[] = ['date' => gmdate('Y-m-d', $event['date'] + $offset), 'amount' => (float) $event['amount']];
+        }
+    }
+    $splits = [];
+    foreach ($result['events']['splits'] ?? [] as $event) {
+        if (isset($event['date']) && ($event['numerator'] ?? 0) > 0 && ($event['denominator'] ?? 0) > 0) {
+            $splits[] = [
+                'date'        => gmdate('Y-m-d', $event['date'] + $offset),
+                'numerator'   => (float) $event['numerator'],
+                'denominator' => (float) $event['denominator'],
+            ];
+        }
+    }
+    $byDate = function ($a, $b) {
+        return strcmp($a['date'], $b['date']);
+    };
+    usort($dividends, $byDate);
+    usort($splits, $byDate);
+
+    return [[
+        'series'   => $series,
+        'currency' => $result['meta']['currency'] ?? null,
+        'events'   => ['dividends' => $dividends, 'splits' => $splits],
+    ], null];
+}
+
+function cache_read($file, $ttl)
+{
+    if ($ttl <= 0 || !is_file($file) || time() - filemtime($file) >= $ttl) {
+        return null;
+    }
+    $data = json_decode((string) file_get_contents($file), true);
+    return isset($data['series'], $data['events']) ? $data : null;
+}
+
+function cache_write($file, $ttl, $data)
+{
+    if ($ttl <= 0) {
+        return;
+    }
+    $dir = dirname($file);
+    if (!is_dir($dir) && !@mkdir($dir, 0775, true)) {
+        return;
+    }
+    // Write then rename so concurrent requests never read a partial file
+    $tmp = $file . '.' . getmypid() . '.tmp';
+    if (@file_put_contents($tmp, json_encode($data)) !== false) {
+        @rename($tmp, $file);
+    }
+}
+
+/** --- REQUEST VALIDATION --- */
+
+$mode = $_GET['mode'] ?? '';
+if ($mode !== 'json_data') {
+    fail(400, 'Invalid parameters: mode must be json_data');
+}
+
+$rawSymbols = $_GET['symbols'] ?? ($_GET['symbol'] ?? '');
+$symbols = [];
+foreach (explode(',', $rawSymbols) as $symbol) {
+    $symbol = strtoupper(trim($symbol));
+    if ($symbol === '' || in_array($symbol, $symbols, true)) {
+        continue;
+    }
+    if (!preg_match('/^[A-Z0-9.\-^=_]{1,20}$/', $symbol)) {
+        fail(400, "Invalid symbol: $symbol");
+    }
+    $symbols[] = $symbol;
+}
+if (empty($symbols)) {
+    fail(400, 'Invalid parameters: no symbols given');
+}
+if (count($symbols) > MAX_SYMBOLS) {
+    fail(400, 'Too many symbols (at most ' . MAX_SYMBOLS . ' per request)');
+}
+
+$interval = $_GET['interval'] ?? '1d';
+if (!in_array($interval, INTERVALS, true)) {
+    fail(400, 'Invalid interval: use one of ' . implode(', ', INTERVALS));
+}
+
+$range = null;
+$period1 = null;
+$period2 = null;
+if (isset($_GET['period1']) || isset($_GET['period2'])) {
+    if (isset($_GET['range'])) {
+        fail(400, 'Use either range or period1/period2, not both');
+    }
+    if (!isset($_GET['period1'])) {
+        fail(400, 'period2 requires period1');
+    }
+    $period1 = parse_time($_GET['period1'], 'period1');
+    // An open end is pinned to the next UTC midnight rather than time(), so the upstream URL (and with it
+    // the cache key) stays the same for the whole day while still covering today's bar.
+    $period2 = isset($_GET['period2']) ? parse_time($_GET['period2'], 'period2') : (intdiv(time(), 86400) + 1) * 86400;
+    if ($period1 >= $period2) {
+        fail(400, 'period1 must be before period2');
+    }
+    $query = ['period1' => $period1, 'period2' => $period2, 'interval' => $interval, 'events' => 'div,splits'];
+} else {
+    $range = $_GET['range'] ?? '1y';
+    if (!in_array($range, RANGES, true)) {
+        fail(400, 'Invalid range: use one of ' . implode(', ', RANGES));
+    }
+    $query = ['range' => $range, 'interval' => $interval, 'events' => 'div,splits'];
+}
+
+/** --- FETCH (CACHE FIRST, THEN ALL MISSES IN PARALLEL) --- */
+
+$upstream = rtrim(getenv('MPTLAB_UPSTREAM') ?: 'https://query1.finance.yahoo.com/v8/finance/chart/', '/') . '/';
+$cacheDir = getenv('MPTLAB_CACHE_DIR') ?: sys_get_temp_dir() . '/mptlab-cache';
+$ttl = getenv('MPTLAB_CACHE_TTL') !== false ? (int) getenv('MPTLAB_CACHE_TTL') : 3600;
+$refresh = !empty($_GET['refresh']);
+
+$series = [];
+$currencies = [];
+$events = [];
+$errors = [];
+$cache = [];
+$pending = [];
+foreach ($symbols as $symbol) {
+    $url = $upstream . rawurlencode($symbol) . '?' . http_build_query($query);
+    $file = $cacheDir . '/' . sha1($url) . '.json';
+    $cached = $refresh ? null : cache_read($file, $ttl);
+    if ($cached !== null) {
+        $series[$symbol] = $cached['series'];
+        $currencies[$symbol] = $cached['currency'] ?? null;
+        $events[$symbol] = $cached['events'];
+        $cache[$symbol] = 'hit';
+    } else {
+        $pending[$symbol] = ['url' => $url, 'file' => $file];
+    }
+}
+
+if (!empty($pending)) {
+    $multi = curl_multi_init();
+    $handles = [];
+    foreach ($pending as $symbol => $job) {
+        $ch = curl_init();
+        curl_setopt($ch, CURLOPT_URL, $job['url']);
+        curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+        curl_setopt($ch, CURLOPT_FOLLOWLOCATION, true);
+        curl_setopt($ch, CURLOPT_USERAGENT, 'Mozilla/5.0');
+        curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, 10);
+        curl_setopt($ch, CURLOPT_TIMEOUT, 30);
+        curl_multi_add_handle($multi, $ch);
+        $handles[$symbol] = $ch;
+    }
+    do {
+        $status = curl_multi_exec($multi, $running);
+        if ($running) {
+            curl_multi_select($multi, 1.0);
+        }
+    } while ($running && $status === CURLM_OK);
+
+    foreach ($handles as $symbol => $ch) {
+        $body = curl_multi_getcontent($ch);
+        $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $curlError = curl_error($ch);
+        curl_multi_remove_handle($multi, $ch);
+        $cache[$symbol] = 'miss';
+
+        $json = $body ? json_decode($body, true) : null;
+        if ($httpCode !== 200) {
+            // Yahoo answers unknown symbols with 404 and a chart.error description
+            $errors[$symbol] = $json['chart']['error']['description']
+                ?? ($curlError ?: "Upstream request failed (HTTP $httpCode)");
+            continue;
+        }
+        list($data, $error) = normalize_chart(is_array($json) ? $json : []);
+        if ($error !== null) {
+            $errors[$symbol] = $error;
+            continue;
+        }
+        $series[$symbol] = $data['series'];
+        $currencies[$symbol] = $data['currency'];
+        $events[$symbol] = $data['events'];
+        cache_write($pending[$symbol]['file'], $ttl, $data);
+    }
+    curl_multi_close($multi);
+}
+
+// Partial failures are reported per symbol; only a request where every symbol failed is an error
+$ordered = [];
+$orderedCurrencies = [];
+$orderedEvents = [];
+foreach ($symbols as $symbol) {
+    if (isset($series[$symbol])) {
+        $ordered[$symbol] = $series[$symbol];
+        $orderedCurrencies[$symbol] = $currencies[$symbol];
+        $orderedEvents[$symbol] = $events[$symbol];
+    }
+}
+if (empty($ordered)) {
+    http_response_code(502);
 }
 
-echo $result;
+echo json_encode([
+    'range'      => $range,
+    'interval'   => $interval,
+    'period1'    => $period1,
+    'period2'    => $period2,
+    'series'     => (object) $ordered,
+    'currencies' => (object) $orderedCurrencies,
+    'events'     => (object) $orderedEvents,
+    'errors'     => (object) $errors,
+    'cache'      => (object) $cache,
+]);
@@ -0,0 +1,88 @@
+// Per-asset statistics and correlations behind an optimization run, and the series for the Asset Analytics
+// charts (normalized prices, rolling correlation).
+
+import { readPrice, wealthStats } from './mptMath.js';
+
+// Skewness and excess kurtosis from the population moments of a return series
+const shapeMoments = (series) => {
+  const n = series.length;
+  if (n < 3) return { skew: 0, kurtosis: 0 };
+  const mean = series.reduce((acc, r) => acc + r, 0) / n;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  series.forEach(r => {
+    const d = r - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  });
+  m2 /= n;
+  if (m2 === 0) return { skew: 0, kurtosis: 0 };
+  return { skew: (m3 / n) / m2 ** 1.5, kurtosis: (m4 / n) / (m2 * m2) - 3 };
+};
+
+// One row per ticker. Return, volatility and Sharpe are the optimizer's inputs (model means, estimator
+// covariance); skew, kurtosis and max drawdown come from the historical simple returns.
+export const assetStatistics = (stats, tickers, riskFreeRate) => tickers.map((ticker, i) => {
+  const series = stats.returnRows.map(row => row[i]);
+  const expectedReturn = stats.means[ticker];
+  const volatility = Math.sqrt(stats.covMatrix[i][i]);
+  return {
+    ticker,
+    return: expectedReturn,
+    volatility,
+    sharpe: volatility > 0 ? (expectedReturn - riskFreeRate) / volatility : 0,
+    ...shapeMoments(series),
+    maxDrawdown: wealthStats(series, stats.periodsPerYear).maxDrawdown,
+  };
+});
+
+export const correlationMatrix = (covMatrix) => covMatrix.map((row, i) => row.map((value, j) => {
+  const scale = Math.sqrt(covMatrix[i][i] * covMatrix[j][j]);
+  if (scale > 0) return Math.max(-1, Math.min(1, value / scale));
+  return i === j ? 1 : 0;
+}));
+
+// Prices rebased to 100 at each ticker's first available price; gaps stay null
+export const normalizedPrices = (data, tickers) => {
+  const bases = {};
+  return data.map(row => {
+    const out = { Date: row.Date };
+    tickers.forEach(t => {
+      const price = readPrice(row, t);
+      if (price != null && bases[t] == null && price > 0) bases[t] = price;
+      out[t] = price != null && bases[t] ? (price / bases[t]) * 100 : null;
+    });
+    return out;
+  });
+};
+
+// [{ Date, correlation }] of columns i and j of `returnRows` over a trailing window of `window` periods,
+// one point per period from the first full window on (running sums, so linear in the series length)
+export const rollingCorrelation = (returnRows, dates, i, j, window) => {
+  const points = [];
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  returnRows.forEach((row, k) => {
+    const x = row[i];
+    const y = row[j];
+    sx += x; sy += y; sxx += x * x; syy += y * y; sxy += x * y;
+    if (k >= window) {
+      const old = returnRows[k - window];
+      sx -= old[i]; sy -= old[j]; sxx -= old[i] * old[i]; syy -= old[j] * old[j]; sxy -= old[i] * old[j];
+    }
+    if (k < window - 1) return;
+    const varX = window * sxx - sx * sx;
+    const varY = window * syy - sy * sy;
+    const denominator = Math.sqrt(varX * varY);
+    points.push({
+      Date: dates[k],
+      correlation: varX > 0 && varY > 0 ? Math.max(-1, Math.min(1, (window * sxy - sx * sy) / denominator)) : null,
+    });
+  });
+  return points;
+};
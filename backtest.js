@@ -0,0 +1,152 @@
+// Walk-forward backtest: re-estimate and re-optimize on each rebalance date using only past data,
+// then hold the drifting weights out of sample until the next rebalance.
+// Runs inside optimizer.worker.js.
+
+import {
+  prepareReturns, calculateStats, applyReturnModel, computeEfficientFrontier, wealthStats, DEFAULT_CONSTRAINTS
+} from './mptMath.js';
+
+export const BACKTEST_STRATEGIES = [
+  { id: 'maxSharpe', label: 'Max Sharpe' },
+  { id: 'minVol', label: 'Min Variance' },
+  { id: 'equalWeight', label: 'Equal Weight' },
+];
+
+export const DEFAULT_BACKTEST_OPTIONS = {
+  window: 'rolling',   // 'rolling' | 'expanding'
+  lookback: 126,       // Return periods of history for each estimate (minimum history when expanding)
+  rebalance: 'monthly', // 'monthly' | 'quarterly'
+};
+
+// Calendar period of a date string, used to detect the first trading day of a month or quarter
+const periodKey = (dateStr, rebalance) => {
+  const date = new Date(dateStr);
+  if (Number.isNaN(date.getTime())) throw new Error(`Backtest needs valid dates; could not read "${dateStr}".`);
+  const month = date.getUTCMonth();
+  return date.getUTCFullYear() * 12 + (rebalance === 'quarterly' ? month - (month % 3) : month);
+};
+
+// Annualized summary of an out-of-sample (simple) return series
+const summarize = (series, riskFreeRate, turnover, periodsPerYear) => {
+  const T = series.length;
+  const mean = series.reduce((acc, r) => acc + r, 0) / T;
+  const variance = series.reduce((acc, r) => acc + (r - mean) ** 2, 0) / Math.max(T - 1, 1);
+  const volatility = Math.sqrt(variance * periodsPerYear);
+  const { maxDrawdown, cagr } = wealthStats(series, periodsPerYear);
+  return {
+    cagr,
+    volatility,
+    sharpe: volatility > 0 ? (mean * periodsPerYear - riskFreeRate) / volatility : 0,
+    maxDrawdown,
+    turnover: turnover / (T / periodsPerYear), // Annualized one-way turnover
+  };
+};
+
+// The optimizer inputs (constraints, covarianceOptions, returnModel, returnOptions) are the ones the frontier
+// uses, so each rebalance solves the same problem on its own history. `onProgress(fraction)` is called after each rebalance.
+// When the constraints carry a turnover cost or cap, each optimized strategy treats its own drifted weights as the
+// current portfolio, and every strategy pays the trading cost on each rebalance.
+export const runBacktest = (
+  csvData, tickers, riskFreeRate,
+  { constraints = DEFAULT_CONSTRAINTS, covarianceOptions, returnModel, returnOptions } = {},
+  options = DEFAULT_BACKTEST_OPTIONS,
+  onProgress = null
+) => {
+  const { window: windowMode, lookback, rebalance } = { ...DEFAULT_BACKTEST_OPTIONS, ...options };
+  // Estimates use the chosen return type; the out-of-sample P&L compounds simple returns
+  const { returns, simpleReturns, settings } = prepareReturns(csvData, tickers, returnOptions);
+  const { periodsPerYear } = settings;
+  const n = tickers.length;
+
+  // Rebalance on the first return of each new period, once `lookback` returns are available
+  const rebalanceAt = [];
+  for (let t = lookback; t < returns.length; t++) {
+    if (t === lookback || periodKey(returns[t].Date, rebalance) !== periodKey(returns[t - 1].Date, rebalance)) {
+      rebalanceAt.push(t);
+    }
+  }
+  if (rebalanceAt.length === 0) {
+    throw new Error(`Not enough history for a backtest: need more than ${lookback} return periods (have ${returns.length}).`);
+  }
+
+  const { costBps = 0, maxTurnover = null } = constraints.turnover || {};
+  const tradeAware = costBps > 0 || maxTurnover != null;
+  const costRate = costBps / 10000;
+
+  // Target weights for each strategy; `held` are the strategies' drifted weights (null before the first rebalance)
+  const targetWeights = (t, held) => {
+    const from = windowMode === 'expanding' ? 0 : t - lookback;
+    const stats = applyReturnModel(
+      calculateStats(returns.slice(from, t), tickers, {
+        ...covarianceOptions, periodsPerYear, simpleReturns: simpleReturns.slice(from, t),
+      }),
+      tickers, riskFreeRate, returnModel
+    );
+    // Relative to what each strategy holds; the first allocation is made from scratch
+    const solve = (id) => computeEfficientFrontier(stats, tickers, riskFreeRate, 2, {
+      ...constraints,
+      turnover: tradeAware && held[id]
+        ? { ...constraints.turnover, currentWeights: Object.fromEntries(tickers.map((tk, i) => [tk, held[id][i]])) }
+        : null,
+    });
+    const { maxSharpe, minVol } = solve('maxSharpe');
+    // The two strategies hold different portfolios, so min variance needs its own solve once trades matter
+    const minVolWeights = tradeAware && held.minVol ? solve('minVol').minVol.weights : minVol.weights;
+    return { maxSharpe: maxSharpe.weights, minVol: minVolWeights, equalWeight: Array(n).fill(1 / n) };
+  };
+
+  const start = rebalanceAt[0];
+  const state = Object.fromEntries(BACKTEST_STRATEGIES.map(({ id }) => [id, {
+    weights: null, wealth: 1, series: [], turnover: 0, cost: 0, pendingCost: 0,
+  }]));
+  const equity = [{ Date: returns[start - 1].Date, ...Object.fromEntries(BACKTEST_STRATEGIES.map(({ id }) => [id, 1])) }];
+  let next = 0;
+
+  for (let t = start; t < returns.length; t++) {
+    if (t === rebalanceAt[next]) {
+      const targets = targetWeights(t, Object.fromEntries(BACKTEST_STRATEGIES.map(({ id }) => [id, state[id].weights])));
+      BACKTEST_STRATEGIES.forEach(({ id }) => {
+        const s = state[id];
+        // One-way turnover versus the drifted weights (the initial allocation is not counted)
+        if (s.weights) {
+          const traded = targets[id].reduce((acc, w, i) => acc + Math.abs(w - s.weights[i]), 0);
+          s.turnover += traded / 2;
+          s.cost += costRate * traded;
+          s.pendingCost = costRate * traded;
+        }
+        s.weights = targets[id];
+      });
+      next++;
+      if (onProgress) onProgress(next / rebalanceAt.length);
+    }
+
+    // Only a ticker with no price yet (pairwise alignment) has no return; it cannot move the portfolio
+    const r = tickers.map(tk => simpleReturns[t][tk] ?? 0);
+    const point = { Date: returns[t].Date };
+    BACKTEST_STRATEGIES.forEach(({ id }) => {
+      const s = state[id];
+      const grossReturn = s.weights.reduce((acc, w, i) => acc + w * r[i], 0);
+      // Trading costs of a rebalance come out of that period's return
+      const portReturn = (1 + grossReturn) * (1 - s.pendingCost) - 1;
+      s.pendingCost = 0;
+      s.series.push(portReturn);
+      s.wealth *= 1 + portReturn;
+      // Weights drift with relative performance until the next rebalance
+      s.weights = s.weights.map((w, i) => (w * (1 + r[i])) / (1 + grossReturn));
+      point[id] = s.wealth;
+    });
+    equity.push(point);
+  }
+
+  return {
+    equity,
+    summary: BACKTEST_STRATEGIES.map(({ id, label }) => ({
+      id, label, ...summarize(state[id].series, riskFreeRate, state[id].turnover, periodsPerYear),
+      costs: state[id].cost,
+    })),
+    rebalances: rebalanceAt.length,
+    options: { window: windowMode, lookback, rebalance },
+    costBps,
+    returnSettings: settings,
+  };
+};
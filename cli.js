@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// MPTLab command line: optimize a price file with the app's pipeline (mptlab.js) and write the frontier points and
+// optimal portfolios as JSON or CSV, e.g. for nightly batch jobs.
+//
+//   node cli.js prices.csv --rf 0.03 --estimator ledoitWolf --bounds BTC=:0.1 --out results.csv
+//
+// Run without arguments (or with --help) for the options.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import {
+  loadPriceCsv, optimizePortfolio, namedPortfolios, formatEstimator, formatReturnSettings, formatBenchmark, parseSeed,
+  DEFAULT_CONSTRAINTS, DEFAULT_RETURN_OPTIONS, COVARIANCE_ESTIMATORS, RETURN_TYPES, SAMPLING_FREQUENCIES, ALIGNMENT_POLICIES
+} from './mptlab.js';
+import { portfoliosToCsv, resultsToJson } from './exportResults.js';
+
+const USAGE = `Usage: node cli.js <prices.csv> [options]
+
+Prices: a CSV/TSV with a date column and one column per ticker, or long rows (Date, Ticker, Price).
+
+Options:
+  --tickers SPY,TLT,GLD        Columns to optimize (default: every price column)
+  --rf 0.02                    Annual risk-free rate, as a fraction
+  --points 50                  Frontier points
+  --iterations 0               Random portfolios to simulate and include in the output
+  --seed N                     Seed for the random portfolios (default: a fresh one, shown in the output)
+  --estimator sample           Covariance: ${COVARIANCE_ESTIMATORS.map(e => e.id).join(' | ')}
+  --half-life 60               EWMA half-life, in periods
+  --returns simple             ${RETURN_TYPES.map(t => t.id).join(' | ')}
+  --frequency daily            ${SAMPLING_FREQUENCIES.map(f => f.id).join(' | ')}
+  --periods-per-year N         Annualization factor (default: inferred from the dates)
+  --alignment intersect        ${ALIGNMENT_POLICIES.map(a => a.id).join(' | ')}
+  --confidence 0.95            CVaR confidence level
+  --benchmark SPY              Benchmark for beta, tracking error and the active frontier: a ticker in the universe
+                               or another price column of the file
+  --te-budget 0.05             Tracking-error budget for the active frontier, as a fraction (needs --benchmark)
+  --short                      Allow short selling
+  --leverage 1.5               Gross leverage limit (sum of |w|) with --short
+  --bounds SPY=0:0.4,BTC=:0.1  Min:max weight per ticker, as fractions (either side may be left out)
+  --constraints file.json      Constraint object as saved by the app (groups, turnover, ...); flags override it
+  --format json                json | csv (default: from the --out extension, else json)
+  --out results.json           Output file (default: standard output)
+  --help                       Show this help
+`;
+
+const choice = (value, list, flag) => {
+  if (!list.some(item => item.id === value)) {
+    throw new Error(`--${flag} must be one of ${list.map(item => item.id).join(', ')} (got "${value}").`);
+  }
+  return value;
+};
+
+// `below` is an exclusive upper limit
+const number = (value, flag, { integer = false, min = -Infinity, below = Infinity } = {}) => {
+  const parsed = Number(value);
+  if (value === '' || !Number.isFinite(parsed) || (integer && !Number.isInteger(parsed)) || parsed < min || parsed >= below) {
+    const limits = [min > -Infinity && `>= ${min}`, below < Infinity && `< ${below}`].filter(Boolean).join(' and ');
+    throw new Error(`--${flag} needs ${integer ? 'an integer' : 'a number'}${limits ? ` ${limits}` : ''} (got "${value}").`);
+  }
+  return parsed;
+};
+
+// "SPY=0:0.4,BTC=:0.1" -> { SPY: { min: 0, max: 0.4 }, BTC: { max: 0.1 } }
+const parseBounds = (text) => Object.fromEntries(text.split(',').filter(Boolean).map(entry => {
+  const match = entry.trim().match(/^([^=]+)=([^:]*):([^:]*)$/);
+  if (!match) throw new Error(`--bounds entries look like TICKER=min:max (got "${entry}").`);
+  const [, ticker, min, max] = match;
+  const bound = {};
+  if (min.trim() !== '') bound.min = number(min, 'bounds');
+  if (max.trim() !== '') bound.max = number(max, 'bounds');
+  return [ticker.trim(), bound];
+}));
+
+const readOptions = (args) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      tickers: { type: 'string' },
+      rf: { type: 'string', default: '0.02' },
+      points: { type: 'string', default: '50' },
+      iterations: { type: 'string', default: '0' },
+      seed: { type: 'string' },
+      estimator: { type: 'string', default: 'sample' },
+      'half-life': { type: 'string', default: '60' },
+      returns: { type: 'string', default: DEFAULT_RETURN_OPTIONS.returnType },
+      frequency: { type: 'string', default: DEFAULT_RETURN_OPTIONS.frequency },
+      'periods-per-year': { type: 'string' },
+      alignment: { type: 'string', default: DEFAULT_RETURN_OPTIONS.alignment },
+      confidence: { type: 'string', default: '0.95' },
+      benchmark: { type: 'string' },
+      'te-budget': { type: 'string' },
+      short: { type: 'boolean', default: false },
+      leverage: { type: 'string' },
+      bounds: { type: 'string' },
+      constraints: { type: 'string' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help || positionals.length === 0) return null;
+  if (positionals.length > 1) throw new Error(`Expected one price file, got ${positionals.length}.`);
+
+  const saved = values.constraints ? JSON.parse(readFileSync(values.constraints, 'utf8')) : {};
+  const constraints = { ...DEFAULT_CONSTRAINTS, ...saved };
+  if (values.short) constraints.allowShort = true;
+  if (values.leverage != null) constraints.grossLeverage = number(values.leverage, 'leverage', { min: 1 });
+  const flagBounds = values.bounds ? parseBounds(values.bounds) : {};
+  constraints.bounds = { ...constraints.bounds, ...flagBounds };
+
+  const format = values.format || (values.out && /\.csv$/i.test(values.out) ? 'csv' : 'json');
+  if (!['json', 'csv'].includes(format)) throw new Error(`--format must be json or csv (got "${format}").`);
+  const iterations = number(values.iterations, 'iterations', { integer: true, min: 0 });
+  const seed = values.seed != null ? parseSeed(values.seed) : null;
+  if (values.seed != null && seed == null) throw new Error(`--seed needs an integer from 0 to 4294967295 (got "${values.seed}").`);
+  if (values['te-budget'] != null && !values.benchmark) throw new Error('--te-budget needs a --benchmark.');
+
+  return {
+    file: positionals[0],
+    tickers: values.tickers ? values.tickers.split(',').map(t => t.trim()).filter(Boolean) : null,
+    boundTickers: Object.keys(flagBounds),
+    format,
+    out: values.out || null,
+    run: {
+      riskFreeRate: number(values.rf, 'rf'),
+      frontierPoints: number(values.points, 'points', { integer: true, min: 2 }),
+      iterations,
+      showRandomPortfolios: iterations > 0,
+      constraints,
+      covarianceOptions: {
+        estimator: choice(values.estimator, COVARIANCE_ESTIMATORS, 'estimator'),
+        halfLife: number(values['half-life'], 'half-life', { min: 1 }),
+      },
+      returnOptions: {
+        ...DEFAULT_RETURN_OPTIONS,
+        returnType: choice(values.returns, RETURN_TYPES, 'returns'),
+        frequency: choice(values.frequency, SAMPLING_FREQUENCIES, 'frequency'),
+        alignment: choice(values.alignment, ALIGNMENT_POLICIES, 'alignment'),
+        periodsPerYear: values['periods-per-year'] != null
+          ? number(values['periods-per-year'], 'periods-per-year', { min: 1 })
+          : null,
+      },
+      cvarConfidence: number(values.confidence, 'confidence', { min: 0.5, below: 1 }),
+      seed,
+      benchmark: values.benchmark ? {
+        ticker: values.benchmark,
+        trackingErrorBudget: values['te-budget'] != null ? number(values['te-budget'], 'te-budget', { min: 0 }) : null,
+      } : null,
+    },
+  };
+};
+
+// Label/value pairs describing the run, like the app's JSON export
+const describeRun = (tickers, stats, frontier, run) => {
+  const settings = stats.returnSettings;
+  const { constraints } = run;
+  return [
+    ['Universe', tickers.join(', ')],
+    ['Date range', `${settings.firstDate} to ${settings.lastDate}`],
+    ['Risk-free rate', `${(run.riskFreeRate * 100).toFixed(2)}%`],
+    ['Covariance', formatEstimator(stats.estimator)],
+    ['Expected returns', stats.returnModel ? stats.returnModel.label : 'Historical mean'],
+    ['Returns', formatReturnSettings(settings)],
+    ['Constraints', constraints.allowShort
+      ? `Long/short, gross leverage <= ${(constraints.grossLeverage * 100).toFixed(0)}%`
+      : 'Long-only'],
+    ['CVaR confidence', `${+(run.cvarConfidence * 100).toFixed(1)}%`],
+    ['Random seed', String(frontier.seed)],
+    ...(frontier.benchmark ? [['Benchmark', formatBenchmark(frontier.benchmark, frontier.active)]] : []),
+  ];
+};
+
+export const main = (args) => {
+  const options = readOptions(args);
+  if (!options) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const { data, tickers, errors } = loadPriceCsv(readFileSync(options.file, 'utf8'), { tickers: options.tickers });
+  if (errors.length > 0) {
+    process.stderr.write(`Skipped ${errors.length} unreadable cell(s) or row(s); first: line ${errors[0].line}: ${errors[0].message}\n`);
+  }
+
+  const unknown = options.boundTickers.filter(t => !tickers.includes(t));
+  if (unknown.length > 0) throw new Error(`--bounds names ${unknown.join(', ')}, not in the universe (${tickers.join(', ')}).`);
+
+  const { stats, frontier, simResults } = optimizePortfolio(data, tickers, options.run);
+  const portfolios = namedPortfolios(frontier);
+  const output = options.format === 'csv'
+    ? `${portfoliosToCsv([
+      ...portfolios,
+      ...frontier.points.map((p, i) => ({ ...p, name: `Frontier ${i + 1}` })),
+      ...(frontier.active ? frontier.active.points.map((p, i) => ({ ...p, name: `Active ${i + 1}` })) : []),
+      ...simResults.map(p => ({ ...p, name: `Random ${p.id + 1}` })),
+    ], tickers)}\n`
+    : `${resultsToJson({
+      inputs: describeRun(tickers, stats, frontier, options.run), portfolios, simResults, tickers, frontierPoints: frontier.points,
+      activeFrontierPoints: frontier.active ? frontier.active.points : null,
+    })}\n`;
+
+  if (options.out) writeFileSync(options.out, output);
+  else process.stdout.write(output);
+};
+
+// Run only as the entry point, so that importing main (e.g. from a test) leaves the importer's argv alone
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    main(process.argv.slice(2));
+  } catch (err) {
+    process.stderr.write(`mptlab: ${err.message}\n`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,296 @@
+// Market data providers for the Fetch tab. Every provider resolves to
+// { series: { TICKER: [{ date, close, adjclose }] }, events?, currencies?, bases?, errors: { TICKER: message } }
+// and never throws for a single bad ticker, so the caller can decide what to do with partial results.
+// fetchPrices then turns each series into [{ date, price }] on the requested price basis.
+
+import { parseDelimited, detectDelimiter, detectImportSettings, buildPriceTable } from './priceImport.js';
+
+export const DATA_PROVIDERS = [
+  { id: 'api', label: 'MPTLab api.php', description: 'Yahoo Finance through the bundled PHP proxy' },
+  { id: 'http', label: 'HTTP endpoint', description: 'Any URL returning JSON or CSV prices per ticker' },
+  { id: 'library', label: 'Price library', description: 'Prices saved from earlier uploads (this browser)' },
+];
+
+// What a price series measures. Raw closes miss dividends (understating income assets) and, from some
+// vendors, show splits as one-day crashes; adjusted close and rebuilt total return include both.
+export const PRICE_BASES = [
+  { id: 'adjclose', label: 'Adjusted close' },
+  { id: 'totalReturn', label: 'Total return (from dividends and splits)' },
+  { id: 'close', label: 'Raw close' },
+  { id: 'unknown', label: 'Unspecified' },
+];
+
+export const API_RANGES = ['6mo', '1y', '2y', '5y', '10y', 'max'];
+export const API_INTERVALS = ['1d', '1wk', '1mo'];
+
+export const DEFAULT_PROVIDER_SETTINGS = {
+  provider: 'api',
+  priceBasis: 'adjclose', // 'adjclose' | 'totalReturn' | 'close'
+  api: { baseUrl: 'https://www.aliazary.com/apps/mptlab/api.php', range: '1y', interval: '1d' },
+  http: { urlTemplate: '' }, // e.g. "https://data.example.com/prices/{ticker}.csv"
+};
+
+const SETTINGS_KEY = 'mptlab.dataProvider';
+const LIBRARY_KEY = 'mptlab.priceLibrary';
+
+const storage = () => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = storage() && storage().getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    return fallback;
+  }
+};
+
+export const loadProviderSettings = () => {
+  const saved = readJson(SETTINGS_KEY, {});
+  return {
+    provider: saved.provider || DEFAULT_PROVIDER_SETTINGS.provider,
+    priceBasis: saved.priceBasis || DEFAULT_PROVIDER_SETTINGS.priceBasis,
+    api: { ...DEFAULT_PROVIDER_SETTINGS.api, ...saved.api },
+    http: { ...DEFAULT_PROVIDER_SETTINGS.http, ...saved.http },
+  };
+};
+
+export const saveProviderSettings = (settings) => {
+  try {
+    if (storage()) storage().setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    // Settings simply are not remembered (private mode, storage full)
+  }
+};
+
+/** --- PRICE LIBRARY --- */
+
+// { TICKER: { source, savedAt, basis, series: [{ date, price }] } }
+export const loadPriceLibrary = () => readJson(LIBRARY_KEY, {});
+
+const writeLibrary = (library) => {
+  try {
+    storage().setItem(LIBRARY_KEY, JSON.stringify(library));
+  } catch (err) {
+    throw new Error('Could not save to the price library (browser storage is full or unavailable).');
+  }
+  return library;
+};
+
+// Store each ticker column of a price table ([{ Date, T1, T2 }]) with its declared PRICE_BASES id;
+// replaces earlier entries for the same tickers
+export const saveToPriceLibrary = (data, tickers, source, basis = 'unknown') => {
+  const library = loadPriceLibrary();
+  const savedAt = new Date().toISOString();
+  tickers.forEach(t => {
+    const series = data
+      .filter(row => row[t] != null && row[t] > 0)
+      .map(row => ({ date: row.Date, price: row[t] }));
+    if (series.length > 0) library[t] = { source, savedAt, basis, series };
+  });
+  return writeLibrary(library);
+};
+
+export const removeFromPriceLibrary = (ticker) => {
+  const library = loadPriceLibrary();
+  delete library[ticker];
+  return writeLibrary(library);
+};
+
+/** --- PARSING --- */
+
+const CLOSE_KEYS = ['close', 'price', 'value'];
+const ADJ_CLOSE_KEYS = ['adjclose', 'adjClose', 'adj_close'];
+const DATE_KEYS = ['date', 'Date', 'time', 'timestamp'];
+
+const toDate = (value) => {
+  if (typeof value === 'number') return new Date(value < 1e11 ? value * 1000 : value).toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+};
+
+// Price points from a JSON body: [{ date, close }], [[date, price]], or either wrapped in
+// { prices | data | series }, or a { series: { TICKER: [...] } } response like api.php's
+const seriesFromJson = (json, ticker) => {
+  let rows = json;
+  if (rows && !Array.isArray(rows)) {
+    if (rows.series && !Array.isArray(rows.series)) rows = rows.series[ticker] || rows.series[ticker.toUpperCase()];
+    else rows = rows.prices || rows.data || rows.series;
+  }
+  if (!Array.isArray(rows)) throw new Error('Unrecognized JSON layout');
+  return rows.map(row => {
+    if (Array.isArray(row)) return { date: toDate(row[0]), close: Number(row[1]), adjclose: null };
+    const dateKey = DATE_KEYS.find(k => row[k] != null);
+    const closeKey = CLOSE_KEYS.find(k => row[k] != null);
+    const adjKey = ADJ_CLOSE_KEYS.find(k => row[k] != null);
+    return {
+      date: dateKey ? toDate(row[dateKey]) : null,
+      close: Number(row[closeKey ?? adjKey]),
+      adjclose: adjKey ? Number(row[adjKey]) : null,
+    };
+  }).filter(p => p.date && p.close > 0);
+};
+
+// Price points from a CSV body, using the upload importer: a long file is filtered to `ticker`,
+// a wide one uses the column named after it (or its only price column)
+const seriesFromCsv = (text, ticker) => {
+  const delimiter = detectDelimiter(text);
+  const rows = parseDelimited(text, delimiter);
+  const settings = detectImportSettings(rows, delimiter);
+  const { data, tickers } = buildPriceTable(rows, settings.mapping, settings);
+  const column = tickers.find(t => t.toUpperCase() === ticker.toUpperCase())
+    || (tickers.length === 1 ? tickers[0] : null);
+  if (!column) throw new Error(`No ${ticker} column in the CSV`);
+  // An "Adj Close" column (long layout) is the adjusted close; anything else is taken as the raw close
+  const adjusted = settings.priceBasis === 'adjclose';
+  return data.filter(row => row[column] != null)
+    .map(row => ({ date: row.Date, close: row[column], adjclose: adjusted ? row[column] : null }));
+};
+
+/** --- PROVIDERS --- */
+
+const fetchFromApi = async (tickers, { baseUrl, range, interval }) => {
+  if (!baseUrl) throw new Error('Set the api.php URL first.');
+  const url = `${baseUrl}?mode=json_data&symbols=${tickers.map(encodeURIComponent).join(',')}`
+    + `&range=${encodeURIComponent(range)}&interval=${encodeURIComponent(interval)}`;
+  const response = await fetch(url);
+  const json = await response.json().catch(() => null);
+  if (!json || !json.series) throw new Error((json && json.error) || `HTTP ${response.status} from api.php`);
+  const series = {};
+  const events = {};
+  const currencies = {};
+  const errors = {};
+  tickers.forEach(t => {
+    if (json.series[t]) {
+      series[t] = json.series[t];
+      if (json.events && json.events[t]) events[t] = json.events[t];
+      if (json.currencies && json.currencies[t]) currencies[t] = json.currencies[t];
+    } else {
+      errors[t] = (json.errors && json.errors[t]) || 'No data returned';
+    }
+  });
+  return { series, events, currencies, errors };
+};
+
+const fetchFromHttp = async (tickers, { urlTemplate }) => {
+  if (!urlTemplate || !urlTemplate.includes('{ticker}')) {
+    throw new Error('The endpoint URL needs a {ticker} placeholder.');
+  }
+  const series = {};
+  const errors = {};
+  await Promise.all(tickers.map(async (t) => {
+    try {
+      const response = await fetch(urlTemplate.replace(/\{ticker\}/g, encodeURIComponent(t)));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const text = await response.text();
+      const points = /^\s*[[{]/.test(text) ? seriesFromJson(JSON.parse(text), t) : seriesFromCsv(text, t);
+      if (points.length === 0) throw new Error('No prices in the response');
+      series[t] = points;
+    } catch (err) {
+      errors[t] = err.message;
+    }
+  }));
+  return { series, errors };
+};
+
+const fetchFromLibrary = async (tickers) => {
+  const library = loadPriceLibrary();
+  const series = {};
+  const bases = {};
+  const errors = {};
+  tickers.forEach(t => {
+    if (library[t]) {
+      series[t] = library[t].series;
+      bases[t] = library[t].basis || 'unknown';
+    } else {
+      errors[t] = 'Not in the price library';
+    }
+  });
+  return { series, bases, errors };
+};
+
+/** --- PRICE BASIS --- */
+
+// Total-return index from raw closes: each period earns (close + dividend) / previous close, with the
+// close scaled by the split ratio on a split date unless the vendor has already split-adjusted it
+export const totalReturnPrices = (points, { dividends = [], splits = [] } = {}) => {
+  const dividendOn = new Map(dividends.map(d => [d.date, d.amount]));
+  const splitOn = new Map(splits.map(s => [s.date, s.numerator / s.denominator]));
+  const out = [{ date: points[0].date, price: points[0].close }];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1].close;
+    let close = points[i].close;
+    const ratio = splitOn.get(points[i].date);
+    if (ratio && Math.abs(Math.log((close / prev) * ratio)) < Math.abs(Math.log(close / prev))) close *= ratio;
+    const growth = (close + (dividendOn.get(points[i].date) || 0)) / prev;
+    out.push({ date: points[i].date, price: out[i - 1].price * growth });
+  }
+  return out;
+};
+
+// Pick the requested basis where the data allows it: total return needs events, and falls back to the
+// adjusted close; the adjusted close needs a value on every bar, and falls back to the raw close
+const applyPriceBasis = (points, basis, events) => {
+  if (basis === 'totalReturn' && events) return { points: totalReturnPrices(points, events), basis };
+  if (basis !== 'close' && points.every(p => p.adjclose > 0)) {
+    return { points: points.map(p => ({ date: p.date, price: p.adjclose })), basis: 'adjclose' };
+  }
+  return { points: points.map(p => ({ date: p.date, price: p.close })), basis: 'close' };
+};
+
+// Fetch with the selected provider and price basis: { series: { TICKER: [{ date, price }] },
+// bases: { TICKER: PRICE_BASES id actually used }, currencies: { TICKER: code the provider reported }, errors }.
+// A failure of the whole request (network, bad URL) becomes the same error for every ticker.
+export const fetchPrices = async (tickers, settings) => {
+  let result;
+  try {
+    if (settings.provider === 'http') result = await fetchFromHttp(tickers, settings.http);
+    else if (settings.provider === 'library') result = await fetchFromLibrary(tickers);
+    else result = await fetchFromApi(tickers, settings.api);
+  } catch (err) {
+    return { series: {}, bases: {}, currencies: {}, errors: Object.fromEntries(tickers.map(t => [t, err.message])) };
+  }
+  if (result.bases) return { currencies: {}, ...result }; // Library entries keep the basis declared at upload
+
+  const series = {};
+  const bases = {};
+  Object.entries(result.series).forEach(([t, points]) => {
+    const chosen = applyPriceBasis(points, settings.priceBasis, result.events && result.events[t]);
+    series[t] = chosen.points;
+    bases[t] = chosen.basis;
+  });
+  return { series, bases, currencies: result.currencies || {}, errors: result.errors };
+};
+
+// e.g. "Adjusted close" or "Adjusted close (SPY, TLT); Raw close (BTC)"
+export const formatPriceBasis = (bases, tickers) => {
+  const groups = new Map();
+  tickers.forEach(t => {
+    const id = bases[t] || 'unknown';
+    groups.set(id, [...(groups.get(id) || []), t]);
+  });
+  const label = (id) => (PRICE_BASES.find(b => b.id === id) || PRICE_BASES[PRICE_BASES.length - 1]).label;
+  if (groups.size <= 1) return label([...groups.keys()][0] || 'unknown');
+  return [...groups.entries()].map(([id, list]) => `${label(id)} (${list.join(', ')})`).join('; ');
+};
+
+// Merge per-ticker series on a common date axis: [{ Date, T1, T2, ... }] with null where a ticker has no price
+export const mergeSeries = (series, tickers) => {
+  const byTicker = {};
+  const allDates = new Set();
+  tickers.forEach(t => {
+    byTicker[t] = {};
+    (series[t] || []).forEach(({ date, price }) => {
+      byTicker[t][date] = price;
+      allDates.add(date);
+    });
+  });
+  return Array.from(allDates).sort().map(date => ({
+    Date: date,
+    ...Object.fromEntries(tickers.map(t => [t, typeof byTicker[t][date] === 'number' ? byTicker[t][date] : null])),
+  }));
+};
+
+// Add a series as one more column of a price table, on the table's own dates (null where the series has no price)
+export const addSeriesColumn = (data, ticker, points) => {
+  const prices = new Map(points.map(({ date, price }) => [date, price]));
+  return data.map(row => ({ ...row, [ticker]: typeof prices.get(row.Date) === 'number' ? prices.get(row.Date) : null }));
+};
@@ -0,0 +1,121 @@
+// Data quality report for a loaded price table: per-ticker coverage, gaps, suspicious jumps and stale prices,
+// plus how many rows the chosen alignment policy keeps.
+
+import { readPrice, alignPrices, prepareReturns, DEFAULT_RETURN_OPTIONS } from './mptMath.js';
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  jump: 0.4,    // Flag moves larger than +/-40% between consecutive prices
+  staleRun: 5,  // Flag this many or more identical consecutive prices
+};
+
+// Price ratios of common splits (and reverse splits); a jump within 3% of one is labeled as a possible split
+const SPLIT_RATIOS = [2, 3, 4, 5, 8, 10, 20];
+
+const describeSplit = (ratio) => {
+  for (const k of SPLIT_RATIOS) {
+    if (Math.abs(ratio * k - 1) < 0.03) return `possible ${k}:1 split`;
+    if (Math.abs(ratio / k - 1) < 0.03) return `possible 1:${k} reverse split`;
+  }
+  return null;
+};
+
+const inspectTicker = (data, ticker, { jump, staleRun }) => {
+  const present = data.map(row => readPrice(row, ticker) != null);
+  const first = present.indexOf(true);
+  const last = present.lastIndexOf(true);
+  const observations = present.filter(Boolean).length;
+
+  // Runs of missing rows between the first and last price
+  const gaps = [];
+  let gapStart = null;
+  for (let i = Math.max(first, 0); i <= last; i++) {
+    if (!present[i] && gapStart == null) gapStart = i;
+    if (present[i] && gapStart != null) {
+      gaps.push({ from: data[gapStart].Date, to: data[i - 1].Date, length: i - gapStart });
+      gapStart = null;
+    }
+  }
+
+  // Jumps and stale runs over consecutive available prices
+  const jumps = [];
+  const staleRuns = [];
+  let prevPrice = null;
+  let run = { start: null, length: 0 };
+  const closeRun = () => {
+    if (run.length >= staleRun) staleRuns.push({ from: data[run.start].Date, to: run.end, length: run.length });
+  };
+  data.forEach((row, i) => {
+    const price = readPrice(row, ticker);
+    if (price == null) return;
+    if (prevPrice != null) {
+      const ratio = price / prevPrice;
+      if (Math.abs(ratio - 1) > jump) {
+        jumps.push({ date: row.Date, change: ratio - 1, note: describeSplit(ratio) });
+      }
+      if (price === prevPrice) {
+        run.length += 1;
+        run.end = row.Date;
+      } else {
+        closeRun();
+        run = { start: i, end: row.Date, length: 1 };
+      }
+    } else {
+      run = { start: i, end: row.Date, length: 1 };
+    }
+    prevPrice = price;
+  });
+  closeRun();
+
+  return {
+    ticker,
+    firstDate: first >= 0 ? data[first].Date : null,
+    lastDate: last >= 0 ? data[last].Date : null,
+    observations,
+    coverage: data.length > 0 ? observations / data.length : 0,
+    gaps,
+    longestGap: gaps.reduce((acc, g) => Math.max(acc, g.length), 0),
+    jumps,
+    staleRuns,
+  };
+};
+
+// `returnOptions` carries the alignment policy (see DEFAULT_RETURN_OPTIONS)
+export const assessDataQuality = (
+  data, tickers, returnOptions = DEFAULT_RETURN_OPTIONS, thresholds = DEFAULT_QUALITY_THRESHOLDS
+) => {
+  const options = { ...DEFAULT_RETURN_OPTIONS, ...returnOptions };
+  const aligned = alignPrices(data, tickers, options);
+
+  // Values the forward-fill policy supplied
+  let filledValues = 0;
+  if (options.alignment === 'ffill') {
+    const byDate = new Map(data.map(row => [row.Date, row]));
+    aligned.forEach(row => tickers.forEach(t => { if (readPrice(byDate.get(row.Date), t) == null) filledValues += 1; }));
+  }
+
+  // Shortest return overlap between two tickers (what the pairwise covariance has to work with)
+  let minPairOverlap = null;
+  let returnPeriods = 0;
+  try {
+    const { returns } = prepareReturns(data, tickers, options);
+    returnPeriods = returns.length;
+    if (options.alignment === 'pairwise') {
+      tickers.forEach((a, i) => tickers.slice(i + 1).forEach(b => {
+        const overlap = returns.filter(r => r[a] != null && r[b] != null).length;
+        minPairOverlap = minPairOverlap == null ? overlap : Math.min(minPairOverlap, overlap);
+      }));
+    }
+  } catch (err) {
+    returnPeriods = 0; // e.g. unreadable dates when resampling; the optimizer reports the error itself
+  }
+
+  return {
+    rows: data.length,
+    alignedRows: aligned.length,
+    rowsDropped: data.length - aligned.length,
+    filledValues,
+    returnPeriods,
+    minPairOverlap,
+    tickers: tickers.map(t => inspectTicker(data, t, { ...DEFAULT_QUALITY_THRESHOLDS, ...thresholds })),
+  };
+};
@@ -0,0 +1,192 @@
+// Export of optimization results: portfolio tables as CSV/JSON, trade lists as CSV, Recharts charts as SVG/PNG,
+// and a one-page HTML report that the browser prints or saves as PDF. No React; the table builders are plain
+// functions that cli.js uses too, the rest needs a browser.
+
+// Save `content` (string or Blob) as a download
+export const downloadFile = (content, fileName, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// e.g. "mptlab-max-sharpe-2024-05-01"
+export const exportFileName = (name) => (
+  `mptlab-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${new Date().toISOString().slice(0, 10)}`
+);
+
+/** --- TABLES --- */
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Metrics against the benchmark (applyBenchmarkMetrics), exported when a run had one
+const BENCHMARK_FIELDS = [
+  ['beta', 'Beta'],
+  ['alpha', 'Alpha'],
+  ['activeReturn', 'Active Return'],
+  ['trackingError', 'Tracking Error'],
+  ['informationRatio', 'Information Ratio'],
+];
+const hasBenchmark = (portfolios) => portfolios.some(p => p.trackingError != null);
+
+// One row per portfolio ({ name, return, volatility, sharpe, weights }); figures are fractions, not percent
+export const portfoliosToCsv = (portfolios, tickers) => {
+  const fields = hasBenchmark(portfolios) ? BENCHMARK_FIELDS : [];
+  const header = ['Portfolio', 'Return', 'Volatility', 'Sharpe', ...fields.map(([, label]) => label), ...tickers];
+  const rows = portfolios.map(p => [p.name, p.return, p.volatility, p.sharpe, ...fields.map(([key]) => p[key]), ...p.weights]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+// Inputs, named portfolios, the frontier and active frontier points (when given) and the random cloud with
+// weights keyed by ticker
+export const resultsToJson = ({ inputs, portfolios, simResults, tickers, frontierPoints = null, activeFrontierPoints = null }) => {
+  const describe = (p) => ({
+    return: p.return,
+    volatility: p.volatility,
+    sharpe: p.sharpe,
+    ...(p.trackingError != null ? Object.fromEntries(BENCHMARK_FIELDS.map(([key]) => [key, p[key]])) : {}),
+    weights: Object.fromEntries(tickers.map((t, i) => [t, p.weights[i]])),
+  });
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    inputs: Object.fromEntries(inputs),
+    tickers,
+    portfolios: portfolios.map(p => ({ name: p.name, ...describe(p) })),
+    ...(frontierPoints ? { frontier: frontierPoints.map(describe) } : {}),
+    ...(activeFrontierPoints ? { activeFrontier: activeFrontierPoints.map(describe) } : {}),
+    simulated: simResults.map(describe),
+  }, null, 2);
+};
+
+// Trade list from buildTradeList: one row per asset, then a CASH row; weights are fractions
+export const tradeListToCsv = ({ rows, summary }) => {
+  const header = [
+    'Ticker', 'Side', 'Price', 'Current Shares', 'Trade Shares', 'Trade Value', 'Cost', 'Final Shares',
+    'Current Weight', 'Target Weight', 'Final Weight', 'Drift',
+  ];
+  const side = (shares) => (shares > 0 ? 'BUY' : shares < 0 ? 'SELL' : 'HOLD');
+  const assets = rows.map(r => [
+    r.ticker, side(r.tradeShares), r.price, r.currentShares, r.tradeShares, r.tradeValue, r.cost, r.finalShares,
+    r.currentWeight, r.targetWeight, r.finalWeight, r.drift,
+  ]);
+  const cashChange = summary.cashAfter - summary.cashBefore;
+  const cash = [
+    'CASH', '', 1, summary.cashBefore, cashChange, cashChange, '', summary.cashAfter,
+    summary.cashBefore / summary.totalValue, 0, summary.cashWeight, summary.cashWeight,
+  ];
+  return [header, ...assets, cash].map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+/** --- CHARTS --- */
+
+// Standalone SVG markup of the (first) Recharts chart inside `container`, on a solid background so it reads
+// outside the dark app. HTML parts of the chart (tooltip, legend) are not included.
+export const chartSvg = (container, background = '#1e293b') => {
+  const source = container && container.querySelector('svg.recharts-surface');
+  if (!source) throw new Error('No chart to export yet.');
+  const svg = source.cloneNode(true);
+  const { width, height } = source.getBoundingClientRect();
+  const w = Math.round(width || parseFloat(source.getAttribute('width')) || 600);
+  const h = Math.round(height || parseFloat(source.getAttribute('height')) || 400);
+  svg.removeAttribute('style'); // Recharts sizes the surface with CSS; a file needs fixed dimensions
+  svg.setAttribute('width', w);
+  svg.setAttribute('height', h);
+  svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+  svg.setAttribute('font-family', 'Inter, Helvetica, Arial, sans-serif');
+  const backdrop = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  backdrop.setAttribute('width', '100%');
+  backdrop.setAttribute('height', '100%');
+  backdrop.setAttribute('fill', background);
+  svg.insertBefore(backdrop, svg.firstChild);
+  return new XMLSerializer().serializeToString(svg);
+};
+
+// Rasterize SVG markup at `scale` times its size
+export const svgToPng = (markup, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width * scale;
+    canvas.height = image.height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the chart as PNG.'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render the chart as PNG.'));
+  };
+  image.src = url;
+});
+
+/** --- REPORT --- */
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const pct = (value, digits = 2) => `${(value * 100).toFixed(digits)}%`;
+const optional = (value, format) => (value != null ? format(value) : '–');
+
+// One-page report: inputs, frontier chart (SVG markup) and the allocation of every named portfolio
+export const buildReportHtml = ({ title, inputs, frontierSvg, portfolios, tickers }) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: A4 portrait; margin: 12mm; }
+  body { font: 10px/1.4 Helvetica, Arial, sans-serif; color: #0f172a; margin: 0; }
+  h1 { font-size: 16px; margin: 0 0 2px; }
+  h2 { font-size: 11px; margin: 12px 0 4px; text-transform: uppercase; letter-spacing: 0.05em; color: #475569; }
+  .meta { color: #64748b; margin-bottom: 8px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #e2e8f0; padding: 2px 6px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 1px 12px; margin: 0; }
+  dt { color: #64748b; }
+  dd { margin: 0; }
+  .chart svg { width: 100%; height: auto; max-height: 90mm; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">Generated ${escapeHtml(new Date().toLocaleString())}</div>
+<h2>Inputs</h2>
+<dl>${inputs.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+${frontierSvg ? `<h2>Efficient frontier</h2><div class="chart">${frontierSvg}</div>` : ''}
+<h2>Portfolios</h2>
+<table>
+  <tr><th></th>${portfolios.map(p => `<th>${escapeHtml(p.name)}</th>`).join('')}</tr>
+  <tr><td>Return</td>${portfolios.map(p => `<td>${pct(p.return)}</td>`).join('')}</tr>
+  <tr><td>Volatility</td>${portfolios.map(p => `<td>${pct(p.volatility)}</td>`).join('')}</tr>
+  <tr><td>Sharpe</td>${portfolios.map(p => `<td>${p.sharpe.toFixed(2)}</td>`).join('')}</tr>
+  ${hasBenchmark(portfolios) ? `<tr><td>Beta</td>${portfolios.map(p => `<td>${optional(p.beta, v => v.toFixed(2))}</td>`).join('')}</tr>
+  <tr><td>Tracking error</td>${portfolios.map(p => `<td>${optional(p.trackingError, pct)}</td>`).join('')}</tr>
+  <tr><td>Information ratio</td>${portfolios.map(p => `<td>${optional(p.informationRatio, v => v.toFixed(2))}</td>`).join('')}</tr>` : ''}
+</table>
+<h2>Allocation</h2>
+<table>
+  <tr><th>Asset</th>${portfolios.map(p => `<th>${escapeHtml(p.name)}</th>`).join('')}</tr>
+  ${tickers.map((t, i) => `<tr><td>${escapeHtml(t)}</td>${portfolios.map(p => `<td>${pct(p.weights[i], 1)}</td>`).join('')}</tr>`).join('\n  ')}
+</table>
+<script>window.onload = () => window.print();</script>
+</body>
+</html>`;
+
+// Open the report in a new window, which shows the print dialog ("Save as PDF")
+export const openReport = (html) => {
+  const win = window.open('', '_blank');
+  if (!win) throw new Error('The report window was blocked; allow pop-ups for this site.');
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+};
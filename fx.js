@@ -0,0 +1,126 @@
+// Currency handling: per-ticker listing currencies, FX rate series and conversion of a price table into a
+// base currency before returns are computed.
+
+import { readPrice } from './mptMath.js';
+
+export const BASE_CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF', 'JPY', 'CAD', 'AUD', 'HKD', 'SEK', 'NOK', 'DKK'];
+
+export const DEFAULT_CURRENCY_SETTINGS = {
+  base: 'USD',
+  hedged: false, // true: hold the local-currency return, as if every FX exposure were hedged (hedge cost not modeled)
+};
+
+// Minor units Yahoo quotes some listings in (London in pence, Johannesburg in cents, Tel Aviv in agorot)
+const MINOR_UNITS = { GBp: ['GBP', 100], GBX: ['GBP', 100], ZAc: ['ZAR', 100], ZAC: ['ZAR', 100], ILA: ['ILS', 100] };
+
+// Listing currency by Yahoo exchange suffix; tickers without one are taken as USD
+const SUFFIX_CURRENCIES = {
+  L: 'GBp', IL: 'USD', DE: 'EUR', F: 'EUR', PA: 'EUR', AS: 'EUR', MI: 'EUR', MC: 'EUR', BR: 'EUR', VI: 'EUR',
+  HE: 'EUR', LS: 'EUR', IR: 'EUR', SW: 'CHF', TO: 'CAD', V: 'CAD', AX: 'AUD', T: 'JPY', HK: 'HKD',
+  ST: 'SEK', OL: 'NOK', CO: 'DKK', JO: 'ZAc', TA: 'ILA',
+};
+
+// An FX rate is carried forward over weekends and holidays, but not for longer than this
+const MAX_RATE_AGE_DAYS = 7;
+
+// { currency, divisor }: the ISO currency and how many listed units make one of it ('GBp' -> GBP, 100)
+export const resolveCurrency = (code) => {
+  if (MINOR_UNITS[code]) return { currency: MINOR_UNITS[code][0], divisor: MINOR_UNITS[code][1] };
+  return { currency: String(code || '').toUpperCase(), divisor: 1 };
+};
+
+// Best guess from the ticker alone: "SAP.DE" -> EUR, "VOD.L" -> GBp, "BTC-EUR" -> EUR, "AAPL" -> USD
+export const guessCurrency = (ticker) => {
+  const suffix = /\.([A-Z]{1,2})$/i.exec(ticker);
+  if (suffix && SUFFIX_CURRENCIES[suffix[1].toUpperCase()]) return SUFFIX_CURRENCIES[suffix[1].toUpperCase()];
+  const quote = /-([A-Z]{3})$/i.exec(ticker);
+  if (quote && BASE_CURRENCIES.includes(quote[1].toUpperCase())) return quote[1].toUpperCase();
+  return 'USD';
+};
+
+/** --- FX RATES --- */
+
+// FX series are kept as { EURUSD: [{ date, rate }] } sorted by date, where EURUSD is USD per EUR
+// (Yahoo's "EURUSD=X" quote convention)
+export const fxSymbol = (pair) => `${pair}=X`;
+
+export const pairFromSymbol = (symbol) => {
+  const match = /^([A-Z]{3})([A-Z]{3})(=X)?$/i.exec(String(symbol).trim());
+  return match ? (match[1] + match[2]).toUpperCase() : null;
+};
+
+// Build FX series from a price table ([{ Date, EURUSD, ... }]) or fetched series ({ 'EURUSD=X': [{ date, price }] })
+export const fxFromTable = (data, columns) => Object.fromEntries(columns
+  .filter(c => pairFromSymbol(c))
+  .map(c => [pairFromSymbol(c), data.filter(row => readPrice(row, c) != null).map(row => ({ date: row.Date, rate: readPrice(row, c) }))]));
+
+export const fxFromSeries = (series) => Object.fromEntries(Object.entries(series)
+  .filter(([symbol]) => pairFromSymbol(symbol))
+  .map(([symbol, points]) => [pairFromSymbol(symbol), points.map(p => ({ date: p.date, rate: p.price }))]));
+
+const dayDiff = (a, b) => (Date.parse(a) - Date.parse(b)) / 86400000;
+
+// date -> latest rate on or before it (at most MAX_RATE_AGE_DAYS old), or null
+const asOf = (points) => (date) => {
+  let lo = 0;
+  let hi = points.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].date <= date) { found = mid; lo = mid + 1; } else { hi = mid - 1; }
+  }
+  if (found < 0) return null;
+  return dayDiff(date, points[found].date) <= MAX_RATE_AGE_DAYS ? points[found].rate : null;
+};
+
+// date -> units of `to` per unit of `from`, using the direct pair, its inverse, or a cross through USD
+const rateLookup = (fx, from, to) => {
+  if (from === to) return () => 1;
+  if (fx[from + to]) return asOf(fx[from + to]);
+  if (fx[to + from]) {
+    const inverse = asOf(fx[to + from]);
+    return (date) => { const r = inverse(date); return r ? 1 / r : null; };
+  }
+  if (from !== 'USD' && to !== 'USD') {
+    const toUsd = rateLookup(fx, from, 'USD');
+    const fromUsd = rateLookup(fx, 'USD', to);
+    if (toUsd && fromUsd) return (date) => { const a = toUsd(date); const b = fromUsd(date); return a && b ? a * b : null; };
+  }
+  return null;
+};
+
+// Pairs to fetch so that every listing currency can be converted into `base`
+export const requiredFxPairs = (currencies, tickers, base) => [...new Set(tickers
+  .map(t => resolveCurrency(currencies[t]).currency)
+  .filter(c => c && c !== base)
+  .map(c => c + base))];
+
+/** --- CONVERSION --- */
+
+// Price table in the base currency. Unhedged prices are multiplied by the base-per-local rate of the same
+// date; hedged positions keep their local-currency prices (minor units are always scaled). Prices on dates
+// without a usable rate become null and are handled by the alignment policy like any other gap.
+// Returns { data, missingPairs: ['EURUSD', ...] }; with missing pairs the data is returned unconverted.
+export const convertToBase = (data, tickers, currencies, settings = DEFAULT_CURRENCY_SETTINGS, fx = {}) => {
+  const { base, hedged } = { ...DEFAULT_CURRENCY_SETTINGS, ...settings };
+  const plans = tickers.map(t => {
+    const { currency, divisor } = resolveCurrency(currencies[t] || 'USD');
+    const rate = hedged || currency === base ? () => 1 : rateLookup(fx, currency, base);
+    return { ticker: t, currency, divisor, rate };
+  });
+  const missingPairs = [...new Set(plans.filter(p => !p.rate).map(p => p.currency + base))];
+  if (missingPairs.length > 0 || plans.every(p => p.divisor === 1 && (hedged || p.currency === base))) {
+    return { data, missingPairs };
+  }
+
+  const converted = data.map(row => {
+    const out = { ...row };
+    plans.forEach(({ ticker, divisor, rate }) => {
+      const price = readPrice(row, ticker);
+      const fxRate = price != null ? rate(row.Date) : null;
+      out[ticker] = fxRate ? (price / divisor) * fxRate : null;
+    });
+    return out;
+  });
+  return { data: converted, missingPairs };
+};
@@ -0,0 +1,1552 @@
+// MPTLab math core: returns, statistics (covariance estimators), QP solver, efficient frontier, downside risk
+// and Monte Carlo simulation.
+// The same code runs in the UI thread, in optimizer.worker.js and under Node.
+
+/**
+ * --- MPT MATH HELPER FUNCTIONS ---
+ */
+
+export const RETURN_TYPES = [
+  { id: 'simple', label: 'Simple' },
+  { id: 'log', label: 'Log' },
+];
+
+export const SAMPLING_FREQUENCIES = [
+  { id: 'daily', label: 'Daily', period: 'day' },
+  { id: 'weekly', label: 'Weekly', period: 'week' },
+  { id: 'monthly', label: 'Monthly', period: 'month' },
+];
+
+// How rows with missing prices (e.g. equities on weekends next to crypto) are handled
+export const ALIGNMENT_POLICIES = [
+  { id: 'intersect', label: 'Intersect dates' },
+  { id: 'ffill', label: 'Forward-fill gaps' },
+  { id: 'pairwise', label: 'Pairwise-complete' },
+];
+
+// periodsPerYear: null = infer from the spacing of the Date column
+// maxFillGap: longest run of missing rows the 'ffill' policy may fill per ticker
+export const DEFAULT_RETURN_OPTIONS = {
+  returnType: 'simple', frequency: 'daily', periodsPerYear: null, alignment: 'intersect', maxFillGap: 3,
+};
+
+const DAY_MS = 86400000;
+
+// A usable price, or null (missing, non-numeric or non-positive)
+export const readPrice = (row, ticker) => {
+  const value = parseFloat(row[ticker]);
+  return value > 0 ? value : null;
+};
+
+// Carry the last known price forward over at most `maxGap` consecutive missing rows per ticker
+export const forwardFill = (rows, tickers, maxGap = Infinity) => {
+  const last = {};
+  const gap = {};
+  return rows.map(row => {
+    const out = { ...row };
+    tickers.forEach(t => {
+      if (row[t] != null) {
+        last[t] = row[t];
+        gap[t] = 0;
+      } else if (last[t] != null && gap[t] < maxGap) {
+        out[t] = last[t];
+        gap[t] += 1;
+      }
+    });
+    return out;
+  });
+};
+
+// Apply the alignment policy to raw price rows. 'intersect' keeps dates where every ticker has a price,
+// 'ffill' fills short gaps first and then intersects, 'pairwise' keeps every date with any price.
+export const alignPrices = (data, tickers, { alignment = 'intersect', maxFillGap = 3 } = {}) => {
+  let rows = data.map(row => ({ Date: row.Date, ...Object.fromEntries(tickers.map(t => [t, readPrice(row, t)])) }));
+  if (alignment === 'ffill') rows = forwardFill(rows, tickers, maxFillGap);
+  if (alignment === 'pairwise') return rows.filter(row => tickers.some(t => row[t] != null));
+  return rows.filter(row => tickers.every(t => row[t] != null));
+};
+
+// Keep the last row of each calendar week (Monday-Sunday) or month, taking each ticker's last available
+// price within the period. Rows must be in date order.
+export const resamplePrices = (data, frequency = 'daily') => {
+  if (frequency === 'daily') return data;
+  const keyOf = (row) => {
+    const date = new Date(row.Date);
+    if (Number.isNaN(date.getTime())) throw new Error(`Cannot resample: unreadable date "${row.Date}".`);
+    return frequency === 'weekly'
+      ? Math.floor((date.getTime() / DAY_MS + 3) / 7) // 1970-01-01 was a Thursday
+      : date.getUTCFullYear() * 12 + date.getUTCMonth();
+  };
+  const groups = [];
+  data.forEach(row => {
+    const key = keyOf(row);
+    if (groups.length === 0 || groups[groups.length - 1].key !== key) groups.push({ key, rows: [] });
+    groups[groups.length - 1].rows.push(row);
+  });
+  return groups.map(({ rows }) => {
+    const out = { ...rows[rows.length - 1] };
+    Object.keys(out).forEach(k => {
+      if (k === 'Date' || out[k] != null) return;
+      const found = rows.slice().reverse().find(r => r[k] != null);
+      if (found) out[k] = found[k];
+    });
+    return out;
+  });
+};
+
+// Periods per year implied by the median gap between dates. Daily data counts 252 trading days
+// unless weekends appear (e.g. crypto), then 365. Returns null if the dates cannot be read.
+export const inferPeriodsPerYear = (dates) => {
+  const times = dates.map(d => new Date(d).getTime()).filter(t => !Number.isNaN(t));
+  const gaps = times.slice(1).map((t, i) => (t - times[i]) / DAY_MS).filter(g => g > 0).sort((a, b) => a - b);
+  if (gaps.length === 0) return null;
+  const median = gaps[Math.floor(gaps.length / 2)];
+  if (median <= 1.5) {
+    const weekendShare = times.filter(t => [0, 6].includes(new Date(t).getUTCDay())).length / times.length;
+    return weekendShare > 0.1 ? 365 : 252;
+  }
+  if (median <= 10) return 52;
+  if (median <= 45) return 12;
+  if (median <= 120) return 4;
+  return Math.max(1, Math.round(365.25 / median));
+};
+
+// Calculate per-period returns: simple (Price_t - Price_t-1) / Price_t-1 or log ln(Price_t / Price_t-1)
+// Each row keeps the Date of the closing price it ends on. Rows with a missing price are dropped, unless
+// `allowMissing` is set: then every row is kept and undefined returns are null.
+export const calculateReturns = (data, tickers, { returnType = 'simple', allowMissing = false } = {}) => {
+  const returns = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = { Date: data[i].Date };
+    let validRow = true;
+    tickers.forEach(ticker => {
+      const prev = readPrice(data[i - 1], ticker);
+      const curr = readPrice(data[i], ticker);
+      if (prev == null || curr == null) {
+        validRow = false;
+        row[ticker] = null;
+      } else {
+        row[ticker] = returnType === 'log' ? Math.log(curr / prev) : (curr - prev) / prev;
+      }
+    });
+    if (validRow || allowMissing) returns.push(row);
+  }
+  return returns;
+};
+
+// Align, resample, compute returns and pick the annualization factor, as set by `options` (DEFAULT_RETURN_OPTIONS).
+// `simpleReturns` always holds simple returns: realized P&L measures (drawdowns, CVaR, backtests) compound them.
+// Under the pairwise policy `returns` keeps nulls, while `simpleReturns` come from forward-filled prices
+// (a ticker that did not trade simply did not move).
+export const prepareReturns = (data, tickers, options = DEFAULT_RETURN_OPTIONS) => {
+  const { returnType, frequency, periodsPerYear, alignment, maxFillGap } = { ...DEFAULT_RETURN_OPTIONS, ...options };
+  const prices = resamplePrices(alignPrices(data, tickers, { alignment, maxFillGap }), frequency);
+  const pairwise = alignment === 'pairwise';
+
+  let returns = calculateReturns(prices, tickers, { returnType, allowMissing: pairwise });
+  let simpleReturns = returnType === 'simple' && !pairwise
+    ? returns
+    : calculateReturns(pairwise ? forwardFill(prices, tickers) : prices, tickers, { allowMissing: pairwise });
+  if (pairwise) {
+    const keep = returns.map(r => tickers.some(t => r[t] != null));
+    returns = returns.filter((_, i) => keep[i]);
+    simpleReturns = simpleReturns.filter((_, i) => keep[i]);
+  }
+
+  const inferred = inferPeriodsPerYear(prices.map(row => row.Date));
+  return {
+    returns,
+    simpleReturns,
+    settings: {
+      returnType,
+      frequency,
+      alignment,
+      periodsPerYear: periodsPerYear || inferred || 252,
+      source: periodsPerYear ? 'chosen' : (inferred ? 'inferred' : 'assumed'),
+      firstDate: prices.length > 0 ? prices[0].Date : null,
+      lastDate: prices.length > 0 ? prices[prices.length - 1].Date : null,
+    },
+  };
+};
+
+/**
+ * --- COVARIANCE ESTIMATORS ---
+ * Each estimator takes per-period return rows as arrays (ordered like tickers) and returns a per-period covariance matrix
+ * plus any details worth showing in the UI.
+ */
+
+export const COVARIANCE_ESTIMATORS = [
+  { id: 'sample', label: 'Sample' },
+  { id: 'ledoitWolf', label: 'Ledoit-Wolf (constant correlation)' },
+  { id: 'ewma', label: 'Exponentially weighted' },
+  { id: 'semi', label: 'Downside semi-covariance' },
+];
+
+const emptyMatrix = (n) => Array(n).fill(0).map(() => Array(n).fill(0));
+
+// Plain sample covariance (n - 1 denominator)
+const sampleCovariance = (rows) => {
+  const T = rows.length;
+  const N = rows[0].length;
+  const mean = Array(N).fill(0).map((_, i) => rows.reduce((acc, r) => acc + r[i], 0) / T);
+  const cov = emptyMatrix(N);
+  for (let i = 0; i < N; i++) {
+    for (let j = i; j < N; j++) {
+      let sumProduct = 0;
+      for (let k = 0; k < T; k++) sumProduct += (rows[k][i] - mean[i]) * (rows[k][j] - mean[j]);
+      cov[i][j] = cov[j][i] = sumProduct / (T - 1);
+    }
+  }
+  return { cov };
+};
+
+// Pairwise-complete sample covariance: each pair uses the rows where both returns exist (nulls elsewhere)
+const pairwiseCovariance = (rows) => {
+  const N = rows[0].length;
+  const cov = emptyMatrix(N);
+  for (let i = 0; i < N; i++) {
+    for (let j = i; j < N; j++) {
+      const both = rows.filter(r => r[i] != null && r[j] != null);
+      if (both.length < 2) {
+        throw new Error("Not enough overlapping returns for a pairwise-complete covariance.");
+      }
+      const mi = both.reduce((acc, r) => acc + r[i], 0) / both.length;
+      const mj = both.reduce((acc, r) => acc + r[j], 0) / both.length;
+      const sumProduct = both.reduce((acc, r) => acc + (r[i] - mi) * (r[j] - mj), 0);
+      cov[i][j] = cov[j][i] = sumProduct / (both.length - 1);
+    }
+  }
+  return { cov: nearestPositiveDefinite(cov) };
+};
+
+// Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations
+const symmetricEigen = (S) => {
+  const n = S.length;
+  const A = S.map(row => [...row]);
+  const V = emptyMatrix(n).map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += A[p][q] ** 2;
+    if (off < 1e-30) break;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(A[p][q]) < 1e-300) continue;
+        const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const sn = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = A[k][p];
+          const akq = A[k][q];
+          A[k][p] = c * akp - sn * akq;
+          A[k][q] = sn * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = A[p][k];
+          const aqk = A[q][k];
+          A[p][k] = c * apk - sn * aqk;
+          A[q][k] = sn * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = V[k][p];
+          const vkq = V[k][q];
+          V[k][p] = c * vkp - sn * vkq;
+          V[k][q] = sn * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: A.map((row, i) => row[i]), vectors: V };
+};
+
+// Pairwise estimates need not be positive definite: clip the eigenvalues to a small positive floor,
+// then rescale so the variances are unchanged
+const nearestPositiveDefinite = (S) => {
+  const n = S.length;
+  const { values, vectors } = symmetricEigen(S);
+  if (Math.min(...values) > 0) return S;
+  const floor = 1e-8 * S.reduce((acc, row, i) => acc + row[i], 0) / n;
+  const clipped = values.map(v => Math.max(v, floor));
+  const R = emptyMatrix(n).map((row, i) => row.map((_, j) => (
+    clipped.reduce((acc, v, k) => acc + vectors[i][k] * v * vectors[j][k], 0)
+  )));
+  return R.map((row, i) => row.map((v, j) => v * Math.sqrt((S[i][i] * S[j][j]) / (R[i][i] * R[j][j]))));
+};
+
+// Ledoit & Wolf (2004), "Honey, I Shrunk the Sample Covariance Matrix": shrink toward a constant-correlation
+// target with the asymptotically optimal intensity
+const ledoitWolfCovariance = (rows) => {
+  const T = rows.length;
+  const N = rows[0].length;
+  const mean = Array(N).fill(0).map((_, i) => rows.reduce((acc, r) => acc + r[i], 0) / T);
+  const X = rows.map(r => r.map((v, i) => v - mean[i]));
+
+  const S = emptyMatrix(N);
+  for (let i = 0; i < N; i++) {
+    for (let j = i; j < N; j++) {
+      S[i][j] = S[j][i] = X.reduce((acc, x) => acc + x[i] * x[j], 0) / T;
+    }
+  }
+  const sd = S.map((row, i) => Math.sqrt(row[i]));
+
+  // Average pairwise correlation defines the target
+  let rBar = 0;
+  if (N > 1) {
+    for (let i = 0; i < N; i++) {
+      for (let j = 0; j < N; j++) if (i !== j) rBar += S[i][j] / (sd[i] * sd[j]);
+    }
+    rBar /= N * (N - 1);
+  }
+  const F = S.map((row, i) => row.map((v, j) => (i === j ? v : rBar * sd[i] * sd[j])));
+
+  // pi: sum of asymptotic variances of sqrt(T) * S; rho: their covariance with the target; gamma: misspecification
+  let pi = 0;
+  let rho = 0;
+  let gamma = 0;
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) {
+      let piIJ = 0;
+      let thetaII = 0;
+      let thetaJJ = 0;
+      for (let t = 0; t < T; t++) {
+        const y = X[t][i] * X[t][j] - S[i][j];
+        piIJ += y * y;
+        thetaII += (X[t][i] * X[t][i] - S[i][i]) * y;
+        thetaJJ += (X[t][j] * X[t][j] - S[j][j]) * y;
+      }
+      pi += piIJ / T;
+      if (i === j) {
+        rho += piIJ / T;
+      } else {
+        rho += (rBar / 2) * (Math.sqrt(S[j][j] / S[i][i]) * thetaII / T + Math.sqrt(S[i][i] / S[j][j]) * thetaJJ / T);
+      }
+      gamma += (F[i][j] - S[i][j]) ** 2;
+    }
+  }
+  const kappa = gamma > 0 ? (pi - rho) / gamma : 0;
+  const shrinkage = Math.max(0, Math.min(1, kappa / T));
+
+  return {
+    cov: S.map((row, i) => row.map((v, j) => shrinkage * F[i][j] + (1 - shrinkage) * v)),
+    shrinkage,
+  };
+};
+
+// Exponentially weighted covariance; the most recent row gets the largest weight
+const ewmaCovariance = (rows, halfLife) => {
+  const T = rows.length;
+  const N = rows[0].length;
+  const lambda = 0.5 ** (1 / halfLife);
+  const raw = rows.map((_, t) => lambda ** (T - 1 - t));
+  const total = raw.reduce((a, b) => a + b, 0);
+  const w = raw.map(v => v / total);
+  const mean = Array(N).fill(0).map((_, i) => rows.reduce((acc, r, t) => acc + w[t] * r[i], 0));
+  // Bias correction for weighted samples (reduces to n - 1 for equal weights)
+  const correction = 1 - w.reduce((acc, v) => acc + v * v, 0);
+  const cov = emptyMatrix(N);
+  for (let i = 0; i < N; i++) {
+    for (let j = i; j < N; j++) {
+      let sumProduct = 0;
+      for (let t = 0; t < T; t++) sumProduct += w[t] * (rows[t][i] - mean[i]) * (rows[t][j] - mean[j]);
+      cov[i][j] = cov[j][i] = sumProduct / correction;
+    }
+  }
+  return { cov };
+};
+
+// Downside semi-covariance (Estrada): only returns below the threshold (0) contribute
+const semiCovariance = (rows, threshold = 0) => {
+  const T = rows.length;
+  const N = rows[0].length;
+  const downside = rows.map(r => r.map(v => Math.min(v - threshold, 0)));
+  const cov = emptyMatrix(N);
+  for (let i = 0; i < N; i++) {
+    for (let j = i; j < N; j++) {
+      cov[i][j] = cov[j][i] = downside.reduce((acc, d) => acc + d[i] * d[j], 0) / T;
+    }
+  }
+  return { cov };
+};
+
+// Calculate Mean Returns and Covariance Matrix
+// options: { estimator: 'sample' | 'ledoitWolf' | 'ewma' | 'semi', halfLife (EWMA, in periods),
+//            periodsPerYear (annualization factor), simpleReturns (for downside risk when `returns` are log) }
+// Returns containing nulls (pairwise alignment) use per-asset means and the pairwise-complete sample covariance.
+export const calculateStats = (
+  returns, tickers, { estimator = 'sample', halfLife = 60, periodsPerYear = 252, simpleReturns = returns } = {}
+) => {
+  const n = returns.length;
+  if (n === 0) return { means: {}, covMatrix: [] };
+
+  const rows = returns.map(r => tickers.map(t => r[t]));
+  const pairwise = rows.some(r => r.some(v => v == null));
+  if (pairwise && estimator !== 'sample') {
+    throw new Error("Pairwise-complete alignment only supports the sample covariance estimator.");
+  }
+
+  // 1. Mean Returns (Annualized)
+  const means = {};
+  tickers.forEach(t => {
+    const available = returns.filter(r => r[t] != null);
+    const sum = available.reduce((acc, r) => acc + r[t], 0);
+    means[t] = (sum / available.length) * periodsPerYear;
+  });
+
+  // 2. Covariance Matrix (Annualized)
+  let result;
+  switch (pairwise ? 'pairwise' : estimator) {
+    case 'pairwise': result = pairwiseCovariance(rows); break;
+    case 'ledoitWolf': result = ledoitWolfCovariance(rows); break;
+    case 'ewma': result = ewmaCovariance(rows, halfLife); break;
+    case 'semi': result = semiCovariance(rows); break;
+    default: result = sampleCovariance(rows);
+  }
+  const covMatrix = result.cov.map(row => row.map(v => v * periodsPerYear));
+
+  const { label } = COVARIANCE_ESTIMATORS.find(e => e.id === estimator) || COVARIANCE_ESTIMATORS[0];
+  const estimatorInfo = { id: estimator, label: pairwise ? `${label} (pairwise-complete)` : label };
+  if (estimator === 'ewma') estimatorInfo.halfLife = halfLife;
+  if (result.shrinkage != null) estimatorInfo.shrinkage = result.shrinkage;
+
+  // Simple return rows (ordered like tickers) and their dates are kept for the historical downside-risk
+  // measures and per-asset analytics; only complete rows can be priced as a portfolio
+  const completeRows = simpleReturns.filter(r => tickers.every(t => r[t] != null));
+  const returnRows = completeRows.map(r => tickers.map(t => r[t]));
+  const returnDates = completeRows.map(r => r.Date);
+  return { means, covMatrix, estimator: estimatorInfo, returnRows, returnDates, periodsPerYear };
+};
+
+/**
+ * --- EXPECTED RETURN MODELS ---
+ */
+
+export const RETURN_MODELS = [
+  { id: 'historical', label: 'Historical mean' },
+  { id: 'capm', label: 'CAPM implied' },
+  { id: 'blackLitterman', label: 'Black-Litterman' },
+];
+
+// Default model settings. Views: { type: 'absolute' | 'relative', asset, versus, value, confidence }
+// ("asset returns value" or "asset outperforms versus by value"); value and confidence are fractions.
+export const DEFAULT_RETURN_MODEL = {
+  model: 'historical',
+  benchmark: '',       // Ticker used as the market portfolio
+  marketPremium: null, // Annual market excess return; null = benchmark's historical excess return
+  tau: 0.05,           // Black-Litterman uncertainty scaling of the prior
+  views: [],
+};
+
+// Equilibrium returns: rf + beta_i * (E[r_m] - rf), betas taken from the (estimated) covariance matrix
+const capmImpliedReturns = (stats, tickers, riskFreeRate, { benchmark, marketPremium }) => {
+  const m = tickers.indexOf(benchmark);
+  if (m < 0) throw new Error(`Benchmark ticker "${benchmark || '(none)'}" is not in the current universe.`);
+  const { covMatrix, means } = stats;
+  const premium = marketPremium != null ? marketPremium : means[benchmark] - riskFreeRate;
+  const betas = tickers.map((_, i) => covMatrix[i][m] / covMatrix[m][m]);
+  return { returns: betas.map(b => riskFreeRate + b * premium), betas, premium };
+};
+
+// View matrix P, view vector Q and the confidence of each view
+const buildViews = (views, tickers) => {
+  const P = [];
+  const Q = [];
+  const confidences = [];
+  views.forEach((view, k) => {
+    const i = tickers.indexOf(view.asset);
+    const j = tickers.indexOf(view.versus);
+    if (i < 0) throw new Error(`View ${k + 1} references "${view.asset}", which is not in the universe.`);
+    const row = Array(tickers.length).fill(0);
+    row[i] = 1;
+    if (view.type === 'relative') {
+      if (j < 0 || j === i) throw new Error(`View ${k + 1} needs a second, different asset to compare against.`);
+      row[j] = -1;
+    }
+    if (!Number.isFinite(view.value)) throw new Error(`View ${k + 1} needs an expected return.`);
+    if (!(view.confidence > 0 && view.confidence <= 1)) {
+      throw new Error(`View ${k + 1} confidence must be between 0% and 100%.`);
+    }
+    P.push(row);
+    Q.push(view.value);
+    confidences.push(view.confidence);
+  });
+  return { P, Q, confidences };
+};
+
+// Black-Litterman posterior: mu = pi + tau S P' (P tau S P' + Omega)^-1 (Q - P pi).
+// Omega is diagonal with omega_k = (1 - c_k) / c_k * p_k' tau S p_k, so a 50% confidence
+// weighs the view like the prior and 100% pins it exactly.
+const blackLittermanReturns = (prior, covMatrix, tickers, { tau, views }) => {
+  const { P, Q, confidences } = buildViews(views, tickers);
+  if (P.length === 0) return prior;
+  const n = tickers.length;
+  const tauS = covMatrix.map(row => row.map(v => v * tau));
+  const tauSPt = P.map(p => Array(n).fill(0).map((_, i) => dot(tauS[i], p))); // K rows of (tau S p_k)
+  const A = P.map(pk => P.map((_, l) => dot(pk, tauSPt[l])));
+  A.forEach((row, k) => {
+    const c = Math.min(confidences[k], 1 - 1e-9);
+    row[k] += ((1 - c) / c) * A[k][k];
+  });
+  const gap = Q.map((q, k) => q - dot(P[k], prior));
+  const x = solveLinearSystem(A, gap);
+  return prior.map((pi, i) => pi + x.reduce((acc, xk, k) => acc + xk * tauSPt[k][i], 0));
+};
+
+// Replace the historical means in `stats` with the chosen model's expected returns.
+// The historical means are kept as `historicalMeans` (and the CAPM prior as `priorMeans`) for display.
+export const applyReturnModel = (stats, tickers, riskFreeRate, returnModel = DEFAULT_RETURN_MODEL) => {
+  const { model } = returnModel;
+  const { label } = RETURN_MODELS.find(m => m.id === model) || RETURN_MODELS[0];
+  const base = { ...stats, historicalMeans: stats.means, returnModel: { id: model, label } };
+  if (model !== 'capm' && model !== 'blackLitterman') return base;
+
+  const capm = capmImpliedReturns(stats, tickers, riskFreeRate, returnModel);
+  const info = { id: model, label, benchmark: returnModel.benchmark, premium: capm.premium, betas: capm.betas };
+  const toMap = (values) => Object.fromEntries(tickers.map((t, i) => [t, values[i]]));
+
+  if (model === 'capm') return { ...base, means: toMap(capm.returns), returnModel: info };
+
+  const posterior = blackLittermanReturns(capm.returns, stats.covMatrix, tickers, returnModel);
+  return {
+    ...base,
+    means: toMap(posterior),
+    priorMeans: toMap(capm.returns),
+    returnModel: { ...info, tau: returnModel.tau, viewCount: returnModel.views.length },
+  };
+};
+
+/**
+ * --- RANDOM NUMBERS ---
+ * Simulations draw from a seeded generator instead of Math.random, so a run is reproduced by its seed.
+ */
+
+// Seeds are integers from 0 to 2^32 - 1
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+// A seed typed by a user (or read from a file), or null when it is not one
+export const parseSeed = (value) => {
+  const seed = typeof value === 'number' ? value : Number(String(value).trim());
+  return String(value).trim() !== '' && Number.isInteger(seed) && seed >= 0 && seed < 4294967296 ? seed : null;
+};
+
+// Uniform draws in [0, 1) from a 32-bit seed (mulberry32: small, fast and plenty for Monte Carlo)
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw (Box-Muller) from a uniform generator
+export const normalDraw = (rng) => {
+  const u = 1 - rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+};
+
+// Simulation Engine: Monte Carlo
+// Random portfolios are convex combinations of feasible anchor portfolios, so they satisfy
+// any convex constraint set. Without anchors the single-asset portfolios are used. With a turnover model
+// (turnoverModel) returns and Sharpe ratios are net of trading costs. `rng` is the uniform generator (createRng).
+export const runSimulation = (
+  stats, tickers, riskFreeRate, iterations = 2000, anchors = null, turnover = null, rng = Math.random
+) => {
+  const results = [];
+  const { means, covMatrix } = stats;
+  const basis = anchors || tickers.map((_, i) => tickers.map((__, j) => (i === j ? 1 : 0)));
+
+  for (let i = 0; i < iterations; i++) {
+    // 1. Generate Random Weights
+    let mix = basis.map(() => rng());
+    const sumMix = mix.reduce((a, b) => a + b, 0);
+    mix = mix.map(m => m / sumMix); // Normalize to sum to 1
+    const weights = tickers.map((_, j) => mix.reduce((acc, m, k) => acc + m * basis[k][j], 0));
+
+    // 2. Portfolio Return
+    let portReturn = 0;
+    weights.forEach((w, idx) => {
+      portReturn += w * means[tickers[idx]];
+    });
+
+    // 3. Portfolio Volatility (Std Dev)
+    // Variance = w_transpose * CovMatrix * w
+    let portVar = 0;
+    for (let r = 0; r < tickers.length; r++) {
+      for (let c = 0; c < tickers.length; c++) {
+        portVar += weights[r] * weights[c] * covMatrix[r][c];
+      }
+    }
+    const portVol = Math.sqrt(portVar);
+
+    // 4. Sharpe Ratio
+    const sharpe = (portReturn - riskFreeRate) / portVol;
+
+    results.push(applyTradingCosts({
+      id: i,
+      return: portReturn,
+      volatility: portVol,
+      sharpe: sharpe,
+      weights: weights // Array matching tickers order
+    }, turnover, riskFreeRate));
+  }
+
+  return results;
+};
+
+/**
+ * --- QUADRATIC PROGRAMMING (EXACT FRONTIER) ---
+ */
+
+const dot = (a, b) => a.reduce((acc, v, i) => acc + v * b[i], 0);
+
+// Cholesky factor L of a symmetric positive definite matrix (A = L * L^T)
+const choleskyDecompose = (A) => {
+  const n = A.length;
+  const L = Array(n).fill(0).map(() => Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (sum <= 0) throw new Error("Covariance matrix is not positive definite.");
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+// Solve L y = b (L lower triangular)
+const forwardSubstitute = (L, b) => {
+  const n = L.length;
+  const y = Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    let sum = b[i];
+    for (let k = 0; k < i; k++) sum -= L[i][k] * y[k];
+    y[i] = sum / L[i][i];
+  }
+  return y;
+};
+
+// Solve L^T x = y (L lower triangular)
+const backSubstituteTransposed = (L, y) => {
+  const n = L.length;
+  const x = Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = y[i];
+    for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+    x[i] = sum / L[i][i];
+  }
+  return x;
+};
+
+// Solve (L * L^T) x = b
+const choleskySolve = (L, b) => backSubstituteTransposed(L, forwardSubstitute(L, b));
+
+// Solve a small dense system A x = b (Gaussian elimination, partial pivoting)
+const solveLinearSystem = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    if (Math.abs(M[col][col]) < 1e-300) throw new Error("Linear system is singular.");
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  const x = Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = M[i][n];
+    for (let k = i + 1; k < n; k++) sum -= M[i][k] * x[k];
+    x[i] = sum / M[i][i];
+  }
+  return x;
+};
+
+// Append a column to a Householder QR factorization { reflectors, rCols } (rCols[j] = column j of R)
+const appendQRColumn = ({ reflectors, rCols }, column) => {
+  const col = [...column];
+  reflectors.forEach(h => applyReflector(h, col));
+  const k = reflectors.length;
+  const norm = Math.sqrt(col.slice(k).reduce((acc, v) => acc + v * v, 0));
+  const v = Array(col.length).fill(0);
+  if (norm > 0) {
+    const alpha = col[k] > 0 ? -norm : norm;
+    for (let i = k; i < col.length; i++) v[i] = col[i];
+    v[k] -= alpha;
+  }
+  const vv = dot(v, v);
+  const reflector = { v, beta: vv > 0 ? 2 / vv : 0 };
+  applyReflector(reflector, col);
+  return { reflectors: [...reflectors, reflector], rCols: [...rCols, col.slice(0, k + 1)] };
+};
+
+const householderQR = (columns) => columns.reduce(appendQRColumn, { reflectors: [], rCols: [] });
+
+// In-place x <- (I - beta v v^T) x
+const applyReflector = ({ v, beta }, x) => {
+  const f = beta * dot(v, x);
+  for (let i = 0; i < x.length; i++) x[i] -= f * v[i];
+};
+
+// Dual active-set QP solver (Goldfarb-Idnani):
+//   minimize 1/2 x'Qx + c'x  s.t.  a'x = b for each `equalities`, a'x <= b for each `inequalities`
+// Constraints are given as { a: [...], b: number }. Throws if the constraint set is infeasible.
+// Step directions come from a QR factorization of L^-1 N (N = active constraint normals), which
+// stays well conditioned even when Q is nearly singular.
+export const solveQP = (Q, c, { equalities = [], inequalities = [] } = {}) => {
+  const n = c.length;
+  const tol = 1e-10;
+
+  // Tiny ridge keeps singular sample covariances (few rows, many assets) factorizable
+  const avgDiag = Q.reduce((acc, row, i) => acc + Math.abs(row[i]), 0) / n;
+  const ridge = 1e-9 * avgDiag + 1e-14;
+  const L = choleskyDecompose(Q.map((row, i) => row.map((v, j) => (i === j ? v + ridge : v))));
+
+  // Internally every constraint is n'x >= b; L^-1 n is cached per constraint
+  const constraints = [
+    ...equalities.map(({ a, b }) => ({ n: a, b, isEq: true })),
+    ...inequalities.map(({ a, b }) => ({ n: a.map(v => -v), b: -b, isEq: false })),
+  ].map(con => ({ ...con, lInvN: forwardSubstitute(L, con.n) }));
+
+  // Unconstrained minimum
+  let x = choleskySolve(L, c.map(v => -v));
+  const active = []; // { idx, n, b, isEq, lInvN, u }
+  const settled = new Set(); // Inequalities implied by the active set, only violated by rounding
+  let qr = householderQR([]); // QR of the L^-1 n columns of the active set
+
+  // Primal direction z (zero when n_p depends on the active normals) and dual direction r
+  const computeSteps = ({ lInvN }) => {
+    const { reflectors, rCols } = qr;
+    const d = [...lInvN];
+    reflectors.forEach(h => applyReflector(h, d));
+    const q = active.length;
+
+    const r = Array(q).fill(0);
+    for (let i = q - 1; i >= 0; i--) {
+      let sum = d[i];
+      for (let k = i + 1; k < q; k++) sum -= rCols[k][i] * r[k];
+      r[i] = sum / rCols[i][i];
+    }
+
+    const d2 = d.map((v, i) => (i < q ? 0 : v));
+    const d2Norm = Math.sqrt(dot(d2, d2));
+    if (d2Norm <= tol * Math.sqrt(dot(lInvN, lInvN))) return { z: null, zn: 0, r };
+    for (let k = q - 1; k >= 0; k--) applyReflector(reflectors[k], d2);
+    return { z: backSubstituteTransposed(L, d2), zn: d2Norm * d2Norm, r };
+  };
+
+  const pickViolated = () => {
+    const isActive = new Set(active.map(con => con.idx));
+    // Equalities are brought into the active set first
+    for (let i = 0; i < constraints.length; i++) {
+      const con = constraints[i];
+      if (!con.isEq || isActive.has(i)) continue;
+      const s = dot(con.n, x) - con.b;
+      return s > 0
+        ? { idx: i, n: con.n.map(v => -v), b: -con.b, isEq: true, lInvN: con.lInvN.map(v => -v) }
+        : { idx: i, ...con };
+    }
+    let worst = null;
+    let worstS = -tol;
+    constraints.forEach((con, i) => {
+      if (con.isEq || isActive.has(i) || settled.has(i)) return;
+      const s = (dot(con.n, x) - con.b) / Math.sqrt(dot(con.n, con.n));
+      if (s < worstS) { worstS = s; worst = { idx: i, ...con }; }
+    });
+    return worst;
+  };
+
+  const maxIter = 50 * (n + constraints.length);
+  for (let iter = 0; iter < maxIter; iter++) {
+    const p = pickViolated();
+    if (!p) return x;
+
+    let up = 0;
+    for (let inner = 0; inner < maxIter; inner++) {
+      const s = dot(p.n, x) - p.b;
+      const { z, zn, r } = computeSteps(p);
+
+      // Partial (dual) step: largest step before an active inequality multiplier hits zero
+      const rScale = r.reduce((acc, v) => Math.max(acc, Math.abs(v)), 0);
+      let t1 = Infinity;
+      let drop = -1;
+      active.forEach((con, j) => {
+        if (!con.isEq && r[j] > tol * rScale && Math.max(con.u, 0) / r[j] < t1) {
+          t1 = Math.max(con.u, 0) / r[j];
+          drop = j;
+        }
+      });
+
+      // Full (primal) step: makes constraint p active
+      const t2 = z ? -s / zn : Infinity;
+      const t = Math.min(t1, t2);
+
+      if (t === Infinity) {
+        // Degenerate vertices (e.g. a zero weight with zero buys and sells) make a constraint dependent on the
+        // active set; a violation at rounding level is accepted rather than reported as infeasible
+        if (!p.isEq && s > -1e-6 * Math.sqrt(dot(p.n, p.n))) {
+          settled.add(p.idx);
+          break;
+        }
+        throw new Error("Constraint set is infeasible: no portfolio satisfies all constraints.");
+      }
+
+      if (z) x = x.map((v, i) => v + t * z[i]);
+      active.forEach((con, j) => { con.u -= t * r[j]; });
+      up += t;
+
+      if (t === t2) {
+        active.push({ ...p, u: up });
+        qr = appendQRColumn(qr, p.lInvN);
+        break;
+      }
+      active.splice(drop, 1);
+      qr = householderQR(active.map(con => con.lInvN));
+    }
+  }
+  throw new Error("Optimizer did not converge.");
+};
+
+/**
+ * --- PORTFOLIO CONSTRAINTS ---
+ */
+
+// Default mandate: fully invested, long-only, no per-asset or group limits
+export const DEFAULT_CONSTRAINTS = {
+  allowShort: false,
+  grossLeverage: 1.5, // Max sum of |w| when shorting is allowed
+  bounds: {},         // { [ticker]: { min, max } } as weight fractions
+  groupOf: {},        // { [ticker]: groupName }
+  groupLimits: {},    // { [groupName]: { min, max } } as weight fractions
+  turnover: {
+    currentWeights: null, // { [ticker]: weight } of the portfolio held now; turnover is measured against it
+    costBps: 0,           // Proportional transaction cost per unit of weight traded, in basis points
+    maxTurnover: null,    // Cap on one-way turnover (sum |w - current| / 2), or null
+  },
+};
+
+// Trading cost model from a constraint config, or null without current weights:
+// { current: [weights ordered like tickers], cost (fraction per unit traded), maxTurnover, active }.
+// `active` means the optimizer itself models trades (costs to charge or a cap to respect).
+export const turnoverModel = (tickers, constraints) => {
+  const { currentWeights, costBps = 0, maxTurnover = null } = constraints.turnover || {};
+  if (!currentWeights) return null;
+  const cost = Math.max(costBps, 0) / 10000;
+  return { current: tickers.map(t => currentWeights[t] || 0), cost, maxTurnover, active: cost > 0 || maxTurnover != null };
+};
+
+// Add one-way turnover versus the current weights and the cost of trading there to an evaluated portfolio.
+// Costs are charged once against the annual expected return (a one-year holding period), so `return` and
+// `sharpe` become net of costs; the gross figure is kept as `grossReturn`.
+export const applyTradingCosts = (portfolio, turnover, riskFreeRate) => {
+  if (!turnover) return portfolio;
+  const traded = portfolio.weights.reduce((acc, w, i) => acc + Math.abs(w - turnover.current[i]), 0);
+  const cost = turnover.cost * traded;
+  const netReturn = portfolio.return - cost;
+  return {
+    ...portfolio,
+    return: netReturn,
+    sharpe: (netReturn - riskFreeRate) / portfolio.volatility,
+    grossReturn: portfolio.return,
+    turnover: traded / 2,
+    cost,
+  };
+};
+
+// Effective [min, max] weight for a ticker once defaults are applied
+export const getTickerBounds = (ticker, constraints) => {
+  const { allowShort, grossLeverage, bounds } = constraints;
+  const { min, max } = bounds[ticker] || {};
+  return {
+    min: min != null ? min : (allowShort ? -grossLeverage : 0),
+    max: max != null ? max : (allowShort ? grossLeverage : 1),
+  };
+};
+
+// Tickers belonging to each group that has at least one limit set
+const getGroupMembers = (tickers, constraints) => {
+  const { groupOf, groupLimits } = constraints;
+  const groups = {};
+  tickers.forEach(t => {
+    const g = groupOf[t];
+    if (g && groupLimits[g]) (groups[g] = groups[g] || []).push(t);
+  });
+  return groups;
+};
+
+// Catch obviously inconsistent constraint sets with a readable message before running the solver
+export const validateConstraints = (tickers, constraints) => {
+  const { allowShort, grossLeverage, groupLimits } = constraints;
+  if (allowShort && !(grossLeverage >= 1)) {
+    throw new Error("Gross leverage limit must be at least 100% to stay fully invested.");
+  }
+  let sumMin = 0;
+  let sumMax = 0;
+  tickers.forEach(t => {
+    const { min, max } = getTickerBounds(t, constraints);
+    if (min > max) throw new Error(`Infeasible bounds for ${t}: min ${(min * 100).toFixed(1)}% exceeds max ${(max * 100).toFixed(1)}%.`);
+    if (!allowShort && max < 0) throw new Error(`Max weight for ${t} is negative but short selling is disabled.`);
+    sumMin += allowShort ? min : Math.max(min, 0);
+    sumMax += max;
+  });
+  if (sumMin > 1 + 1e-9) throw new Error(`Infeasible bounds: minimum weights sum to ${(sumMin * 100).toFixed(1)}% (> 100%).`);
+  if (sumMax < 1 - 1e-9) throw new Error(`Infeasible bounds: maximum weights sum to ${(sumMax * 100).toFixed(1)}% (< 100%).`);
+  Object.entries(getGroupMembers(tickers, constraints)).forEach(([g]) => {
+    const { min, max } = groupLimits[g];
+    if (min != null && max != null && min > max) {
+      throw new Error(`Infeasible group "${g}": min ${(min * 100).toFixed(1)}% exceeds max ${(max * 100).toFixed(1)}%.`);
+    }
+  });
+  const turnover = turnoverModel(tickers, constraints);
+  if (turnover && turnover.maxTurnover != null) {
+    // Ending fully invested takes at least the current cash (or leverage) gap in trades
+    const gap = Math.abs(1 - turnover.current.reduce((acc, w) => acc + w, 0)) / 2;
+    if (turnover.maxTurnover < gap - 1e-9) {
+      throw new Error(`Turnover cap ${(turnover.maxTurnover * 100).toFixed(1)}% is below the ${(gap * 100).toFixed(1)}% needed to invest the current portfolio fully.`);
+    }
+  }
+};
+
+// Translate a constraint config into QP form. With shorting the weights are split as w = w+ - w-
+// so that the gross leverage limit sum(w+ + w-) <= L stays linear. With an active turnover model, buys and
+// sells against the current weights (w - current = b - s, b, s >= 0) follow as extra variables, so the
+// turnover cap sum(b + s) <= 2 * cap and the cost term -cost * sum(b + s) in the net return stay linear.
+export const buildPortfolioProblem = (tickers, constraints = DEFAULT_CONSTRAINTS) => {
+  const n = tickers.length;
+  const split = constraints.allowShort;
+  const turnover = turnoverModel(tickers, constraints);
+  const trades = Boolean(turnover && turnover.active);
+  const nWeightVars = split ? 2 * n : n;
+  const nVars = nWeightVars + (trades ? 2 * n : 0);
+
+  // Map a row over weights to a row over QP variables
+  const pad = (row) => (trades ? [...row, ...Array(2 * n).fill(0)] : row);
+  const lift = (a) => pad(split ? [...a, ...a.map(v => -v)] : a);
+  const unitRow = (i, sign = 1) => Array(n).fill(0).map((_, j) => (i === j ? sign : 0));
+  const nonNegative = (k) => ({ a: Array(nVars).fill(0).map((_, j) => (j === k ? -1 : 0)), b: 0 });
+
+  const equalities = [{ a: lift(Array(n).fill(1)), b: 1 }];
+  const inequalities = [];
+
+  if (split) {
+    for (let k = 0; k < nWeightVars; k++) inequalities.push(nonNegative(k));
+    inequalities.push({ a: pad(Array(nWeightVars).fill(1)), b: constraints.grossLeverage });
+  }
+
+  tickers.forEach((t, i) => {
+    const { min, max } = getTickerBounds(t, constraints);
+    if (split || min > 0) inequalities.push({ a: lift(unitRow(i, -1)), b: -min });
+    else inequalities.push({ a: lift(unitRow(i, -1)), b: 0 });
+    if (max < (split ? constraints.grossLeverage : 1)) inequalities.push({ a: lift(unitRow(i)), b: max });
+  });
+
+  if (trades) {
+    tickers.forEach((_, i) => {
+      const row = lift(unitRow(i));
+      row[nWeightVars + i] = -1;
+      row[nWeightVars + n + i] = 1;
+      equalities.push({ a: row, b: turnover.current[i] });
+    });
+    for (let k = nWeightVars; k < nVars; k++) inequalities.push(nonNegative(k));
+    if (turnover.maxTurnover != null) {
+      inequalities.push({ a: Array(nVars).fill(0).map((_, j) => (j >= nWeightVars ? 1 : 0)), b: 2 * turnover.maxTurnover });
+    }
+  }
+
+  Object.entries(getGroupMembers(tickers, constraints)).forEach(([g, members]) => {
+    const { min, max } = constraints.groupLimits[g];
+    const row = tickers.map(t => (members.includes(t) ? 1 : 0));
+    if (max != null) inequalities.push({ a: lift(row), b: max });
+    if (min != null) inequalities.push({ a: lift(row.map(v => -v)), b: -min });
+  });
+
+  return {
+    constraints: { equalities, inequalities },
+    lift,
+    turnover,
+    // Expected return net of trading costs, as a row over QP variables
+    netReturnRow: (mu) => {
+      const row = lift(mu);
+      if (trades) for (let k = nWeightVars; k < nVars; k++) row[k] = -turnover.cost;
+      return row;
+    },
+    // The split Hessian is singular along w+ = w- directions, and the trade variables carry no risk at all;
+    // a small diagonal term removes that degeneracy (and keeps w+ and w-, or b and s, from both being
+    // positive) without moving the optimum noticeably. The trade variables get a larger one: with only
+    // 1e-6 the solver loses feasibility to rounding once the turnover cap binds.
+    liftMatrix: (Q) => {
+      if (!split && !trades) return Q;
+      const avgDiag = Q.reduce((acc, row, i) => acc + Math.abs(row[i]), 0) / n;
+      const delta = 1e-6 * avgDiag;
+      const tradeDelta = 1e-4 * avgDiag;
+      const weightBlock = split
+        ? [...Q.map(row => [...row, ...row.map(v => -v)]), ...Q.map(row => [...row.map(v => -v), ...row])]
+        : Q;
+      const lifted = [...weightBlock.map(pad), ...(trades ? Array(2 * n).fill(null).map(() => Array(nVars).fill(0)) : [])];
+      return lifted.map((row, i) => row.map((v, j) => {
+        if (i !== j) return v;
+        if (i >= nWeightVars) return v + tradeDelta;
+        return split ? v + delta : v;
+      }));
+    },
+    toWeights: (x) => (split ? x.slice(0, n).map((v, i) => v - x[n + i]) : x.slice(0, n)),
+    // QP variables for a weight vector (e.g. a feasible starting point)
+    liftWeights: (w) => {
+      const x = split ? [...w.map(v => Math.max(v, 0)), ...w.map(v => Math.max(-v, 0))] : [...w];
+      if (!trades) return x;
+      const delta = w.map((v, i) => v - turnover.current[i]);
+      return [...x, ...delta.map(d => Math.max(d, 0)), ...delta.map(d => Math.max(-d, 0))];
+    },
+  };
+};
+
+/**
+ * --- EFFICIENT FRONTIER ---
+ */
+
+// Return, volatility and Sharpe of a weight vector (ordered like tickers); net of trading costs when a
+// turnover model (turnoverModel) is given
+export const evaluatePortfolio = (weights, stats, tickers, riskFreeRate, turnover = null) => {
+  const { means, covMatrix } = stats;
+  const portReturn = weights.reduce((acc, w, i) => acc + w * means[tickers[i]], 0);
+  let portVar = 0;
+  for (let r = 0; r < weights.length; r++) {
+    for (let c = 0; c < weights.length; c++) {
+      portVar += weights[r] * weights[c] * covMatrix[r][c];
+    }
+  }
+  const portVol = Math.sqrt(Math.max(portVar, 0));
+  return applyTradingCosts({
+    return: portReturn,
+    volatility: portVol,
+    sharpe: (portReturn - riskFreeRate) / portVol,
+    weights,
+  }, turnover, riskFreeRate);
+};
+
+// End points of the frontier plus a solver for the minimum variance portfolio at any target return.
+// With trading costs the frontier is traced in net return, so costs shape it and the max Sharpe choice.
+// `linear` (a row over weights) adds linear'w to the objective 1/2 w'Sw, e.g. -Cov(r, benchmark) to minimize
+// tracking error instead of variance; `minVol` is then the lowest-risk portfolio in that sense.
+const createFrontierSolver = (stats, tickers, riskFreeRate, constraints = DEFAULT_CONSTRAINTS, linear = null) => {
+  const { means, covMatrix } = stats;
+  const mu = tickers.map(t => means[t]);
+  const problem = buildPortfolioProblem(tickers, constraints);
+  const base = problem.constraints;
+  const Q = problem.liftMatrix(covMatrix);
+  const c = linear ? problem.lift(linear) : Array(Q.length).fill(0);
+  const netMu = problem.netReturnRow(mu);
+  const evaluate = (x) => evaluatePortfolio(problem.toWeights(x), stats, tickers, riskFreeRate, problem.turnover);
+
+  // 1. Global minimum variance
+  const minVol = evaluate(solveQP(Q, c, base));
+
+  // 2. Highest attainable return (LP solved as a QP with a vanishing risk penalty). Scaled down too far the
+  // trade variables' regularization no longer keeps that QP well conditioned, so the penalty is milder with them.
+  const scale = problem.turnover && problem.turnover.active ? 1e-4 : 1e-6;
+  const maxRet = evaluate(solveQP(Q.map(row => row.map(v => v * scale)), netMu.map(m => -m), base));
+
+  const lo = minVol.return;
+  const hi = Math.max(maxRet.return, lo);
+  const span = hi - lo;
+  // Search resolution on the target return, no finer than a few ulps so searches over a very short frontier
+  // (e.g. one pinned by a turnover cap) still terminate
+  const resolution = Math.max(span * 1e-9, 4 * Number.EPSILON * Math.max(Math.abs(lo), Math.abs(hi)));
+
+  // 3. Minimum variance portfolio for a given target return (the end points are already known)
+  const solveForTarget = (target) => {
+    if (target <= lo + resolution) return minVol;
+    if (target >= hi - resolution) return maxRet;
+    return evaluate(solveQP(Q, c, {
+      ...base,
+      equalities: [...base.equalities, { a: netMu, b: target }],
+    }));
+  };
+
+  return { minVol, maxRet, lo, hi, span, resolution, solveForTarget };
+};
+
+// Exact mean-variance frontier: global min variance, tangency (max Sharpe) and N target-return points
+// `onProgress({ fraction, points })` is called as frontier points are traced, so callers can stream them.
+export const computeEfficientFrontier = (
+  stats, tickers, riskFreeRate, nPoints = 50, constraints = DEFAULT_CONSTRAINTS, onProgress = null
+) => {
+  const { minVol, lo, hi, span, resolution, solveForTarget } = createFrontierSolver(stats, tickers, riskFreeRate, constraints);
+
+  const points = [];
+  if (span < 1e-12) {
+    points.push(minVol);
+  } else {
+    for (let k = 0; k < nPoints; k++) {
+      const target = lo + (span * k) / Math.max(nPoints - 1, 1);
+      points.push(solveForTarget(target));
+      if (onProgress) onProgress({ fraction: (k + 1) / nPoints, points });
+    }
+  }
+
+  // 4. Tangency portfolio: Sharpe is quasi-concave along the frontier, so golden-section search on target return
+  let maxSharpe = points.reduce((prev, cur) => (prev.sharpe > cur.sharpe ? prev : cur));
+  if (span >= 1e-12) {
+    const phi = (Math.sqrt(5) - 1) / 2;
+    let a = lo;
+    let b = hi;
+    let x1 = b - phi * (b - a);
+    let x2 = a + phi * (b - a);
+    let f1 = solveForTarget(x1);
+    let f2 = solveForTarget(x2);
+    while (b - a > resolution) {
+      if (f1.sharpe < f2.sharpe) {
+        a = x1; x1 = x2; f1 = f2;
+        x2 = a + phi * (b - a);
+        f2 = solveForTarget(x2);
+      } else {
+        b = x2; x2 = x1; f2 = f1;
+        x1 = b - phi * (b - a);
+        f1 = solveForTarget(x1);
+      }
+    }
+    [f1, f2].forEach(p => { if (p.sharpe > maxSharpe.sharpe) maxSharpe = p; });
+  }
+
+  return {
+    points: points.map((p, i) => ({ ...p, id: i })),
+    maxSharpe,
+    minVol,
+    constraints,
+    riskFreeRate,
+  };
+};
+
+// Efficient portfolio for a target annual return ({ mode: 'return' }) or volatility ({ mode: 'volatility' }).
+// Targets outside the frontier are clamped to its end points.
+export const solveTargetPortfolio = (stats, tickers, riskFreeRate, constraints, { mode, value }) => {
+  const { minVol, maxRet, lo, hi, resolution, solveForTarget } = createFrontierSolver(stats, tickers, riskFreeRate, constraints);
+  if (mode === 'return') return solveForTarget(Math.min(Math.max(value, lo), hi));
+
+  // Volatility rises monotonically with return along the efficient branch, so bisect on the return target
+  if (value <= minVol.volatility) return minVol;
+  if (value >= maxRet.volatility) return maxRet;
+  let a = lo;
+  let b = hi;
+  let best = minVol;
+  while (b - a > resolution) {
+    const mid = (a + b) / 2;
+    best = solveForTarget(mid);
+    if (best.volatility < value) a = mid;
+    else b = mid;
+  }
+  return best;
+};
+
+// Extreme feasible portfolios (largest and smallest weight in each asset) used to seed the random cloud
+export const findAnchorPortfolios = (covMatrix, tickers, constraints = DEFAULT_CONSTRAINTS) => {
+  const problem = buildPortfolioProblem(tickers, constraints);
+  const Q = problem.liftMatrix(covMatrix).map(row => row.map(v => v * 1e-6));
+  const anchors = [];
+  tickers.forEach((_, i) => {
+    [-1, 1].forEach(sign => {
+      const c = problem.lift(tickers.map((__, j) => (i === j ? sign : 0)));
+      anchors.push(problem.toWeights(solveQP(Q, c, problem.constraints)));
+    });
+  });
+  return anchors;
+};
+
+/**
+ * --- BENCHMARK-RELATIVE ---
+ * Portfolios measured against a benchmark: beta, alpha, tracking error (the volatility of the return difference)
+ * and information ratio (active return per unit of tracking error), and the active frontier they span.
+ */
+
+// Below this tracking error (annual) a portfolio is taken to replicate the benchmark and has no information ratio
+const MIN_TRACKING_ERROR = 1e-5;
+
+// Expected return, variance and covariance with each asset of the benchmark `ticker`. A universe ticker is read
+// from `stats`, so its return follows the return model. Any other price column of `data` is estimated jointly
+// with the universe (same return options and covariance estimator, over the dates they share), and its expected
+// return is its historical mean.
+// Returns { ticker, external, mean, volatility, variance, covariances (ordered like tickers) }
+export const estimateBenchmark = (data, tickers, stats, ticker, { returnOptions = DEFAULT_RETURN_OPTIONS, covarianceOptions = {} } = {}) => {
+  const k = tickers.indexOf(ticker);
+  let estimate;
+  if (k >= 0) {
+    estimate = { ticker, external: false, mean: stats.means[ticker], variance: stats.covMatrix[k][k], covariances: [...stats.covMatrix[k]] };
+  } else {
+    if (!ticker || !data.some(row => readPrice(row, ticker) != null)) throw new Error(`No prices for the benchmark "${ticker || '(none)'}".`);
+    const joint = [...tickers, ticker];
+    const { returns, simpleReturns } = prepareReturns(data, joint, returnOptions);
+    if (returns.length < 2) throw new Error(`The benchmark "${ticker}" shares too few dates with the universe.`);
+    const { means, covMatrix } = calculateStats(returns, joint, {
+      ...covarianceOptions, periodsPerYear: stats.periodsPerYear, simpleReturns,
+    });
+    const n = tickers.length;
+    estimate = { ticker, external: true, mean: means[ticker], variance: covMatrix[n][n], covariances: covMatrix[n].slice(0, n) };
+  }
+  if (!(estimate.variance > 0)) throw new Error(`The benchmark "${ticker}" does not move, so tracking error and beta are undefined.`);
+  return { ...estimate, volatility: Math.sqrt(estimate.variance) };
+};
+
+// Add beta, Jensen's alpha, active return, tracking error and information ratio against `benchmark`
+// (estimateBenchmark) to an evaluated portfolio. With trading costs the active return is net of them.
+export const applyBenchmarkMetrics = (portfolio, benchmark, riskFreeRate) => {
+  const covariance = dot(portfolio.weights, benchmark.covariances);
+  const beta = covariance / benchmark.variance;
+  const activeReturn = portfolio.return - benchmark.mean;
+  const trackingError = Math.sqrt(Math.max(portfolio.volatility ** 2 - 2 * covariance + benchmark.variance, 0));
+  return {
+    ...portfolio,
+    beta,
+    alpha: portfolio.return - riskFreeRate - beta * (benchmark.mean - riskFreeRate),
+    activeReturn,
+    trackingError,
+    informationRatio: trackingError > MIN_TRACKING_ERROR ? activeReturn / trackingError : null,
+  };
+};
+
+// Active frontier: the lowest tracking error for each target return, from the minimum tracking error portfolio up
+// to the highest attainable return, under the same constraints as the efficient frontier (min w'Sw - 2 w'c with
+// c the assets' covariances with the benchmark). Tracking error rises along it, so `trackingErrorBudget`
+// (annual, optional) cuts it off where the budget is used up; that end point is the budget portfolio, the highest
+// active return within the budget. The max information ratio portfolio is found like the max Sharpe one and
+// respects the budget. When the universe can replicate the benchmark, small active bets all share the same
+// information ratio; the search then settles on the largest of them.
+// Returns { points, maxInformationRatio, minTrackingError, budgetPortfolio (null without a budget), trackingErrorBudget }
+export const computeActiveFrontier = (
+  stats, tickers, riskFreeRate, benchmark, nPoints = 50, constraints = DEFAULT_CONSTRAINTS, { trackingErrorBudget = null } = {}
+) => {
+  const { minVol, maxRet, lo, hi, resolution, solveForTarget } = createFrontierSolver(
+    stats, tickers, riskFreeRate, constraints, benchmark.covariances.map(v => -v)
+  );
+  const withMetrics = (p) => applyBenchmarkMetrics(p, benchmark, riskFreeRate);
+  const solve = (target) => withMetrics(solveForTarget(target));
+  const minTrackingError = withMetrics(minVol);
+
+  // Top of the frontier: the highest return, or the return at which the tracking error reaches the budget
+  let top = hi;
+  let budgetPortfolio = null;
+  if (trackingErrorBudget != null) {
+    if (minTrackingError.trackingError > trackingErrorBudget) {
+      throw new Error(`Tracking-error budget ${(trackingErrorBudget * 100).toFixed(2)}% is below the lowest attainable tracking error of ${(minTrackingError.trackingError * 100).toFixed(2)}%.`);
+    }
+    budgetPortfolio = withMetrics(maxRet);
+    if (budgetPortfolio.trackingError > trackingErrorBudget) {
+      let a = lo;
+      let b = hi;
+      budgetPortfolio = minTrackingError;
+      while (b - a > resolution) {
+        const mid = (a + b) / 2;
+        const p = solve(mid);
+        if (p.trackingError <= trackingErrorBudget) { a = mid; budgetPortfolio = p; } else b = mid;
+      }
+      top = a;
+    }
+  }
+  const span = Math.max(top - lo, 0);
+
+  const points = [];
+  if (span < 1e-12) {
+    points.push(minTrackingError);
+  } else {
+    for (let k = 0; k < nPoints; k++) points.push(solve(lo + (span * k) / Math.max(nPoints - 1, 1)));
+  }
+
+  // Strictly better by more than rounding noise; ties go to the larger active bet
+  const beats = (p, q) => (p.informationRatio ?? -Infinity) > (q.informationRatio ?? -Infinity) + 1e-7 * Math.abs(q.informationRatio ?? 0);
+  let maxInformationRatio = points.reduce((best, p) => (beats(best, p) ? best : p));
+  if (span >= 1e-12) {
+    const phi = (Math.sqrt(5) - 1) / 2;
+    let a = lo;
+    let b = top;
+    let x1 = b - phi * (b - a);
+    let x2 = a + phi * (b - a);
+    let f1 = solve(x1);
+    let f2 = solve(x2);
+    while (b - a > resolution) {
+      if (beats(f1, f2)) {
+        b = x2; x2 = x1; f2 = f1;
+        x1 = b - phi * (b - a);
+        f1 = solve(x1);
+      } else {
+        a = x1; x1 = x2; f1 = f2;
+        x2 = a + phi * (b - a);
+        f2 = solve(x2);
+      }
+    }
+    const searched = beats(f1, f2) ? f1 : f2;
+    if (!beats(maxInformationRatio, searched)) maxInformationRatio = searched;
+  }
+
+  return {
+    points: points.map((p, i) => ({ ...p, id: i })),
+    maxInformationRatio,
+    minTrackingError,
+    budgetPortfolio,
+    trackingErrorBudget,
+  };
+};
+
+/**
+ * --- RISK PARITY ---
+ */
+
+// Share of portfolio variance from each asset: w_i (S w)_i / w'S w (sums to 1)
+export const riskContributions = (weights, covMatrix) => {
+  const marginal = covMatrix.map(row => dot(row, weights));
+  const total = dot(weights, marginal);
+  return weights.map((w, i) => (total > 0 ? (w * marginal[i]) / total : 0));
+};
+
+// Equal risk contribution weights, long-only and fully invested, with no other limits. Cyclical coordinate
+// descent on the convex problem min 1/2 y'S y - sum(b_i log y_i), whose solution rescaled to sum 1 equalizes
+// w_i (S w)_i; each coordinate step is the positive root of a quadratic.
+const equalRiskWeights = (covMatrix, { maxIterations, tolerance }) => {
+  const n = covMatrix.length;
+  const budget = 1 / n;
+  const y = covMatrix.map((row, i) => 1 / Math.sqrt(row[i])); // Inverse-volatility start
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    let maxChange = 0;
+    for (let i = 0; i < n; i++) {
+      const a = dot(covMatrix[i], y) - covMatrix[i][i] * y[i];
+      const next = (-a + Math.sqrt(a * a + 4 * covMatrix[i][i] * budget)) / (2 * covMatrix[i][i]);
+      maxChange = Math.max(maxChange, Math.abs(next - y[i]) / next);
+      y[i] = next;
+    }
+    if (maxChange < tolerance) break;
+  }
+
+  const total = y.reduce((acc, v) => acc + v, 0);
+  return y.map(v => v / total);
+};
+
+// Whether QP variables satisfy a problem's constraint rows
+const satisfiesProblem = ({ equalities, inequalities }, x, tolerance = 1e-9) => (
+  equalities.every(({ a, b }) => Math.abs(dot(a, x) - b) <= tolerance)
+  && inequalities.every(({ a, b }) => dot(a, x) <= b + tolerance)
+);
+
+// Equal risk contribution portfolio under the constraint config (bounds, groups, leverage, turnover cap).
+// When the plain long-only solution already satisfies the constraints it is returned as is. Otherwise this is
+// the constrained risk budgeting portfolio of Richard & Roncalli (2019): x(lambda) minimizes
+// 1/2 x'S x - lambda sum(b_i log x_i) over the constraints without the budget row, by Newton steps whose
+// direction is a QP over those constraints, and lambda is searched until x sums to 1. Assets off their limits
+// then share risk equally; the rest sit on a bound. Assets whose max weight is <= 0 get no risk budget.
+export const solveRiskParity = (
+  stats, tickers, riskFreeRate, constraints = DEFAULT_CONSTRAINTS, { maxIterations = 1000, tolerance = 1e-10 } = {}
+) => {
+  const { covMatrix } = stats;
+  const problem = buildPortfolioProblem(tickers, constraints);
+  const plain = equalRiskWeights(covMatrix, { maxIterations, tolerance });
+  if (satisfiesProblem(problem.constraints, problem.liftWeights(plain))) {
+    return evaluatePortfolio(plain, stats, tickers, riskFreeRate);
+  }
+
+  const held = tickers.map(t => getTickerBounds(t, constraints).max > 0);
+  const count = held.filter(Boolean).length;
+  const budgets = held.map(h => (h ? 1 / count : 0));
+  // The budget row is always the first equality; the trade rows of a turnover model stay
+  const relaxed = { ...problem.constraints, equalities: problem.constraints.equalities.slice(1) };
+
+  // Newton's method for x(lambda) over the QP variables, from a point inside the barrier. The objective uses the
+  // lifted covariance, regularization included, so every QP direction is a descent direction for it; the
+  // barrier curvature is added after lifting so that it does not inflate that regularization.
+  const liftedCov = problem.liftMatrix(covMatrix);
+  const unitLifts = plain.map((_, i) => problem.lift(plain.map((__, j) => (i === j ? 1 : 0))));
+  const objective = (x, lambda) => {
+    const w = problem.toWeights(x);
+    return 0.5 * dot(x, liftedCov.map(row => dot(row, x)))
+      - lambda * budgets.reduce((acc, b, i) => acc + (b ? b * Math.log(w[i]) : 0), 0);
+  };
+  const barrierSolve = (lambda, start) => {
+    let x = start;
+    for (let iter = 0; iter < 50; iter++) {
+      const w = problem.toWeights(x);
+      const H = liftedCov.map(row => [...row]);
+      const g = liftedCov.map(row => dot(row, x));
+      unitLifts.forEach((l, i) => {
+        if (!budgets[i]) return;
+        const curvature = lambda * budgets[i] / (w[i] * w[i]);
+        l.forEach((lj, j) => {
+          if (!lj) return;
+          g[j] -= lj * lambda * budgets[i] / w[i];
+          l.forEach((lk, k) => { if (lk) H[j][k] += curvature * lj * lk; });
+        });
+      });
+      const c = g.map((v, j) => v - dot(H[j], x));
+      const d = solveQP(H, c, relaxed).map((v, j) => v - x[j]);
+      const slope = dot(g, d);
+      if (!(slope < 0) || d.every(v => Math.abs(v) < 1e-12)) break;
+
+      // Stay inside the barrier, then backtrack until the objective drops enough
+      const dw = problem.toWeights(d);
+      let t = 1;
+      dw.forEach((v, i) => { if (budgets[i] && v < 0) t = Math.min(t, -0.99 * w[i] / v); });
+      const f0 = objective(x, lambda);
+      const step = (size) => x.map((v, j) => v + size * d[j]);
+      while (t > 1e-12 && objective(step(t), lambda) > f0 + 1e-4 * t * slope) t /= 2;
+      if (t <= 1e-12) break;
+      x = step(t);
+    }
+    return x;
+  };
+
+  // Feasible start strictly inside the barrier: the plain solution projected onto the constraints
+  const identity = plain.map((_, i) => plain.map((__, j) => (i === j ? 1 : 0)));
+  const floors = held.flatMap((h, i) => (h ? [{ a: problem.lift(plain.map((_, j) => (i === j ? -1 : 0))), b: -1e-6 }] : []));
+  let x = solveQP(
+    problem.liftMatrix(identity), problem.lift(plain.map(v => -v)),
+    { ...problem.constraints, inequalities: [...problem.constraints.inequalities, ...floors] }
+  );
+
+  // The sum of x(lambda) grows with lambda, like sqrt(lambda) while no limit binds: secant steps on
+  // log(sum) against log(lambda), kept inside the bracket found so far
+  let w = problem.toWeights(x);
+  let lambda = dot(w, covMatrix.map(row => dot(row, w)));
+  let lo = 0;
+  let hi = Infinity;
+  let previous = null;
+  for (let iter = 0; iter < 100; iter++) {
+    x = barrierSolve(lambda, x);
+    w = problem.toWeights(x);
+    const sum = w.reduce((acc, v) => acc + v, 0);
+    if (Math.abs(sum - 1) < tolerance) break;
+    // Newton has reached rounding noise in x(lambda); the rescaling below absorbs what is left
+    if (previous && sum === previous.sum && Math.abs(sum - 1) < 1e-6) break;
+    if (sum < 1) lo = lambda;
+    else hi = lambda;
+
+    const slope = previous ? (Math.log(sum) - Math.log(previous.sum)) / (Math.log(lambda) - Math.log(previous.lambda)) : 0.5;
+    let next = lambda * Math.exp(-Math.log(sum) / (slope > 1e-6 ? slope : 0.5));
+    if (!(next > lo && next < hi)) next = hi < Infinity ? (lo > 0 ? Math.sqrt(lo * hi) : hi / 2) : lo * 2;
+    previous = { lambda, sum };
+    lambda = next;
+  }
+
+  const total = w.reduce((acc, v) => acc + v, 0);
+  return evaluatePortfolio(w.map(v => v / total), stats, tickers, riskFreeRate);
+};
+
+/**
+ * --- DOWNSIDE RISK ---
+ * Historical measures from the per-period simple return rows in `stats.returnRows`. VaR is the k-th worst
+ * one-period loss and CVaR the average of the k worst, k = max(1, floor((1 - confidence) * T)).
+ */
+
+export const CVAR_CONFIDENCE_LEVELS = [0.9, 0.95, 0.975, 0.99];
+
+const tailSize = (T, confidence) => Math.max(1, Math.floor((1 - confidence) * T));
+
+// One-period CVaR of a weight vector (as a positive loss fraction)
+export const portfolioCVaR = (weights, returnRows, confidence = 0.95) => {
+  const losses = Float64Array.from(returnRows, row => -dot(row, weights)).sort();
+  const k = tailSize(losses.length, confidence);
+  let sum = 0;
+  for (let t = losses.length - k; t < losses.length; t++) sum += losses[t];
+  return sum / k;
+};
+
+// Max drawdown and CAGR of the wealth path compounded from a per-period return series
+export const wealthStats = (series, periodsPerYear = 252) => {
+  let wealth = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  series.forEach(r => {
+    wealth *= 1 + r;
+    peak = Math.max(peak, wealth);
+    maxDrawdown = Math.max(maxDrawdown, (peak - wealth) / peak);
+  });
+  return { maxDrawdown, cagr: wealth > 0 ? wealth ** (periodsPerYear / series.length) - 1 : -1 };
+};
+
+// VaR, CVaR, Sortino, max drawdown and Calmar of a weight vector from its per-period return series. Sortino and
+// Calmar are null without any downside deviation or drawdown to divide by.
+export const downsideMetrics = (weights, returnRows, riskFreeRate, confidence = 0.95, periodsPerYear = 252) => {
+  const series = returnRows.map(row => dot(row, weights));
+  const T = series.length;
+  const losses = series.map(r => -r).sort((a, b) => a - b);
+  const k = tailSize(T, confidence);
+  const tail = losses.slice(T - k);
+
+  // Sortino: annualized excess mean over annualized downside deviation below the risk-free rate
+  const periodRf = riskFreeRate / periodsPerYear;
+  const downside = Math.sqrt(series.reduce((acc, r) => acc + Math.min(r - periodRf, 0) ** 2, 0) / T);
+  const annualMean = (series.reduce((acc, r) => acc + r, 0) / T) * periodsPerYear;
+
+  const { maxDrawdown, cagr } = wealthStats(series, periodsPerYear);
+
+  return {
+    confidence,
+    var: tail[0],
+    cvar: tail.reduce((acc, v) => acc + v, 0) / k,
+    sortino: downside > 0 ? (annualMean - riskFreeRate) / (downside * Math.sqrt(periodsPerYear)) : null,
+    maxDrawdown,
+    cagr,
+    calmar: maxDrawdown > 0 ? cagr / maxDrawdown : null,
+  };
+};
+
+// Minimum historical CVaR portfolio under the portfolio constraints. CVaR is convex and piecewise
+// linear in the weights (the max over k-period tails of the average tail loss), so it is minimized by a
+// proximal cutting-plane method: each QP step minimizes the epigraph variable z over the cuts
+// z >= g'w collected so far, with a proximity term around the current best point.
+export const solveMinCVaR = (
+  stats, tickers, riskFreeRate, constraints = DEFAULT_CONSTRAINTS,
+  { confidence = 0.95, start = null, maxIterations = 200, tolerance = 1e-9 } = {}
+) => {
+  const { returnRows } = stats;
+  const n = tickers.length;
+  const T = returnRows.length;
+  const k = tailSize(T, confidence);
+  const problem = buildPortfolioProblem(tickers, constraints);
+  const nVars = problem.lift(Array(n).fill(0)).length;
+
+  // CVaR and a subgradient (minus the average return row over the worst k days)
+  const oracle = (weights) => {
+    const order = returnRows.map((row, t) => [dot(row, weights), t]).sort((a, b) => a[0] - b[0]).slice(0, k);
+    const g = Array(n).fill(0);
+    order.forEach(([, t]) => returnRows[t].forEach((v, j) => { g[j] -= v / k; }));
+    return { value: -order.reduce((acc, [r]) => acc + r, 0) / k, g };
+  };
+
+  // Start from a feasible point (e.g. the minimum variance portfolio), split into w+ and w- if shorting
+  const w0 = start || problem.toWeights(solveQP(problem.liftMatrix(stats.covMatrix), Array(nVars).fill(0), problem.constraints));
+  let center = problem.liftWeights(w0);
+  let best = oracle(problem.toWeights(center));
+  const cuts = [best.g];
+  const rho = Math.max(Math.abs(best.value), 1e-8);
+  const Q = Array(nVars + 1).fill(0).map((_, i) => Array(nVars + 1).fill(0).map((__, j) => (i === j ? rho : 0)));
+  const extend = ({ a, b }) => ({ a: [...a, 0], b });
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    // min z + rho/2 ||x - center||^2 + rho/2 (z - f(center))^2 over the cut model
+    const c = [...center.map(v => -rho * v), 1 - rho * best.value];
+    const x = solveQP(Q, c, {
+      equalities: problem.constraints.equalities.map(extend),
+      inequalities: [
+        ...problem.constraints.inequalities.map(extend),
+        ...cuts.map(g => ({ a: [...problem.lift(g), -1], b: 0 })),
+      ],
+    });
+    const candidate = x.slice(0, nVars);
+    const predicted = best.value - x[nVars];
+    if (predicted <= tolerance * Math.max(Math.abs(best.value), 1e-12)) break;
+
+    const trial = oracle(problem.toWeights(candidate));
+    cuts.push(trial.g);
+    if (best.value - trial.value >= 0.1 * predicted) {
+      center = candidate;
+      best = trial;
+    }
+  }
+
+  return { ...evaluatePortfolio(problem.toWeights(center), stats, tickers, riskFreeRate, problem.turnover), cvar: best.value };
+};
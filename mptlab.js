@@ -0,0 +1,196 @@
+// MPTLab headless core: the optimization pipeline behind the app as one importable module, for Node scripts,
+// batch jobs and tests as well as optimizer.worker.js and the React component. It re-exports the math
+// (mptMath.js), the backtest and projection engines and the synthetic market generator, and adds price CSV
+// loading and the full run.
+//
+//   import { loadPriceCsv, optimizePortfolio } from './mptlab.js';
+//   const { data, tickers } = loadPriceCsv(fs.readFileSync('prices.csv', 'utf8'));
+//   const { frontier, simResults } = optimizePortfolio(data, tickers, { riskFreeRate: 0.03, iterations: 0 });
+//
+// Weights are arrays ordered like `tickers`; returns, volatilities and rates are annualized fractions.
+
+import {
+  prepareReturns, calculateStats, applyReturnModel, runSimulation, validateConstraints, computeEfficientFrontier,
+  findAnchorPortfolios, solveRiskParity, solveMinCVaR, portfolioCVaR, turnoverModel, applyTradingCosts,
+  estimateBenchmark, applyBenchmarkMetrics, computeActiveFrontier,
+  createRng, randomSeed, RETURN_TYPES, SAMPLING_FREQUENCIES, ALIGNMENT_POLICIES, DEFAULT_CONSTRAINTS, DEFAULT_RETURN_OPTIONS, DEFAULT_RETURN_MODEL
+} from './mptMath.js';
+import { parseDelimited, detectDelimiter, detectImportSettings, buildPriceTable } from './priceImport.js';
+
+export * from './mptMath.js';
+export { runBacktest, BACKTEST_STRATEGIES, DEFAULT_BACKTEST_OPTIONS } from './backtest.js';
+export { projectWealth, PROJECTION_METHODS, DEFAULT_PROJECTION_SETTINGS } from './projection.js';
+export { generateSyntheticMarket, generateMockHistory, DEFAULT_SYNTHETIC_SETTINGS } from './syntheticMarket.js';
+
+/** --- PRICE FILES --- */
+
+// Price table from CSV/TSV text with the app's upload detection (delimiter, wide or long layout, number and
+// date formats). `tickers` keeps only those columns, in that order.
+// Returns { data: [{ Date, T1, T2, ... }], tickers, errors: [{ line, message }], settings }
+export const loadPriceCsv = (text, { tickers = null } = {}) => {
+  const delimiter = detectDelimiter(text);
+  const rows = parseDelimited(text, delimiter);
+  const settings = detectImportSettings(rows, delimiter);
+  const table = buildPriceTable(rows, settings.mapping, settings);
+  if (!tickers) return { ...table, settings };
+
+  const missing = tickers.filter(t => !table.tickers.includes(t));
+  if (missing.length > 0) throw new Error(`No prices for ${missing.join(', ')} in the file.`);
+  return { ...table, tickers, settings };
+};
+
+/** --- OPTIMIZATION RUN --- */
+
+export const DEFAULT_OPTIMIZATION_OPTIONS = {
+  riskFreeRate: 0.02,
+  iterations: 2500,        // Random portfolios (ignored unless showRandomPortfolios)
+  frontierPoints: 50,
+  showRandomPortfolios: true,
+  constraints: DEFAULT_CONSTRAINTS,
+  covarianceOptions: { estimator: 'sample', halfLife: 60 },
+  returnOptions: DEFAULT_RETURN_OPTIONS,
+  returnModel: DEFAULT_RETURN_MODEL,
+  cvarConfidence: 0.95,
+  seed: null,              // Random portfolio seed; null = a fresh one (returned as frontier.seed)
+  benchmark: null,         // { ticker, trackingErrorBudget }: a universe ticker or another price column of the data
+};
+
+const SIMULATION_CHUNK = 1000;
+
+// The app's optimization run on a price table: statistics, exact frontier, max Sharpe, min variance, risk parity,
+// min CVaR and (optionally) the random portfolio cloud. Every portfolio carries its historical CVaR, and the same
+// seed gives the same cloud. With a benchmark every portfolio also carries its beta, alpha, active return, tracking
+// error and information ratio, and the active frontier (frontier.active, see computeActiveFrontier) is traced.
+// `options` override DEFAULT_OPTIMIZATION_OPTIONS. `callbacks` stream the run as it goes:
+//   onProgress({ fraction, stage }), onFrontierPoints(points) (partial), onFrontier({ frontier, stats }),
+//   onSimulation(results) (one chunk)
+// Returns { stats, frontier: { points, maxSharpe, minVol, riskParity, minCVaR, cvarConfidence, seed, benchmark,
+//           active, ... }, simResults }
+export const optimizePortfolio = (data, tickers, options = {}, callbacks = {}) => {
+  const {
+    riskFreeRate, iterations, frontierPoints, showRandomPortfolios, constraints, covarianceOptions, returnOptions,
+    returnModel, cvarConfidence, seed: chosenSeed, benchmark: benchmarkOptions,
+  } = { ...DEFAULT_OPTIMIZATION_OPTIONS, ...options };
+  const seed = chosenSeed ?? randomSeed();
+  const { onProgress = () => {}, onFrontierPoints = () => {}, onFrontier = () => {}, onSimulation = () => {} } = callbacks;
+  // Share of the progress bar given to the exact frontier; the random cloud takes the rest
+  const simulate = showRandomPortfolios && iterations > 0;
+  const frontierShare = simulate ? 0.4 : 1;
+
+  onProgress({ fraction: 0, stage: 'Estimating statistics' });
+  const { returns, simpleReturns, settings } = prepareReturns(data, tickers, returnOptions);
+  if (returns.length < 2) throw new Error("Not enough data points to calculate returns.");
+  validateConstraints(tickers, constraints);
+  const stats = {
+    ...applyReturnModel(
+      calculateStats(returns, tickers, { ...covarianceOptions, periodsPerYear: settings.periodsPerYear, simpleReturns }),
+      tickers, riskFreeRate, returnModel
+    ),
+    returnSettings: settings,
+  };
+  const benchmark = benchmarkOptions && benchmarkOptions.ticker
+    ? estimateBenchmark(data, tickers, stats, benchmarkOptions.ticker, { returnOptions, covarianceOptions })
+    : null;
+  const withBenchmark = (p) => (benchmark ? applyBenchmarkMetrics(p, benchmark, riskFreeRate) : p);
+  // Every plotted portfolio carries its historical CVaR, so the chart can switch its risk axis, and its metrics
+  // against the benchmark
+  const withCVaR = (p) => withBenchmark({ ...p, cvar: portfolioCVaR(p.weights, stats.returnRows, cvarConfidence) });
+
+  const solved = computeEfficientFrontier(
+    stats, tickers, riskFreeRate, frontierPoints, constraints,
+    ({ fraction, points }) => {
+      onFrontierPoints(points.map((p, i) => ({ ...withCVaR(p), id: i })));
+      onProgress({ fraction: fraction * frontierShare * 0.9, stage: 'Tracing frontier' });
+    }
+  );
+  onProgress({ fraction: frontierShare * 0.9, stage: 'Solving risk parity and min CVaR' });
+  // Turnover and trading costs versus the current weights, when set, on every portfolio
+  const turnover = turnoverModel(tickers, constraints);
+  const riskParity = applyTradingCosts(solveRiskParity(stats, tickers, riskFreeRate, constraints), turnover, riskFreeRate);
+  const minCVaR = solveMinCVaR(stats, tickers, riskFreeRate, constraints, {
+    confidence: cvarConfidence, start: solved.minVol.weights,
+  });
+  let active = null;
+  if (benchmark) {
+    onProgress({ fraction: frontierShare * 0.95, stage: 'Tracing active frontier' });
+    const traced = computeActiveFrontier(stats, tickers, riskFreeRate, benchmark, frontierPoints, constraints, {
+      trackingErrorBudget: benchmarkOptions.trackingErrorBudget ?? null,
+    });
+    active = {
+      ...traced,
+      points: traced.points.map(withCVaR),
+      maxInformationRatio: withCVaR(traced.maxInformationRatio),
+      minTrackingError: withCVaR(traced.minTrackingError),
+      budgetPortfolio: traced.budgetPortfolio && withCVaR(traced.budgetPortfolio),
+    };
+  }
+  const frontier = {
+    ...solved,
+    points: solved.points.map(withCVaR),
+    maxSharpe: withCVaR(solved.maxSharpe),
+    minVol: withCVaR(solved.minVol),
+    riskParity: withCVaR(riskParity),
+    minCVaR: withBenchmark(minCVaR),
+    cvarConfidence,
+    seed,
+    benchmark,
+    active,
+  };
+  onFrontier({ frontier, stats });
+  onProgress({ fraction: frontierShare, stage: 'Frontier solved' });
+
+  const simResults = [];
+  if (simulate) {
+    onProgress({ fraction: frontierShare, stage: 'Finding feasible anchors' });
+    const anchors = findAnchorPortfolios(stats.covMatrix, tickers, constraints);
+    const rng = createRng(seed);
+
+    for (let done = 0; done < iterations; done += SIMULATION_CHUNK) {
+      const size = Math.min(SIMULATION_CHUNK, iterations - done);
+      const results = runSimulation(stats, tickers, riskFreeRate, size, anchors, turnover, rng)
+        .map((p, k) => ({ ...withCVaR(p), id: done + k }));
+      simResults.push(...results);
+      onSimulation(results);
+      onProgress({
+        fraction: frontierShare + (1 - frontierShare) * ((done + size) / iterations),
+        stage: 'Simulating random portfolios',
+      });
+    }
+  }
+
+  return { stats, frontier, simResults };
+};
+
+// The named portfolios of a run, in the order the app lists them: [{ name, return, volatility, sharpe, weights, ... }]
+export const namedPortfolios = (frontier) => [
+  { name: 'Max Sharpe', ...frontier.maxSharpe },
+  { name: 'Min Variance', ...frontier.minVol },
+  { name: 'Risk Parity', ...frontier.riskParity },
+  { name: 'Min CVaR', ...frontier.minCVaR },
+  ...(frontier.active ? [{ name: 'Max Info Ratio', ...frontier.active.maxInformationRatio }] : []),
+  ...(frontier.active && frontier.active.budgetPortfolio ? [{ name: 'TE Budget', ...frontier.active.budgetPortfolio }] : []),
+];
+
+/** --- RUN DESCRIPTIONS --- */
+
+// e.g. "Ledoit-Wolf (constant correlation), shrinkage 0.35"
+export const formatEstimator = ({ label, halfLife, shrinkage }) => {
+  if (halfLife != null) return `${label}, half-life ${halfLife} period${halfLife === 1 ? '' : 's'}`;
+  if (shrinkage != null) return `${label}, shrinkage ${shrinkage.toFixed(2)}`;
+  return label;
+};
+
+// e.g. "Log weekly returns, 52 periods/yr (inferred), forward-fill gaps"
+export const formatReturnSettings = ({ returnType, frequency, periodsPerYear, source, alignment }) => {
+  const type = RETURN_TYPES.find(t => t.id === returnType) || RETURN_TYPES[0];
+  const freq = SAMPLING_FREQUENCIES.find(f => f.id === frequency) || SAMPLING_FREQUENCIES[0];
+  const align = ALIGNMENT_POLICIES.find(a => a.id === alignment) || ALIGNMENT_POLICIES[0];
+  return `${type.label} ${freq.label.toLowerCase()} returns, ${periodsPerYear} periods/yr (${source}), ${align.label.toLowerCase()}`;
+};
+
+// e.g. "SPY (outside the universe), TE budget 4.00%"
+export const formatBenchmark = ({ ticker, external }, active = null) => {
+  const parts = [external ? `${ticker} (outside the universe)` : ticker];
+  if (active && active.trackingErrorBudget != null) parts.push(`TE budget ${(active.trackingErrorBudget * 100).toFixed(2)}%`);
+  return parts.join(', ');
+};
@@ -0,0 +1,52 @@
+// Web Worker running the optimization pipeline (and walk-forward backtests, wealth projections) off the UI thread.
+// Messages in: run, backtest, projection.
+// Messages out: progress, frontierPoints (partial), frontier (complete), simulation (chunk), backtest, projection,
+// done, error.
+// Cancellation is done by the caller terminating the worker.
+
+import { optimizePortfolio, runBacktest, projectWealth } from './mptlab.js';
+
+// The run itself is mptlab.js optimizePortfolio; its callbacks become the streamed messages
+const runOptimization = ({ csvData, tickers, ...options }) => {
+  const post = (msg) => self.postMessage(msg);
+  optimizePortfolio(csvData, tickers, options, {
+    onProgress: ({ fraction, stage }) => post({ type: 'progress', fraction, stage }),
+    onFrontierPoints: (points) => post({ type: 'frontierPoints', points }),
+    onFrontier: ({ frontier, stats }) => post({ type: 'frontier', frontier, stats }),
+    onSimulation: (results) => post({ type: 'simulation', results }),
+  });
+  post({ type: 'done' });
+};
+
+const runWalkForward = ({ csvData, tickers, riskFreeRate, settings, options }) => {
+  const post = (msg) => self.postMessage(msg);
+  post({ type: 'progress', fraction: 0, stage: 'Backtesting' });
+  const result = runBacktest(csvData, tickers, riskFreeRate, settings, options, (fraction) => {
+    post({ type: 'progress', fraction, stage: 'Backtesting' });
+  });
+  post({ type: 'backtest', result });
+  post({ type: 'done' });
+};
+
+// Project each portfolio ({ id, weights }) with the statistics of the run it came from
+const runProjection = ({ stats, tickers, portfolios, settings }) => {
+  const post = (msg) => self.postMessage(msg);
+  const results = {};
+  portfolios.forEach(({ id, weights }, k) => {
+    results[id] = projectWealth(weights, stats, tickers, settings, (fraction) => {
+      post({ type: 'progress', fraction: (k + fraction) / portfolios.length, stage: 'Simulating wealth paths' });
+    });
+  });
+  post({ type: 'projection', results });
+  post({ type: 'done' });
+};
+
+self.onmessage = ({ data }) => {
+  try {
+    if (data.type === 'run') runOptimization(data.payload);
+    else if (data.type === 'backtest') runWalkForward(data.payload);
+    else if (data.type === 'projection') runProjection(data.payload);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,433 @@
+// Price file import: delimited text (any common delimiter, quoted fields, locale number formats) and .xlsx
+// workbooks, in wide (Date, T1, T2...) or long (Date, Ticker, Price) layout.
+// Every parsed row keeps its 1-based file line so problems can be reported per row.
+
+export const DELIMITERS = [
+  { id: ',', label: 'Comma' },
+  { id: ';', label: 'Semicolon' },
+  { id: '\t', label: 'Tab' },
+  { id: '|', label: 'Pipe' },
+];
+
+export const DECIMAL_SEPARATORS = [
+  { id: '.', label: '1,234.56' },
+  { id: ',', label: '1.234,56' },
+];
+
+export const DATE_FORMATS = [
+  { id: 'iso', label: 'YYYY-MM-DD' },
+  { id: 'dmy', label: 'DD/MM/YYYY' },
+  { id: 'mdy', label: 'MM/DD/YYYY' },
+  { id: 'named', label: '02 Jan 2023 / Jan 2, 2023' },
+  { id: 'excel', label: 'Excel serial number' },
+];
+
+export const IMPORT_LAYOUTS = [
+  { id: 'wide', label: 'Wide (one column per ticker)' },
+  { id: 'long', label: 'Long (Date, Ticker, Price)' },
+];
+
+/** --- DELIMITED TEXT --- */
+
+// Split text into rows of fields (RFC 4180 quoting: "a,b", "say ""hi""", line breaks inside quotes).
+// Returns [{ line, cells }] with blank lines removed.
+export const parseDelimited = (text, delimiter = ',') => {
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    cells.push(field);
+    if (cells.some(c => c.trim() !== '')) rows.push({ line: rowLine, cells: cells.map(c => c.trim()) });
+    cells = [];
+    field = '';
+  };
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (ch === delimiter) {
+      cells.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || cells.length > 0) endRow();
+  return rows;
+};
+
+// The candidate delimiter that splits the first lines into the most consistent number (> 1) of fields
+export const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, 30).join('\n');
+  let best = { id: ',', score: -1 };
+  DELIMITERS.forEach(({ id }) => {
+    const counts = parseDelimited(sample, id).map(r => r.cells.length);
+    if (counts.length === 0) return;
+    const mode = counts.sort((a, b) => a - b)[Math.floor(counts.length / 2)];
+    if (mode < 2) return;
+    const consistency = counts.filter(c => c === mode).length / counts.length;
+    const score = consistency * 100 + Math.min(mode, 50);
+    if (score > best.score) best = { id, score };
+  });
+  return best.id;
+};
+
+/** --- XLSX --- */
+
+const decodeXml = (s) => s
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+  .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+  .replace(/&amp;/g, '&');
+
+const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Minimal zip reader: file name -> async () => text, from the central directory
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not an .xlsx file (no zip directory found).');
+
+  const entries = {};
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const utf8 = new TextDecoder();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt .xlsx file (bad zip directory).');
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = utf8.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries[name] = async () => {
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const data = bytes.subarray(start, start + size);
+      if (method === 0) return utf8.decode(data);
+      if (method === 8) return utf8.decode(await inflateRaw(data));
+      throw new Error(`Unsupported zip compression method ${method}.`);
+    };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// Zero-based column index of a cell reference such as "AB12"
+const columnIndex = (ref) => {
+  const letters = ref.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((acc, ch) => acc * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+};
+
+// First worksheet of an .xlsx workbook as [{ line, cells }] (line = spreadsheet row number).
+// Numbers come back as plain strings ("412.5"); date cells as Excel serial numbers.
+export const readXlsx = async (buffer) => {
+  const entries = readZipEntries(buffer);
+  const read = async (name) => (entries[name] ? entries[name]() : null);
+
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = await read('xl/workbook.xml');
+  const rels = await read('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook && workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+  if (firstSheet && rels) {
+    const rel = rels.match(new RegExp(`<Relationship\\b[^>]*\\bId="${firstSheet[1]}"[^>]*>`));
+    const target = rel && rel[0].match(/\bTarget="([^"]+)"/);
+    if (target) sheetPath = target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1].replace(/^\.\//, '')}`;
+  }
+  const sheet = await read(sheetPath);
+  if (!sheet) throw new Error('The workbook has no readable worksheet.');
+
+  const sharedXml = await read('xl/sharedStrings.xml');
+  const shared = sharedXml
+    ? [...sharedXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(([, si]) => (
+      [...si.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(([, t]) => decodeXml(t)).join('')
+    ))
+    : [];
+
+  const rows = [];
+  for (const [, rowAttrs, body] of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells = [];
+    const rowNumber = (rowAttrs.match(/\br="(\d+)"/) || [])[1];
+    for (const [, attrs, inner = ''] of (body || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = (attrs.match(/\br="([A-Z]+\d+)"/) || [])[1];
+      const type = (attrs.match(/\bt="(\w+)"/) || [])[1];
+      const v = (inner.match(/<v\b[^>]*>([\s\S]*?)<\/v>/) || [])[1];
+      let value = '';
+      if (type === 's') value = shared[parseInt(v, 10)] ?? '';
+      else if (type === 'inlineStr') value = [...inner.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(([, t]) => decodeXml(t)).join('');
+      else if (v != null) value = decodeXml(v);
+      const col = ref ? columnIndex(ref) : cells.length;
+      while (cells.length < col) cells.push('');
+      cells[col] = value.trim();
+    }
+    if (cells.some(c => c !== '')) rows.push({ line: rowNumber ? parseInt(rowNumber, 10) : rows.length + 1, cells });
+  }
+  return rows;
+};
+
+// Text of an uploaded file: UTF-8, falling back to Windows-1252 (common for European spreadsheet exports)
+export const decodeText = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (err) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+/** --- VALUES --- */
+
+const MISSING_VALUES = new Set(['', '-', 'na', 'n/a', '#n/a', 'nan', 'null', 'none']);
+// Digit grouping (spaces, non-breaking spaces, apostrophes) and currency symbols
+const IGNORED_NUMBER_CHARS = /[\s\u00a0\u202f'’$€£¥]/g;
+
+// A number written with the given decimal separator ("1.234,56" with ','), null if the cell is empty/NA,
+// or NaN if it cannot be read. Grouping characters (spaces, apostrophes) and currency symbols are ignored.
+export const parseNumber = (raw, decimal = '.') => {
+  const text = String(raw).trim();
+  if (MISSING_VALUES.has(text.toLowerCase())) return null;
+  let s = text.replace(IGNORED_NUMBER_CHARS, '');
+  s = decimal === ',' ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(s) ? Number(s) : NaN;
+};
+
+// Which decimal separator the numeric cells use: unambiguous cells vote ("1,5" or "1.234,5" -> ',';
+// "1.5" or "1,234.5" -> '.'); "1,234" style cells abstain. Ties fall back to the delimiter's convention.
+const detectDecimal = (values, delimiter) => {
+  let comma = 0;
+  let dot = 0;
+  values.forEach(v => {
+    const s = v.replace(IGNORED_NUMBER_CHARS, '');
+    if (!/^[+-]?[\d.,]+$/.test(s)) return;
+    const commas = s.split(',').length - 1;
+    const dots = s.split('.').length - 1;
+    const decimals = s.length - Math.max(s.lastIndexOf(','), s.lastIndexOf('.')) - 1;
+    if (commas && dots) {
+      if (s.lastIndexOf(',') > s.lastIndexOf('.')) comma++; else dot++;
+    } else if (commas) {
+      if (commas > 1) dot++; else if (decimals !== 3) comma++;
+    } else if (dots) {
+      if (dots > 1) comma++; else if (decimals !== 3) dot++;
+    }
+  });
+  if (comma !== dot) return comma > dot ? ',' : '.';
+  return delimiter === ';' ? ',' : '.';
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const toIsoDate = (y, m, d) => {
+  const year = y < 100 ? (y < 70 ? 2000 + y : 1900 + y) : y;
+  if (m < 1 || m > 12 || d < 1) return null;
+  const date = new Date(Date.UTC(year, m - 1, d));
+  if (date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// A date cell as "YYYY-MM-DD" under the given DATE_FORMATS id, or null. Trailing times are ignored.
+export const parseDate = (raw, format = 'iso') => {
+  const s = String(raw).trim();
+  let m;
+  switch (format) {
+    case 'iso':
+      if ((m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/))) return toIsoDate(+m[1], +m[2], +m[3]);
+      if ((m = s.match(/^(\d{4})(\d{2})(\d{2})$/))) return toIsoDate(+m[1], +m[2], +m[3]);
+      return null;
+    case 'dmy':
+    case 'mdy':
+      if (!(m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})(?:$|[T\s])/))) return null;
+      return format === 'dmy' ? toIsoDate(+m[3], +m[2], +m[1]) : toIsoDate(+m[3], +m[1], +m[2]);
+    case 'named': {
+      const month = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+      if ((m = s.match(/^(\d{1,2})[-\s]([A-Za-z]{3,})\.?[-\s,]+(\d{4}|\d{2})\b/))) return toIsoDate(+m[3], month(m[2]), +m[1]);
+      if ((m = s.match(/^([A-Za-z]{3,})\.?\s+(\d{1,2}),?\s+(\d{4})\b/))) return toIsoDate(+m[3], month(m[1]), +m[2]);
+      return null;
+    }
+    case 'excel': {
+      // Days since 1899-12-30 (which absorbs Excel's fictitious 1900-02-29)
+      if (!/^\d{1,6}(\.\d+)?$/.test(s)) return null;
+      const serial = Math.floor(Number(s));
+      if (serial < 1) return null;
+      return new Date(Date.UTC(1899, 11, 30) + serial * 86400000).toISOString().slice(0, 10);
+    }
+    default:
+      return null;
+  }
+};
+
+// The DATE_FORMATS id that reads the most cells. `ambiguous` is set when day/month order cannot be told
+// apart (every day is <= 12); day-first is then assumed for ';'-delimited (European) files.
+const detectDateFormat = (values, delimiter) => {
+  const sample = values.filter(v => v !== '').slice(0, 500);
+  const hits = Object.fromEntries(DATE_FORMATS.map(({ id }) => [id, sample.filter(v => parseDate(v, id)).length]));
+  const best = Math.max(...Object.values(hits));
+  if (hits.dmy === best && hits.mdy === best && best > 0) {
+    return { dateFormat: delimiter === ';' ? 'dmy' : 'mdy', dateAmbiguous: true };
+  }
+  const dateFormat = ['iso', 'dmy', 'mdy', 'named', 'excel'].find(id => hits[id] === best) || 'iso';
+  return { dateFormat, dateAmbiguous: false };
+};
+
+/** --- COLUMN MAPPING --- */
+
+const DATE_HEADER = /^(date|time|timestamp|day|as.?of|period)/i;
+const TICKER_HEADER = /(ticker|symbol|asset|instrument|security|isin|ric|code)/i;
+const PRICE_HEADERS = [/adj/i, /(close|price|value|px|last|nav)/i];
+
+// Best guess of layout, columns, number/date formats and price basis for parsed rows (header first)
+export const detectImportSettings = (rows, delimiter = null) => {
+  if (rows.length < 2) throw new Error('The file needs a header row and at least one data row.');
+  const header = rows[0].cells;
+  const body = rows.slice(1, 501).map(r => r.cells);
+  const column = (i) => body.map(cells => cells[i] ?? '').filter(v => v !== '');
+
+  let dateColumn = header.findIndex(h => DATE_HEADER.test(h));
+  if (dateColumn < 0) dateColumn = 0;
+  const others = header.map((_, i) => i).filter(i => i !== dateColumn);
+
+  const decimal = detectDecimal(others.flatMap(column), delimiter);
+  const numericShare = (i) => {
+    const cells = column(i);
+    return cells.length ? cells.filter(v => !Number.isNaN(parseNumber(v, decimal))).length / cells.length : 1;
+  };
+
+  // A text column named like a ticker column (or a mostly non-numeric one next to numbers) means long layout
+  let tickerColumn = others.find(i => TICKER_HEADER.test(header[i]) && numericShare(i) < 0.5);
+  if (tickerColumn == null && others.length === 2) tickerColumn = others.find(i => numericShare(i) < 0.5);
+  const numericColumns = others.filter(i => i !== tickerColumn && numericShare(i) >= 0.5);
+
+  let priceColumn = null;
+  for (const pattern of PRICE_HEADERS) {
+    priceColumn = numericColumns.find(i => pattern.test(header[i])) ?? null;
+    if (priceColumn != null) break;
+  }
+  if (priceColumn == null) priceColumn = numericColumns[0] ?? null;
+
+  const layout = tickerColumn != null && priceColumn != null ? 'long' : 'wide';
+  // An "Adj Close" price column declares adjusted prices; anything else stays unspecified until the user says
+  const priceBasis = layout === 'long' && /adj/i.test(header[priceColumn]) ? 'adjclose' : 'unknown';
+  return {
+    mapping: {
+      layout,
+      dateColumn,
+      tickerColumn: tickerColumn ?? others[0] ?? null,
+      priceColumn: priceColumn ?? others[1] ?? null,
+      valueColumns: numericColumns,
+    },
+    decimal,
+    priceBasis,
+    ...detectDateFormat(column(dateColumn), delimiter),
+  };
+};
+
+/** --- PRICE TABLE --- */
+
+// Turn parsed rows into the app's price table: [{ Date, T1, T2, ... }] sorted by date, missing prices null.
+// Rows or cells that cannot be read are skipped and reported in `errors` as { line, message }.
+export const buildPriceTable = (rows, mapping, { decimal = '.', dateFormat = 'iso' } = {}) => {
+  const header = rows[0].cells;
+  const errors = [];
+  const byDate = new Map();
+  const tickers = [];
+  const seen = new Set();
+  const addTicker = (t) => {
+    if (!seen.has(t)) {
+      seen.add(t);
+      tickers.push(t);
+    }
+  };
+  const rowFor = (date) => {
+    if (!byDate.has(date)) byDate.set(date, { Date: date });
+    return byDate.get(date);
+  };
+  const readCell = (line, raw, ticker) => {
+    const value = parseNumber(raw, decimal);
+    if (Number.isNaN(value)) {
+      errors.push({ line, message: `Unreadable price "${raw}" for ${ticker}` });
+      return null;
+    }
+    return value;
+  };
+
+  if (mapping.layout === 'wide') {
+    const columns = mapping.valueColumns.filter(i => i !== mapping.dateColumn);
+    const names = columns.map(i => header[i] || `Column ${i + 1}`);
+    const dupes = names.filter((n, k) => names.indexOf(n) !== k);
+    if (dupes.length) throw new Error(`Duplicate column name(s): ${[...new Set(dupes)].join(', ')}.`);
+    names.forEach(addTicker);
+    const width = Math.max(mapping.dateColumn, ...columns) + 1;
+
+    rows.slice(1).forEach(({ line, cells }) => {
+      if (cells.length < width) {
+        errors.push({ line, message: `Expected at least ${width} columns, found ${cells.length}` });
+        return;
+      }
+      const date = parseDate(cells[mapping.dateColumn], dateFormat);
+      if (!date) {
+        errors.push({ line, message: `Unreadable date "${cells[mapping.dateColumn]}"` });
+        return;
+      }
+      if (byDate.has(date)) errors.push({ line, message: `Duplicate date ${date}; this row replaces the earlier one` });
+      const row = { Date: date };
+      columns.forEach((i, k) => { row[names[k]] = readCell(line, cells[i], names[k]); });
+      byDate.set(date, row);
+    });
+  } else {
+    const { dateColumn, tickerColumn, priceColumn } = mapping;
+    const width = Math.max(dateColumn, tickerColumn, priceColumn) + 1;
+    rows.slice(1).forEach(({ line, cells }) => {
+      if (cells.length < width) {
+        errors.push({ line, message: `Expected at least ${width} columns, found ${cells.length}` });
+        return;
+      }
+      const date = parseDate(cells[dateColumn], dateFormat);
+      const ticker = cells[tickerColumn];
+      if (!date) {
+        errors.push({ line, message: `Unreadable date "${cells[dateColumn]}"` });
+        return;
+      }
+      if (!ticker) {
+        errors.push({ line, message: 'Missing ticker' });
+        return;
+      }
+      addTicker(ticker);
+      const row = rowFor(date);
+      const value = readCell(line, cells[priceColumn], ticker);
+      if (value == null) return;
+      if (row[ticker] != null) errors.push({ line, message: `Duplicate ${ticker} price on ${date}; this row replaces the earlier one` });
+      row[ticker] = value;
+    });
+  }
+
+  const data = [...byDate.values()]
+    .sort((a, b) => (a.Date < b.Date ? -1 : a.Date > b.Date ? 1 : 0))
+    .map(row => ({ Date: row.Date, ...Object.fromEntries(tickers.map(t => [t, row[t] ?? null])) }));
+  return { data, tickers, errors };
+};
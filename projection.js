@@ -0,0 +1,118 @@
+// Forward wealth projection of a fixed-weight portfolio: Monte Carlo wealth paths with periodic
+// contributions or withdrawals, percentile bands for a fan chart, the terminal wealth distribution and
+// the probability of reaching a goal.
+
+import { createRng, normalDraw, randomSeed } from './mptMath.js';
+
+export const PROJECTION_METHODS = [
+  { id: 'normal', label: 'Multivariate normal' },
+  { id: 'bootstrap', label: 'Historical bootstrap' },
+];
+
+export const DEFAULT_PROJECTION_SETTINGS = {
+  initial: 100000,
+  years: 10,
+  monthlyContribution: 0, // Negative for withdrawals
+  goal: 200000,
+  method: 'normal',
+  paths: 2000,
+  seed: null, // null = a fresh random seed (returned with the result)
+};
+
+export const PROJECTION_PERCENTILES = [5, 25, 50, 75, 95];
+
+const HISTOGRAM_BINS = 30;
+
+// Value at percentile p (0-100) of an ascending array, interpolated between neighbours
+const percentile = (sorted, p) => {
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Period return sampler for `weights`:
+// - normal: the asset returns are multivariate normal with the run's annualized means and covariance, so the
+//   portfolio return is normal with mean w'μ/P and variance w'Σw/P; drawing it directly is the same as drawing
+//   every asset and taking the weighted sum, at a fraction of the cost. Log-return statistics compound as exp(r).
+// - bootstrap: whole historical rows (simple returns, all assets on the same date) drawn with replacement,
+//   which keeps fat tails and cross-asset dependence
+const returnSampler = (weights, stats, tickers, method, rng) => {
+  const P = stats.periodsPerYear;
+  if (method === 'bootstrap') {
+    const series = stats.returnRows.map(row => row.reduce((acc, r, i) => acc + r * weights[i], 0));
+    if (series.length === 0) throw new Error('No historical returns to bootstrap.');
+    return () => series[Math.floor(rng() * series.length)];
+  }
+  const mean = tickers.reduce((acc, t, i) => acc + weights[i] * stats.means[t], 0) / P;
+  const variance = weights.reduce((acc, wi, i) => acc + wi * weights.reduce((s, wj, j) => s + wj * stats.covMatrix[i][j], 0), 0) / P;
+  const sd = Math.sqrt(Math.max(variance, 0));
+  const log = stats.returnSettings && stats.returnSettings.returnType === 'log';
+  return log ? () => Math.exp(mean + sd * normalDraw(rng)) - 1 : () => mean + sd * normalDraw(rng);
+};
+
+// Simulate `paths` wealth paths over `years` at the data frequency of the run (stats.periodsPerYear).
+// Contributions are paid at each month end that falls in a period; wealth that reaches zero stays there.
+// The same seed gives the same paths.
+// Returns { bands: [{ month, p5, p25, ..., p95 }], histogram: [{ from, to, count }], terminal percentiles,
+//           goalProbability, depletionProbability, contributed, seed }
+export const projectWealth = (weights, stats, tickers, settings = DEFAULT_PROJECTION_SETTINGS, onProgress = null) => {
+  const {
+    initial, years, monthlyContribution, goal, method, paths, seed: chosenSeed,
+  } = { ...DEFAULT_PROJECTION_SETTINGS, ...settings };
+  const seed = chosenSeed ?? randomSeed();
+  const P = stats.periodsPerYear;
+  const steps = Math.max(1, Math.round(years * P));
+  const months = Math.round(years * 12);
+  const sample = returnSampler(weights, stats, tickers, method, createRng(seed));
+
+  // Wealth of every path at each month end (index 0 = start), for the fan chart
+  const checkpoints = Array.from({ length: months + 1 }, () => new Float64Array(paths));
+  const terminal = new Float64Array(paths);
+  let depleted = 0;
+
+  for (let p = 0; p < paths; p++) {
+    let wealth = initial;
+    let month = 0;
+    let ruined = false;
+    checkpoints[0][p] = wealth;
+    for (let k = 1; k <= steps; k++) {
+      if (wealth > 0) wealth *= 1 + sample();
+      const monthEnd = Math.min(months, Math.floor((k * 12) / P));
+      while (month < monthEnd) {
+        month += 1;
+        if (wealth > 0) wealth += monthlyContribution;
+        checkpoints[month][p] = Math.max(wealth, 0);
+      }
+      if (wealth <= 0) { wealth = 0; ruined = true; }
+    }
+    while (month < months) checkpoints[++month][p] = wealth;
+    terminal[p] = wealth;
+    if (ruined) depleted += 1;
+    if (onProgress && (p + 1) % 200 === 0) onProgress((p + 1) / paths);
+  }
+
+  const bands = checkpoints.map((values, month) => {
+    const sorted = Float64Array.from(values).sort();
+    return { month, ...Object.fromEntries(PROJECTION_PERCENTILES.map(q => [`p${q}`, percentile(sorted, q)])) };
+  });
+
+  const sorted = Float64Array.from(terminal).sort();
+  // Bins span the minimum to the 99th percentile so a few extreme paths do not flatten the rest; the last bin
+  // also holds the top 1%
+  const low = sorted[0];
+  const high = Math.max(percentile(sorted, 99), low + 1);
+  const width = (high - low) / HISTOGRAM_BINS;
+  const histogram = Array.from({ length: HISTOGRAM_BINS }, (_, b) => ({ from: low + b * width, to: low + (b + 1) * width, count: 0 }));
+  sorted.forEach(value => { histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - low) / width))].count += 1; });
+
+  return {
+    bands,
+    histogram,
+    terminal: Object.fromEntries(PROJECTION_PERCENTILES.map(q => [`p${q}`, percentile(sorted, q)])),
+    goalProbability: sorted.filter(v => v >= goal).length / paths,
+    depletionProbability: depleted / paths,
+    contributed: initial + monthlyContribution * months,
+    seed,
+  };
+};
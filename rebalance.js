@@ -0,0 +1,148 @@
+// Rebalancing from current holdings to target weights: latest prices, holdings import, and a trade list that
+// respects lot sizes and minimum trade sizes under a commission and spread cost model.
+
+import { readPrice } from './mptMath.js';
+import { parseDelimited, detectDelimiter, parseNumber } from './priceImport.js';
+
+export const DEFAULT_TRADE_SETTINGS = {
+  minTradeValue: 0,       // Trades worth less than this are skipped
+  commissionPerTrade: 0,  // Fixed fee per executed trade
+  commissionBps: 0,       // Commission in basis points of the traded value
+  spreadBps: 5,           // Half the bid-ask spread, in basis points, paid on every trade
+};
+
+// { TICKER: { price, date } }: the last available price of each ticker
+export const latestPrices = (data, tickers) => Object.fromEntries(tickers.map(t => {
+  for (let i = data.length - 1; i >= 0; i--) {
+    const price = readPrice(data[i], t);
+    if (price != null) return [t, { price, date: data[i].Date }];
+  }
+  return [t, null];
+}));
+
+/** --- HOLDINGS IMPORT --- */
+
+const CASH_ROW = /^(cash|\$cash|usd cash)$/i;
+
+// Holdings from a CSV such as "Ticker,Shares[,Lot]" with an optional CASH row holding the cash amount.
+// Without a recognizable header the first column is the ticker and the second the shares. Semicolon-delimited
+// files are read with decimal commas ("0,5").
+// Returns { shares: { TICKER: n }, cash, lotSizes: { TICKER: n }, skipped: [line numbers] }
+export const parseHoldingsCsv = (text) => {
+  const delimiter = detectDelimiter(text);
+  const decimal = delimiter === ';' ? ',' : '.';
+  const rows = parseDelimited(text, delimiter);
+  if (rows.length === 0) throw new Error('The holdings file is empty.');
+  const header = rows[0].cells.map(c => c.toLowerCase());
+  const find = (pattern) => header.findIndex(c => pattern.test(c));
+  let tickerCol = find(/ticker|symbol|asset/);
+  let sharesCol = find(/shares|quantity|qty|units|position|amount/);
+  const lotCol = find(/lot/);
+  const hasHeader = tickerCol >= 0 && sharesCol >= 0;
+  if (!hasHeader) {
+    tickerCol = 0;
+    sharesCol = 1;
+  }
+
+  const result = { shares: {}, cash: 0, lotSizes: {}, skipped: [] };
+  rows.slice(hasHeader ? 1 : 0).forEach(({ line, cells }) => {
+    const ticker = (cells[tickerCol] || '').trim();
+    const amount = parseNumber(cells[sharesCol] || '', decimal);
+    if (!ticker || amount == null || Number.isNaN(amount)) {
+      result.skipped.push(line);
+      return;
+    }
+    if (CASH_ROW.test(ticker)) {
+      result.cash += amount;
+      return;
+    }
+    const key = ticker.toUpperCase();
+    result.shares[key] = (result.shares[key] || 0) + amount;
+    const lot = lotCol >= 0 ? parseNumber(cells[lotCol] || '', decimal) : null;
+    if (lot > 0) result.lotSizes[key] = lot;
+  });
+  return result;
+};
+
+/** --- TRADE LIST --- */
+
+const tradeCost = (value, settings) => (
+  value === 0 ? 0 : settings.commissionPerTrade + Math.abs(value) * (settings.commissionBps + settings.spreadBps) / 10000
+);
+
+// Whole lots, without float residue for fractional lot sizes (e.g. 0.001 BTC)
+const roundToLots = (quantity, lot) => +(Math.round(quantity / lot) * lot).toFixed(10);
+
+// Trades from `shares` (+ `cash`) to `weights` at `prices` ({ TICKER: price }, in the same currency as cash).
+// The costs of the ideal trades are set aside first, every trade is rounded to whole lots and dropped below
+// the minimum trade value, and if rounding overspends the cash, buys are trimmed one lot at a time starting
+// with the most overweight position.
+// Returns { rows: [{ ticker, price, lot, currentShares, tradeShares, tradeValue, cost, finalShares,
+//                    currentWeight, targetWeight, finalWeight, drift }], summary }
+export const buildTradeList = ({ tickers, weights, prices, shares, cash = 0, lotSizes = {}, settings = DEFAULT_TRADE_SETTINGS }) => {
+  const s = { ...DEFAULT_TRADE_SETTINGS, ...settings };
+  const unpriced = tickers.filter(t => !(prices[t] > 0));
+  if (unpriced.length > 0) throw new Error(`No latest price for ${unpriced.join(', ')}.`);
+
+  const current = tickers.map(t => shares[t] || 0);
+  const lots = tickers.map(t => (lotSizes[t] > 0 ? lotSizes[t] : 1));
+  const price = tickers.map(t => prices[t]);
+  const totalValue = cash + current.reduce((acc, q, i) => acc + q * price[i], 0);
+  if (!(totalValue > 0)) throw new Error('Enter current holdings or cash to rebalance.');
+
+  const idealCost = tickers.reduce((acc, t, i) => acc + tradeCost(weights[i] * totalValue - current[i] * price[i], s), 0);
+  const investable = totalValue - idealCost;
+
+  const sized = (quantity, i) => (Math.abs(quantity * price[i]) < s.minTradeValue ? 0 : quantity);
+  const trades = tickers.map((t, i) => sized(roundToLots((weights[i] * investable) / price[i] - current[i], lots[i]), i));
+
+  const cashAfter = () => trades.reduce((acc, q, i) => acc - q * price[i] - tradeCost(q * price[i], s), cash);
+  for (let guard = 0; cashAfter() < -1e-9 && guard < 10000; guard++) {
+    const overweight = (i) => (current[i] + trades[i]) * price[i] / totalValue - weights[i];
+    const buys = trades.map((q, i) => i).filter(i => trades[i] > 0);
+    if (buys.length === 0) break;
+    const i = buys.reduce((best, k) => (overweight(k) > overweight(best) ? k : best));
+    trades[i] = sized(roundToLots(trades[i] - lots[i], lots[i]), i);
+  }
+
+  const finalCash = cashAfter();
+  const finalValue = finalCash + tickers.reduce((acc, t, i) => acc + (current[i] + trades[i]) * price[i], 0);
+  const rows = tickers.map((ticker, i) => {
+    const tradeValue = trades[i] * price[i];
+    const finalShares = +(current[i] + trades[i]).toFixed(10);
+    const finalWeight = (finalShares * price[i]) / finalValue;
+    return {
+      ticker,
+      price: price[i],
+      lot: lots[i],
+      currentShares: current[i],
+      tradeShares: trades[i],
+      tradeValue,
+      cost: tradeCost(tradeValue, s),
+      finalShares,
+      currentWeight: (current[i] * price[i]) / totalValue,
+      targetWeight: weights[i],
+      finalWeight,
+      drift: finalWeight - weights[i],
+    };
+  });
+
+  const traded = rows.filter(r => r.tradeShares !== 0);
+  return {
+    rows,
+    summary: {
+      totalValue,
+      finalValue,
+      cashBefore: cash,
+      cashAfter: finalCash,
+      cashWeight: finalCash / finalValue,
+      trades: traded.length,
+      bought: traded.filter(r => r.tradeValue > 0).reduce((acc, r) => acc + r.tradeValue, 0),
+      sold: -traded.filter(r => r.tradeValue < 0).reduce((acc, r) => acc + r.tradeValue, 0),
+      totalCost: rows.reduce((acc, r) => acc + r.cost, 0),
+      maxDrift: Math.max(...rows.map(r => Math.abs(r.drift))),
+      // Sum of absolute weight differences from target, cash counted as a target weight of 0
+      totalDrift: rows.reduce((acc, r) => acc + Math.abs(r.drift), 0) + Math.abs(finalCash / finalValue),
+    },
+  };
+};
@@ -0,0 +1,208 @@
+// Synthetic markets with known true parameters: correlated price paths from per-asset drift and volatility and a
+// correlation matrix, with optional jumps and a crisis regime. Used for teaching, for checking the optimizer
+// against the parameters that generated the data, and to fill in tickers whose prices could not be fetched.
+
+import { createRng, normalDraw, randomSeed } from './mptMath.js';
+
+// drift and volatility are annualized like the optimizer's statistics: P x the mean and sqrt(P) x the standard
+// deviation of the simple period returns (P = periodsPerYear)
+export const DEFAULT_SYNTHETIC_SETTINGS = {
+  assets: [
+    { ticker: 'STOCKS', drift: 0.08, volatility: 0.18 },
+    { ticker: 'BONDS', drift: 0.03, volatility: 0.06 },
+    { ticker: 'GOLD', drift: 0.05, volatility: 0.15 },
+    { ticker: 'CRYPTO', drift: 0.3, volatility: 0.7 },
+  ],
+  correlation: [
+    [1, -0.2, 0.1, 0.3],
+    [-0.2, 1, 0.2, 0],
+    [0.1, 0.2, 1, 0.1],
+    [0.3, 0, 0.1, 1],
+  ],
+  days: 756,           // Price rows (weekdays), ending yesterday
+  periodsPerYear: 252,
+  jumps: {
+    intensity: 0,      // Expected jumps per asset per year (0 = none)
+    mean: -0.05,       // Average jump size, as a return
+    volatility: 0.05,  // Standard deviation of the jump size
+  },
+  regime: {
+    probability: 0,    // Chance per period of entering the crisis regime (0 = calm throughout)
+    duration: 20,      // Average crisis length, in periods
+    volScale: 2,       // Volatilities are multiplied by this in a crisis
+    driftShift: -0.3,  // Added to every drift in a crisis (annualized)
+    contagion: 0.5,    // How far crisis correlations move toward 1 (0 = unchanged, 1 = all equal to 1)
+  },
+  seed: null,          // null = a fresh random seed (returned with the market)
+};
+
+const START_PRICE = 100;
+// Period returns are floored at -99% so prices stay positive; with sensible settings the floor never binds
+const MIN_RETURN = -0.99;
+
+// Weekdays only, like exchange data, ending yesterday
+const recentWeekdays = (count) => {
+  const dates = [];
+  const date = new Date();
+  while (dates.length < count) {
+    date.setUTCDate(date.getUTCDate() - 1);
+    if (date.getUTCDay() !== 0 && date.getUTCDay() !== 6) dates.unshift(date.toISOString().split('T')[0]);
+  }
+  return dates;
+};
+
+// Lower-triangular L with L L' = C for a positive semidefinite C, so perfectly correlated assets are allowed
+const correlationFactor = (C) => {
+  const n = C.length;
+  const L = C.map(() => Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = C[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (sum < -1e-9) throw new Error('The correlation matrix is inconsistent (not positive semidefinite).');
+        L[i][i] = Math.sqrt(Math.max(sum, 0));
+      } else if (L[j][j] > 1e-9) {
+        L[i][j] = sum / L[j][j];
+      } else if (Math.abs(sum) > 1e-7) {
+        throw new Error('The correlation matrix is inconsistent (not positive semidefinite).');
+      }
+    }
+  }
+  return L;
+};
+
+const validateSettings = ({ assets, correlation, days, periodsPerYear, jumps, regime }, dates) => {
+  const n = assets.length;
+  if (n === 0) throw new Error('Add at least one asset to the synthetic market.');
+  const names = assets.map(a => a.ticker);
+  if (names.some(t => !t)) throw new Error('Every synthetic asset needs a ticker.');
+  if (new Set(names).size < n) throw new Error('Synthetic asset tickers must be unique.');
+  assets.forEach(({ ticker, drift, volatility }) => {
+    if (!Number.isFinite(drift)) throw new Error(`Enter a drift for ${ticker}.`);
+    if (!(Number.isFinite(volatility) && volatility >= 0)) throw new Error(`The volatility of ${ticker} must be zero or more.`);
+  });
+  if (correlation.length !== n || correlation.some(row => row.length !== n)) {
+    throw new Error(`The correlation matrix must be ${n} x ${n}, one row and column per asset.`);
+  }
+  correlation.forEach((row, i) => row.forEach((c, j) => {
+    if (i === j && c !== 1) throw new Error('Correlations of an asset with itself must be 1.');
+    if (!(Number.isFinite(c) && c >= -1 && c <= 1)) {
+      throw new Error(`The correlation of ${names[i]} and ${names[j]} must be between -1 and 1.`);
+    }
+    if (Math.abs(c - correlation[j][i]) > 1e-12) throw new Error('The correlation matrix must be symmetric.');
+  }));
+  if (!dates && !(Number.isInteger(days) && days >= 2)) throw new Error('Generate at least 2 days of prices.');
+  if (!(periodsPerYear > 0)) throw new Error('Periods per year must be positive.');
+  if (!(Number.isFinite(jumps.intensity) && jumps.intensity >= 0 && jumps.intensity <= periodsPerYear)) {
+    throw new Error(`Jump intensity must be between 0 and ${periodsPerYear} a year.`);
+  }
+  if (!Number.isFinite(jumps.mean)) throw new Error('Enter an average jump size.');
+  if (!(Number.isFinite(jumps.volatility) && jumps.volatility >= 0)) throw new Error('The jump size volatility must be zero or more.');
+  if (!(regime.probability >= 0 && regime.probability <= 1)) throw new Error('The crisis probability must be between 0% and 100%.');
+  if (!(Number.isFinite(regime.duration) && regime.duration >= 1)) throw new Error('The average crisis length must be at least one period.');
+  if (!(Number.isFinite(regime.volScale) && regime.volScale >= 0)) throw new Error('The crisis volatility multiplier must be zero or more.');
+  if (!Number.isFinite(regime.driftShift)) throw new Error('Enter the crisis drift shift.');
+  if (!(regime.contagion >= 0 && regime.contagion <= 1)) throw new Error('Crisis contagion must be between 0% and 100%.');
+};
+
+// Per-period drift, standard deviation, correlation and its factor in the calm or the crisis regime
+const regimeState = ({ assets, correlation, periodsPerYear: P, regime }, crisis) => {
+  const corr = crisis
+    ? correlation.map((row, i) => row.map((c, j) => (i === j ? 1 : (1 - regime.contagion) * c + regime.contagion)))
+    : correlation;
+  return {
+    mean: assets.map(a => (a.drift + (crisis ? regime.driftShift : 0)) / P),
+    sd: assets.map(a => (a.volatility * (crisis ? regime.volScale : 1)) / Math.sqrt(P)),
+    corr,
+    factor: correlationFactor(corr),
+  };
+};
+
+// Annualized means and covariance of the simple period returns the generator draws from: the stationary mix of
+// the calm and crisis regimes, each with its jump contribution (the -99% floor is ignored)
+const trueParameters = (s, calm, crisis) => {
+  const P = s.periodsPerYear;
+  const leave = 1 / s.regime.duration;
+  const crisisShare = s.regime.probability > 0 ? s.regime.probability / (s.regime.probability + leave) : 0;
+  const q = s.jumps.intensity / P;
+  const jumpMean = q * s.jumps.mean;
+  const jumpVariance = q * (s.jumps.mean ** 2 + s.jumps.volatility ** 2) - jumpMean ** 2;
+
+  const states = [[1 - crisisShare, calm], [crisisShare, crisis]].filter(([share]) => share > 0).map(([share, st]) => ({
+    share,
+    mean: st.mean.map(m => m + jumpMean),
+    cov: st.sd.map((si, i) => st.sd.map((sj, j) => si * sj * st.corr[i][j] + (i === j ? jumpVariance : 0))),
+  }));
+  const n = s.assets.length;
+  const mean = Array.from({ length: n }, (_, i) => states.reduce((acc, st) => acc + st.share * st.mean[i], 0));
+  // Law of total covariance over the regimes
+  const cov = mean.map((mi, i) => mean.map((mj, j) => (
+    states.reduce((acc, st) => acc + st.share * (st.cov[i][j] + st.mean[i] * st.mean[j]), 0) - mi * mj
+  )));
+
+  const tickers = s.assets.map(a => a.ticker);
+  const covMatrix = cov.map(row => row.map(v => v * P));
+  const volatility = covMatrix.map((row, i) => Math.sqrt(row[i]));
+  return {
+    means: Object.fromEntries(tickers.map((t, i) => [t, mean[i] * P])),
+    volatilities: Object.fromEntries(tickers.map((t, i) => [t, volatility[i]])),
+    covMatrix,
+    correlation: covMatrix.map((row, i) => row.map((v, j) => (
+      volatility[i] > 0 && volatility[j] > 0 ? v / (volatility[i] * volatility[j]) : (i === j ? 1 : 0)
+    ))),
+    crisisShare,
+  };
+};
+
+// Prices for `settings` (DEFAULT_SYNTHETIC_SETTINGS), all assets starting at 100. Each period draws correlated
+// normal returns for the current regime, adds a jump to each asset with probability intensity / P, and then
+// switches regime (calm to crisis with `regime.probability`, back with 1 / `regime.duration`).
+// `dates` fixes the Date column (e.g. to simulate tickers alongside fetched ones), overriding `days`.
+// Returns { data: [{ Date, T1, T2, ... }], tickers, truth: { means, volatilities, covMatrix, correlation,
+//           crisisShare }, crisisPeriods, seed }
+export const generateSyntheticMarket = (settings = DEFAULT_SYNTHETIC_SETTINGS, dates = null) => {
+  const s = {
+    ...DEFAULT_SYNTHETIC_SETTINGS,
+    ...settings,
+    jumps: { ...DEFAULT_SYNTHETIC_SETTINGS.jumps, ...settings.jumps },
+    regime: { ...DEFAULT_SYNTHETIC_SETTINGS.regime, ...settings.regime },
+  };
+  validateSettings(s, dates);
+  const seed = s.seed ?? randomSeed();
+  const rng = createRng(seed);
+  const tickers = s.assets.map(a => a.ticker);
+  const calm = regimeState(s, false);
+  const crisis = regimeState(s, true);
+  const jumpChance = s.jumps.intensity / s.periodsPerYear;
+  const leave = 1 / s.regime.duration;
+
+  const prices = tickers.map(() => START_PRICE);
+  let inCrisis = false;
+  let crisisPeriods = 0;
+  const data = (dates || recentWeekdays(s.days)).map((date, t) => {
+    if (t > 0) {
+      const state = inCrisis ? crisis : calm;
+      const z = tickers.map(() => normalDraw(rng));
+      tickers.forEach((_, i) => {
+        let r = state.mean[i] + state.sd[i] * state.factor[i].reduce((acc, l, k) => acc + l * z[k], 0);
+        if (jumpChance > 0 && rng() < jumpChance) r += s.jumps.mean + s.jumps.volatility * normalDraw(rng);
+        prices[i] *= 1 + Math.max(r, MIN_RETURN);
+      });
+      if (inCrisis) crisisPeriods += 1;
+      inCrisis = inCrisis ? rng() >= leave : rng() < s.regime.probability;
+    }
+    return { Date: date, ...Object.fromEntries(tickers.map((ticker, i) => [ticker, prices[i]])) };
+  });
+
+  return { data, tickers, truth: trueParameters(s, calm, crisis), crisisPeriods, seed };
+};
+
+// Used, on request, for tickers whose prices could not be fetched: uncorrelated assets with an equity-like drift
+// and volatility. `dates` fixes the Date column; default is the last year of weekdays.
+export const generateMockHistory = (tickers, dates = null, { seed = null } = {}) => generateSyntheticMarket({
+  assets: tickers.map(ticker => ({ ticker, drift: 0.12, volatility: 0.18 })),
+  correlation: tickers.map((_, i) => tickers.map((__, j) => (i === j ? 1 : 0))),
+  days: 252,
+  seed,
+}, dates).data;
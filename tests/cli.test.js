@@ -0,0 +1,81 @@
+// End-to-end tests of cli.js on the three-asset fixture
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+const prices = fileURLToPath(new URL('./fixtures/three-assets.csv', import.meta.url));
+const expected = JSON.parse(readFileSync(new URL('./fixtures/three-assets.expected.json', import.meta.url), 'utf8'));
+
+const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+
+test('writes the named portfolios and frontier as JSON', () => {
+  const { status, stdout } = run(prices, '--points', '5');
+  assert.equal(status, 0);
+  const result = JSON.parse(stdout);
+  assert.deepEqual(result.tickers, expected.tickers);
+  assert.deepEqual(result.portfolios.map(p => p.name), ['Max Sharpe', 'Min Variance', 'Risk Parity', 'Min CVaR']);
+  assert.equal(result.frontier.length, 5);
+  assert.equal(result.inputs['Risk-free rate'], '2.00%');
+  expected.tickers.forEach((t, i) => {
+    assert.ok(Math.abs(result.portfolios[0].weights[t] - expected.maxSharpe.weights[i]) < 1e-6, `max Sharpe ${t}`);
+    assert.ok(Math.abs(result.portfolios[1].weights[t] - expected.minVariance.weights[i]) < 1e-6, `min variance ${t}`);
+  });
+});
+
+test('writes CSV to --out and applies weight bounds', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'mptlab-cli-'));
+  try {
+    const out = join(dir, 'results.csv');
+    const { status } = run(prices, '--points', '3', '--iterations', '10', '--bounds', 'CCC=:0.2', '--out', out);
+    assert.equal(status, 0);
+    const lines = readFileSync(out, 'utf8').trim().split('\n');
+    assert.equal(lines[0], 'Portfolio,Return,Volatility,Sharpe,AAA,BBB,CCC');
+    assert.equal(lines.length, 1 + 4 + 3 + 10);
+    const maxSharpe = lines[1].split(',');
+    assert.equal(maxSharpe[0], 'Max Sharpe');
+    assert.ok(Number(maxSharpe[6]) <= 0.2 + 1e-8, 'CCC is capped at 20%');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('measures portfolios against a benchmark column outside the universe', () => {
+  const { status, stdout } = run(prices, '--tickers', 'AAA,BBB', '--benchmark', 'CCC', '--te-budget', '0.25', '--points', '4');
+  assert.equal(status, 0);
+  const result = JSON.parse(stdout);
+  assert.deepEqual(result.portfolios.map(p => p.name), ['Max Sharpe', 'Min Variance', 'Risk Parity', 'Min CVaR', 'Max Info Ratio', 'TE Budget']);
+  assert.equal(result.inputs.Benchmark, 'CCC (outside the universe), TE budget 25.00%');
+  assert.equal(result.activeFrontier.length, 4);
+  result.portfolios.forEach(p => assert.ok(p.trackingError > 0 && Number.isFinite(p.beta), `${p.name} has benchmark metrics`));
+  assert.ok(result.activeFrontier.every(p => p.trackingError <= 0.25 + 1e-7), 'active frontier within the budget');
+});
+
+test('rejects unknown option values with a message and exit code 1', () => {
+  const { status, stderr, stdout } = run(prices, '--estimator', 'garch');
+  assert.equal(status, 1);
+  assert.match(stderr, /--estimator must be one of sample, ledoitWolf, ewma, semi/);
+  assert.equal(stdout, '');
+});
+
+test('rejects a confidence of 1 or more and bounds on tickers outside the universe', () => {
+  const confidence = run(prices, '--confidence', '3');
+  assert.equal(confidence.status, 1);
+  assert.match(confidence.stderr, /--confidence needs a number >= 0\.5 and < 1 \(got "3"\)/);
+
+  const bounds = run(prices, '--bounds', 'ZZZ=0:0.1');
+  assert.equal(bounds.status, 1);
+  assert.match(bounds.stderr, /--bounds names ZZZ, not in the universe \(AAA, BBB, CCC\)/);
+});
+
+test('prints usage without a price file', () => {
+  const { status, stdout } = run('--help');
+  assert.equal(status, 0);
+  assert.match(stdout, /^Usage: node cli\.js <prices\.csv>/);
+});
@@ -0,0 +1,195 @@
+// Known-answer tests for the headless core (mptlab.js). The three-asset fixture's expected values were computed
+// in exact rational arithmetic from its prices (see `source` in the .expected.json file).
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  loadPriceCsv, prepareReturns, calculateStats, computeEfficientFrontier, optimizePortfolio, solveQP,
+  solveRiskParity, riskContributions, portfolioCVaR, estimateBenchmark, applyBenchmarkMetrics, evaluatePortfolio,
+  computeActiveFrontier, DEFAULT_CONSTRAINTS, DEFAULT_RETURN_OPTIONS
+} from '../mptlab.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const expected = JSON.parse(fixture('three-assets.expected.json'));
+const { data, tickers } = loadPriceCsv(fixture('three-assets.csv'));
+
+const assertClose = (actual, wanted, tolerance, label) => {
+  if (Array.isArray(wanted)) {
+    assert.equal(actual.length, wanted.length, `${label}: length`);
+    wanted.forEach((w, i) => assertClose(actual[i], w, tolerance, `${label}[${i}]`));
+    return;
+  }
+  assert.ok(Math.abs(actual - wanted) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${wanted}`);
+};
+
+const fixtureStats = (universe = tickers) => {
+  const { returns, simpleReturns, settings } = prepareReturns(data, universe, DEFAULT_RETURN_OPTIONS);
+  return calculateStats(returns, universe, { periodsPerYear: settings.periodsPerYear, simpleReturns });
+};
+
+test('loadPriceCsv reads the wide fixture and keeps the requested tickers in order', () => {
+  assert.deepEqual(tickers, expected.tickers);
+  assert.equal(data.length, 25);
+  assert.deepEqual(loadPriceCsv(fixture('three-assets.csv'), { tickers: ['CCC', 'AAA'] }).tickers, ['CCC', 'AAA']);
+  assert.throws(() => loadPriceCsv(fixture('three-assets.csv'), { tickers: ['AAA', 'ZZZ'] }), /No prices for ZZZ/);
+});
+
+test('monthly dates are annualized with 12 periods a year', () => {
+  const { returns, settings } = prepareReturns(data, tickers, DEFAULT_RETURN_OPTIONS);
+  assert.equal(returns.length, 24);
+  assert.equal(settings.periodsPerYear, expected.periodsPerYear);
+  assert.equal(settings.source, 'inferred');
+});
+
+test('calculateStats matches the exact sample means and covariance', () => {
+  const stats = fixtureStats();
+  assertClose(tickers.map(t => stats.means[t]), expected.means, 1e-12, 'means');
+  stats.covMatrix.forEach((row, i) => assertClose(row, expected.covariance[i], 1e-12, `cov[${i}]`));
+});
+
+test('the frontier recovers the closed-form minimum variance and tangency portfolios', () => {
+  const stats = fixtureStats();
+  const frontier = computeEfficientFrontier(stats, tickers, expected.riskFreeRate, 10, DEFAULT_CONSTRAINTS);
+  [['minVol', expected.minVariance], ['maxSharpe', expected.maxSharpe]].forEach(([key, wanted]) => {
+    assertClose(frontier[key].weights, wanted.weights, 1e-6, `${key} weights`);
+    assertClose(frontier[key].return, wanted.return, 1e-8, `${key} return`);
+    assertClose(frontier[key].volatility, wanted.volatility, 1e-8, `${key} volatility`);
+    assertClose(frontier[key].sharpe, wanted.sharpe, 1e-6, `${key} sharpe`);
+  });
+
+  assert.equal(frontier.points.length, 10);
+  frontier.points.forEach((p, i) => {
+    assertClose(p.weights.reduce((acc, w) => acc + w, 0), 1, 1e-8, `point ${i} budget`);
+    assert.ok(p.weights.every(w => w >= -1e-8), `point ${i} is long-only`);
+    if (i > 0) assert.ok(p.return > frontier.points[i - 1].return, `point ${i} return increases`);
+    assert.ok(p.volatility >= frontier.minVol.volatility - 1e-10, `point ${i} is not below min variance`);
+  });
+});
+
+test('optimizePortfolio runs the full pipeline and streams its progress', () => {
+  const stages = [];
+  const { frontier, simResults } = optimizePortfolio(data, tickers, {
+    riskFreeRate: expected.riskFreeRate, frontierPoints: 5, iterations: 200,
+  }, { onProgress: ({ stage }) => stages.push(stage) });
+
+  assertClose(frontier.maxSharpe.weights, expected.maxSharpe.weights, 1e-6, 'maxSharpe weights');
+  assert.equal(simResults.length, 200);
+  assert.ok(simResults.every(p => p.sharpe <= frontier.maxSharpe.sharpe + 1e-9), 'no random portfolio beats max Sharpe');
+  assert.ok(frontier.minCVaR.cvar <= frontier.minVol.cvar + 1e-9, 'min CVaR has the lowest CVaR');
+  assert.equal(stages[0], 'Estimating statistics');
+  assert.equal(stages[stages.length - 1], 'Simulating random portfolios');
+});
+
+test('solveQP solves small problems with known solutions', () => {
+  const Q = [[2, 0], [0, 2]];
+  // Unconstrained: x = -Q^-1 c
+  assertClose(solveQP(Q, [-2, -4]), [1, 2], 1e-8, 'unconstrained');
+  // Closest point to the origin on x1 + x2 = 1
+  const budget = { a: [1, 1], b: 1 };
+  assertClose(solveQP(Q, [0, 0], { equalities: [budget] }), [0.5, 0.5], 1e-8, 'equality');
+  // ... with x1 >= 0.7 binding
+  assertClose(solveQP(Q, [0, 0], { equalities: [budget], inequalities: [{ a: [-1, 0], b: -0.7 }] }), [0.7, 0.3], 1e-8, 'inequality');
+  assert.throws(() => solveQP(Q, [0, 0], { inequalities: [{ a: [1, 0], b: -1 }, { a: [-1, 0], b: -1 }] }), /infeasible/i);
+});
+
+test('risk parity weights uncorrelated assets by inverse volatility', () => {
+  const vols = [0.2, 0.3, 0.4];
+  const stats = {
+    means: { A: 0.05, B: 0.07, C: 0.09 },
+    covMatrix: vols.map((v, i) => vols.map((_, j) => (i === j ? v * v : 0))),
+  };
+  const inverse = vols.map(v => 1 / v);
+  const total = inverse.reduce((acc, x) => acc + x, 0);
+  const { weights } = solveRiskParity(stats, ['A', 'B', 'C'], 0.02);
+  assertClose(weights, inverse.map(x => x / total), 1e-8, 'weights');
+
+  const fitted = solveRiskParity(fixtureStats(), tickers, expected.riskFreeRate);
+  assertClose(riskContributions(fitted.weights, fixtureStats().covMatrix), [1 / 3, 1 / 3, 1 / 3], 1e-8, 'fixture contributions');
+});
+
+test('risk parity respects weight bounds and shares risk equally among the free assets', () => {
+  // Uncorrelated 20/30/40% vols with A capped at 30%: B and C split the rest by inverse volatility
+  const vols = [0.2, 0.3, 0.4];
+  const stats = {
+    means: { A: 0.05, B: 0.07, C: 0.09 },
+    covMatrix: vols.map((v, i) => vols.map((_, j) => (i === j ? v * v : 0))),
+  };
+  const constraints = { ...DEFAULT_CONSTRAINTS, bounds: { A: { max: 0.3 } } };
+  const { weights } = solveRiskParity(stats, ['A', 'B', 'C'], 0.02, constraints);
+  assertClose(weights, [0.3, 0.4, 0.3], 1e-7, 'capped weights');
+
+  // A group cap on the fixture: the group sits on its limit, and the optimality conditions hold with one
+  // multiplier for the group, (S w)_i - lambda / (3 w_i) equal for its members, lambda = 3 w_C (S w)_C
+  const grouped = {
+    ...DEFAULT_CONSTRAINTS,
+    groupOf: { [tickers[0]]: 'g', [tickers[1]]: 'g' },
+    groupLimits: { g: { max: 0.5 } },
+  };
+  const fitted = solveRiskParity(fixtureStats(), tickers, expected.riskFreeRate, grouped);
+  assertClose(fitted.weights[0] + fitted.weights[1], 0.5, 1e-8, 'group at its cap');
+  const w = fitted.weights;
+  const marginal = fixtureStats().covMatrix.map(row => row.reduce((acc, v, j) => acc + v * w[j], 0));
+  const lambda = 3 * w[2] * marginal[2];
+  assertClose(marginal[0] - lambda / (3 * w[0]), marginal[1] - lambda / (3 * w[1]), 1e-8, 'group multiplier');
+});
+
+test('portfolioCVaR averages the worst (1 - confidence) share of losses', () => {
+  // Single asset returning -20%, -19%, ..., +19%: the two worst of 40 at 95% are 20% and 19%
+  const rows = Array.from({ length: 40 }, (_, k) => [(k - 20) / 100]);
+  assertClose(portfolioCVaR([1], rows, 0.95), 0.195, 1e-12, '95%');
+  assertClose(portfolioCVaR([1], rows, 0.99), 0.2, 1e-12, '99% keeps at least one period');
+  assertClose(portfolioCVaR([0.5], rows, 0.95), 0.0975, 1e-12, 'scales with the weight');
+});
+
+test('benchmark metrics of an outside series match its return differences', () => {
+  // CCC as the benchmark of an AAA/BBB universe, against the plain sample statistics of the monthly series
+  const universe = ['AAA', 'BBB'];
+  const stats = fixtureStats(universe);
+  const benchmark = estimateBenchmark(data, universe, stats, 'CCC');
+  assert.equal(benchmark.external, true);
+
+  const weights = [0.3, 0.7];
+  const p = applyBenchmarkMetrics(evaluatePortfolio(weights, stats, universe, 0.02), benchmark, 0.02);
+  const series = prepareReturns(data, ['AAA', 'BBB', 'CCC'], DEFAULT_RETURN_OPTIONS).returns;
+  const portfolio = series.map(r => weights[0] * r.AAA + weights[1] * r.BBB);
+  const bench = series.map(r => r.CCC);
+  const mean = (xs) => xs.reduce((acc, x) => acc + x, 0) / xs.length;
+  const cov = (xs, ys) => xs.reduce((acc, x, k) => acc + (x - mean(xs)) * (ys[k] - mean(ys)), 0) / (xs.length - 1);
+  const active = portfolio.map((x, k) => x - bench[k]);
+
+  assertClose(p.beta, cov(portfolio, bench) / cov(bench, bench), 1e-12, 'beta');
+  assertClose(p.activeReturn, mean(active) * 12, 1e-12, 'active return');
+  assertClose(p.trackingError, Math.sqrt(cov(active, active) * 12), 1e-12, 'tracking error');
+  assertClose(p.informationRatio, p.activeReturn / p.trackingError, 1e-12, 'information ratio');
+  assertClose(p.alpha, p.return - 0.02 - p.beta * (mean(bench) * 12 - 0.02), 1e-12, 'alpha');
+  assert.throws(() => estimateBenchmark(data, universe, stats, 'ZZZ'), /No prices for the benchmark "ZZZ"/);
+});
+
+test('the active frontier respects the tracking-error budget and tops out at the max information ratio', () => {
+  const stats = fixtureStats();
+  const benchmark = estimateBenchmark(data, tickers, stats, 'AAA');
+  const free = computeActiveFrontier(stats, tickers, expected.riskFreeRate, benchmark, 10, DEFAULT_CONSTRAINTS);
+  assertClose(free.minTrackingError.trackingError, 0, 1e-5, 'AAA replicates itself');
+  free.points.forEach((p, i) => {
+    if (i > 0) assert.ok(p.trackingError >= free.points[i - 1].trackingError - 1e-10, `point ${i} tracking error rises`);
+    if (p.informationRatio != null) {
+      assert.ok(p.informationRatio <= free.maxInformationRatio.informationRatio + 1e-9, `point ${i} is below the max IR`);
+    }
+  });
+
+  const capped = computeActiveFrontier(stats, tickers, expected.riskFreeRate, benchmark, 10, DEFAULT_CONSTRAINTS, { trackingErrorBudget: 0.02 });
+  assertClose(capped.budgetPortfolio.trackingError, 0.02, 1e-7, 'budget portfolio uses the budget');
+  assert.ok(capped.points.every(p => p.trackingError <= 0.02 + 1e-7), 'frontier stays within the budget');
+  assert.ok(capped.maxInformationRatio.trackingError <= 0.02 + 1e-7, 'max IR stays within the budget');
+  // No mix of AAA and BBB tracks CCC within 10%
+  const pair = ['AAA', 'BBB'];
+  const pairStats = fixtureStats(pair);
+  const outside = estimateBenchmark(data, pair, pairStats, 'CCC');
+  assert.throws(
+    () => computeActiveFrontier(pairStats, pair, 0.02, outside, 5, DEFAULT_CONSTRAINTS, { trackingErrorBudget: 0.1 }),
+    /below the lowest attainable tracking error/
+  );
+});
+
@@ -0,0 +1,88 @@
+// Seeded simulations and the synthetic market generator
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateSyntheticMarket, generateMockHistory, optimizePortfolio, projectWealth, prepareReturns, calculateStats,
+  createRng, parseSeed, DEFAULT_SYNTHETIC_SETTINGS, DEFAULT_RETURN_OPTIONS
+} from '../mptlab.js';
+
+const estimate = (market, periodsPerYear) => {
+  const { returns, simpleReturns } = prepareReturns(market.data, market.tickers, { ...DEFAULT_RETURN_OPTIONS, periodsPerYear });
+  return calculateStats(returns, market.tickers, { periodsPerYear, simpleReturns });
+};
+
+test('createRng repeats its stream for a seed and stays in [0, 1)', () => {
+  const first = createRng(42);
+  const second = createRng(42);
+  const draws = Array.from({ length: 1000 }, () => first());
+  assert.deepEqual(Array.from({ length: 1000 }, () => second()), draws);
+  assert.ok(draws.every(u => u >= 0 && u < 1));
+  assert.notEqual(createRng(43)(), draws[0]);
+  assert.equal(parseSeed('123'), 123);
+  assert.equal(parseSeed(''), null);
+  assert.equal(parseSeed('1.5'), null);
+  assert.equal(parseSeed(-1), null);
+});
+
+test('the same seed gives the same market, random portfolios and projection', () => {
+  const market = generateSyntheticMarket({ ...DEFAULT_SYNTHETIC_SETTINGS, days: 300, seed: 7 });
+  assert.deepEqual(generateSyntheticMarket({ ...DEFAULT_SYNTHETIC_SETTINGS, days: 300, seed: 7 }).data, market.data);
+  assert.notDeepEqual(generateSyntheticMarket({ ...DEFAULT_SYNTHETIC_SETTINGS, days: 300, seed: 8 }).data, market.data);
+  assert.equal(market.seed, 7);
+
+  const run = () => optimizePortfolio(market.data, market.tickers, { iterations: 200, frontierPoints: 5, seed: 11 });
+  const a = run();
+  const b = run();
+  assert.equal(a.frontier.seed, 11);
+  assert.deepEqual(a.simResults.map(p => p.weights), b.simResults.map(p => p.weights));
+
+  const project = () => projectWealth(a.frontier.maxSharpe.weights, a.stats, market.tickers, { paths: 100, years: 2, seed: 5 });
+  assert.deepEqual(project().terminal, project().terminal);
+});
+
+test('a long synthetic history recovers the true drift, volatility and correlation', () => {
+  const settings = {
+    ...DEFAULT_SYNTHETIC_SETTINGS,
+    days: 40000,
+    seed: 3,
+    jumps: { intensity: 4, mean: -0.03, volatility: 0.02 },
+    regime: { probability: 0.005, duration: 25, volScale: 2, driftShift: -0.2, contagion: 0.5 },
+  };
+  const market = generateSyntheticMarket(settings);
+  const stats = estimate(market, settings.periodsPerYear);
+  const { truth } = market;
+  assert.ok(truth.crisisShare > 0.1 && truth.crisisShare < 0.12);
+  market.tickers.forEach((t, i) => {
+    const vol = truth.volatilities[t];
+    // Standard error of the annualized mean is about vol / sqrt(years)
+    assert.ok(Math.abs(stats.means[t] - truth.means[t]) < 4 * vol / Math.sqrt(40000 / 252), `${t} mean`);
+    assert.ok(Math.abs(Math.sqrt(stats.covMatrix[i][i]) / vol - 1) < 0.05, `${t} volatility`);
+    market.tickers.forEach((u, j) => {
+      const correlation = stats.covMatrix[i][j] / Math.sqrt(stats.covMatrix[i][i] * stats.covMatrix[j][j]);
+      assert.ok(Math.abs(correlation - truth.correlation[i][j]) < 0.05, `${t}/${u} correlation`);
+    });
+  });
+});
+
+test('perfectly correlated assets move together and inconsistent correlations are rejected', () => {
+  const assets = [{ ticker: 'A', drift: 0.1, volatility: 0.2 }, { ticker: 'B', drift: 0.1, volatility: 0.2 }];
+  const { data } = generateSyntheticMarket({ assets, correlation: [[1, 1], [1, 1]], days: 20, seed: 1 });
+  assert.ok(data.every(row => Math.abs(row.A - row.B) < 1e-9));
+
+  const three = [...assets, { ticker: 'C', drift: 0, volatility: 0.1 }];
+  assert.throws(() => generateSyntheticMarket({
+    assets: three, correlation: [[1, 0.9, -0.9], [0.9, 1, 0.9], [-0.9, 0.9, 1]], seed: 1,
+  }), /not positive semidefinite/);
+  assert.throws(() => generateSyntheticMarket({ assets, correlation: [[1, 0.5], [0.4, 1]] }), /symmetric/);
+  assert.throws(() => generateSyntheticMarket({ assets: [assets[0], assets[0]], correlation: [[1, 0], [0, 1]] }), /unique/);
+});
+
+test('generateMockHistory fills the given dates', () => {
+  const dates = ['2024-01-02', '2024-01-03', '2024-01-04'];
+  const data = generateMockHistory(['X', 'Y'], dates, { seed: 9 });
+  assert.deepEqual(data.map(row => row.Date), dates);
+  assert.ok(data.every(row => row.X > 0 && row.Y > 0));
+  assert.equal(generateMockHistory(['X'], null, { seed: 9 }).length, 252);
+});
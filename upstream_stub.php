@@ -0,0 +1,116 @@
+<?php
+// Local stand-in for the Yahoo Finance chart endpoint, for developing and testing api.php offline:
+//
+//   php -S 127.0.0.1:8081 upstream_stub.php
+//   MPTLAB_UPSTREAM=http://127.0.0.1:8081/ MPTLAB_CACHE_TTL=60 php -S 127.0.0.1:8080
+//   curl 'http://127.0.0.1:8080/api.php?mode=json_data&symbols=AAA,BBB,FAIL1'
+//
+// The last path segment is the symbol. Every symbol gets a deterministic weekday random walk in Yahoo's
+// chart format, with a dividend every 60 bars and a null close every 20th bar as Yahoo sometimes sends.
+// The currency follows the exchange suffix (.L in GBp, .DE/.PA/.AS in EUR, otherwise USD); FX symbols such
+// as EURUSD=X quote a rate near 1 in the second currency and pay no dividends.
+// Symbols starting with SPLIT also have an unadjusted 2:1 split on bar 100; symbols starting with FAIL
+// answer 404 like an unknown ticker. Each request is logged, so cache hits in api.php show up as silence.
+
+header('Content-Type: application/json');
+
+$path = parse_url($_SERVER['REQUEST_URI'] ?? '/', PHP_URL_PATH);
+$symbol = strtoupper(rawurldecode(basename($path)));
+error_log("upstream_stub: $symbol " . ($_SERVER['QUERY_STRING'] ?? ''));
+
+if ($symbol === '' || strpos($symbol, 'FAIL') === 0) {
+    http_response_code(404);
+    echo json_encode(['chart' => ['result' => null, 'error' => [
+        'code' => 'Not Found', 'description' => 'No data found, symbol may be delisted',
+    ]]]);
+    return;
+}
+
+$rangeDays = ['1d' => 1, '5d' => 5, '1mo' => 30, '3mo' => 91, '6mo' => 182, '1y' => 365,
+              '2y' => 730, '5y' => 1826, '10y' => 3652, 'max' => 3652];
+$stepDays = ['1d' => 1, '5d' => 5, '1wk' => 7, '1mo' => 30, '3mo' => 91];
+
+$now = (int) (floor(time() / 86400) * 86400);
+if (isset($_GET['period1'])) {
+    $start = (int) $_GET['period1'];
+    $end = isset($_GET['period2']) ? (int) $_GET['period2'] : $now;
+} else {
+    $range = $_GET['range'] ?? '1y';
+    $days = $range === 'ytd' ? (int) gmdate('z', $now) : ($rangeDays[$range] ?? 365);
+    $start = $now - $days * 86400;
+    $end = $now;
+}
+$step = ($stepDays[$_GET['interval'] ?? '1d'] ?? 1) * 86400;
+
+$isFx = (bool) preg_match('/^[A-Z]{3}([A-Z]{3})=X$/', $symbol, $fxMatch);
+if ($isFx) {
+    $currency = $fxMatch[1];
+} elseif (preg_match('/\.L$/', $symbol)) {
+    $currency = 'GBp';
+} elseif (preg_match('/\.(DE|PA|AS)$/', $symbol)) {
+    $currency = 'EUR';
+} else {
+    $currency = 'USD';
+}
+
+// Seeded per symbol so repeated requests return the same series
+mt_srand(crc32($symbol));
+$price = $isFx ? 0.8 + mt_rand(0, 400) / 1000 : 20 + mt_rand(0, 480);
+$volatility = $isFx ? 0.005 : 0.02;
+$timestamps = [];
+$closes = [];
+$dividends = [];
+$splits = [];
+for ($day = $start - $start % 86400; $day <= $end; $day += $step) {
+    if ($step === 86400 && (int) gmdate('N', $day) >= 6) {
+        continue;
+    }
+    $i = count($closes);
+    $ts = $day + 14 * 3600 + 30 * 60; // 09:30 New York
+    $price *= 1 + (mt_rand(-1000, 1000) / 1000) * $volatility;
+    if (!$isFx && $i > 0 && $i % 60 === 0) {
+        // Quarterly-ish dividend of 0.5%; the close drops by the payout on the ex-date
+        $amount = round($closes[$i - 1] * 0.005, 4);
+        $price -= $amount;
+        $dividends[(string) $ts] = ['amount' => $amount, 'date' => $ts];
+    }
+    if (strpos($symbol, 'SPLIT') === 0 && $i === 100) {
+        // Closes are NOT split-adjusted, so the 2:1 split shows as a halving
+        $price /= 2;
+        $splits[(string) $ts] = ['date' => $ts, 'numerator' => 2, 'denominator' => 1, 'splitRatio' => '2:1'];
+    }
+    $timestamps[] = $ts;
+    $closes[] = round($price, $isFx ? 5 : 2);
+}
+
+// Adjusted close: back-adjust earlier closes for each dividend and split
+$adjCloses = $closes;
+$factor = 1.0;
+for ($i = count($closes) - 1; $i > 0; $i--) {
+    $ts = (string) $timestamps[$i];
+    if (isset($dividends[$ts])) {
+        $factor *= 1 - $dividends[$ts]['amount'] / $closes[$i - 1];
+    }
+    if (isset($splits[$ts])) {
+        $factor /= $splits[$ts]['numerator'] / $splits[$ts]['denominator'];
+    }
+    $adjCloses[$i - 1] = round($closes[$i - 1] * $factor, 4);
+}
+
+// Yahoo sometimes sends bars without a close
+foreach (array_keys($closes) as $i) {
+    if ($i % 20 === 19) {
+        $closes[$i] = null;
+        $adjCloses[$i] = null;
+    }
+}
+
+echo json_encode(['chart' => ['result' => [[
+    'meta' => ['symbol' => $symbol, 'currency' => $currency, 'gmtoffset' => -18000],
+    'timestamp' => $timestamps,
+    'events' => ['dividends' => (object) $dividends, 'splits' => (object) $splits],
+    'indicators' => [
+        'quote' => [['close' => $closes]],
+        'adjclose' => [['adjclose' => $adjCloses]],
+    ],
+]], 'error' => null]]);
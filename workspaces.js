@@ -0,0 +1,112 @@
+// Named workspaces (inputs, loaded prices and results) saved in this browser, and share links that carry a
+// scenario's configuration in the URL. Workspaces go to IndexedDB, since price tables and random portfolio
+// clouds easily outgrow localStorage; localStorage is only the fallback where IndexedDB is unavailable.
+
+const DB_NAME = 'mptlab';
+const STORE = 'workspaces';
+const FALLBACK_KEY = 'mptlab.workspaces';
+const SHARE_PARAM = 'scenario';
+
+// Bumped when the saved or shared shape changes incompatibly
+export const WORKSPACE_VERSION = 1;
+
+/** --- WORKSPACE STORAGE --- */
+
+const hasIndexedDb = () => typeof indexedDB !== 'undefined';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'name' });
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run one request in its own transaction; resolves with the request's result once the transaction commits
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror = () => { db.close(); reject(tx.error || new Error('Workspace storage failed.')); };
+    tx.onabort = tx.onerror;
+  });
+};
+
+const readFallback = () => {
+  try {
+    return JSON.parse(localStorage.getItem(FALLBACK_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const writeFallback = (all) => {
+  try {
+    localStorage.setItem(FALLBACK_KEY, JSON.stringify(all));
+  } catch (err) {
+    throw new Error('Not enough browser storage for this workspace.');
+  }
+};
+
+// Saved workspace names, alphabetically
+export const listWorkspaces = async () => {
+  const names = hasIndexedDb() ? await withStore('readonly', store => store.getAllKeys()) : Object.keys(readFallback());
+  return names.map(String).sort((a, b) => a.localeCompare(b));
+};
+
+// Save (or overwrite) `state`, a plain serializable object, under `name`
+export const saveWorkspace = async (name, state) => {
+  const record = { name, savedAt: new Date().toISOString(), version: WORKSPACE_VERSION, state };
+  if (hasIndexedDb()) await withStore('readwrite', store => store.put(record));
+  else writeFallback({ ...readFallback(), [name]: record });
+};
+
+// { name, savedAt, version, state }
+export const loadWorkspace = async (name) => {
+  const record = hasIndexedDb() ? await withStore('readonly', store => store.get(name)) : readFallback()[name];
+  if (!record) throw new Error(`Workspace "${name}" not found.`);
+  if (record.version !== WORKSPACE_VERSION) throw new Error(`Workspace "${name}" was saved by an incompatible version.`);
+  return record;
+};
+
+export const deleteWorkspace = async (name) => {
+  if (hasIndexedDb()) {
+    await withStore('readwrite', store => store.delete(name));
+  } else {
+    const all = readFallback();
+    delete all[name];
+    writeFallback(all);
+  }
+};
+
+/** --- SHARE LINKS --- */
+
+// UTF-8 safe base64url, so the scenario survives in a URL fragment without escaping
+const toBase64Url = (text) => {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+// Link to the current page with the scenario (configuration only, no prices) in the fragment
+export const buildShareUrl = (scenario, location = window.location) => (
+  `${location.origin}${location.pathname}${location.search}#${SHARE_PARAM}=${toBase64Url(JSON.stringify({ ...scenario, version: WORKSPACE_VERSION }))}`
+);
+
+// The scenario in a share link's fragment, or null when there is none (or it cannot be read)
+export const readSharedScenario = (hash = window.location.hash) => {
+  const match = new RegExp(`[#&]${SHARE_PARAM}=([^&]+)`).exec(hash);
+  if (!match) return null;
+  try {
+    const scenario = JSON.parse(fromBase64Url(match[1]));
+    return scenario && scenario.version === WORKSPACE_VERSION && Array.isArray(scenario.tickers) ? scenario : null;
+  } catch (err) {
+    return null;
+  }
+};